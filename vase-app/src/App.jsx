@@ -1,34 +1,103 @@
 import React, { Suspense, useEffect, useMemo, useRef, useState, useCallback, useContext } from "react";
 import "./App.css";
-import { VASE_COUNT, VASE_COLUMNS_COUNT, VASE_SPACING, VASE_TARGET_Y, INITIAL_CAMERA_DISTANCE, CAMERA_HEIGHT, INITIAL_CAMERA_Z, DESTROY_SHATTER_DURATION_MS, DESTROY_SENSOR_WINDOW_MS } from './config/constants.js';
+import { VASE_TARGET_Y, VASE_COLUMNS_COUNT, INITIAL_CAMERA_DISTANCE, CAMERA_HEIGHT, INITIAL_CAMERA_Z, DESTROY_SHATTER_DURATION_MS, DESTROY_SENSOR_WINDOW_MS } from './config/constants.js';
 import * as THREE from "three";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import { OrbitControls, useGLTF, Environment } from "@react-three/drei";
 import { Physics, RigidBody, CuboidCollider } from '@react-three/rapier';
-import VaseModel, { MODEL_URL } from "./components/VaseModel.jsx";
+import { MODEL_URL } from "./components/VaseModel.jsx";
+import ComposedVaseModel from "./components/ComposedVaseModel.jsx";
 import FloatingTitle3D from "./components/FloatingTitle3D.jsx";
 import Sidebars from './components/Sidebars.jsx';
-import useComposedTexture from './hooks/useComposedTexture.js';
-import Coin from './components/Coin.jsx';
+import CoinPile from './components/CoinPile.jsx';
 import Test1Page from './components/Test1.jsx';
-import { loadOrInitVases, mapVasesToUiState, updateVaseAt } from './services/vases.js';
+import {
+  loadOrInitVases,
+  mapVasesToUiState,
+  updateVaseById,
+  addVase,
+  removeVaseById,
+  moveVase,
+  countTextureReferences,
+  saveVases,
+  setVaseBoard,
+  loadArchivedVases,
+  archiveVaseById,
+  restoreArchivedVase,
+  removeArchivedVaseById,
+  getPreMigrationBackup,
+  restorePreMigrationBackup,
+} from './services/vases.js';
+import { loadBoards, addBoard, updateBoardById, removeBoardById, duplicateBoardById, findBoardForVase, readOtherBoardsVases } from './services/boards.js';
 import UIButton from './components/ui/UIButton.jsx';
 import NavigationBar from './components/ui/NavigationBar.jsx';
-import { getVaseTarget } from "./utils/layout.js";
-import { formatTimeAgo } from "./utils/time.js";
+import VaseStatsModal from './components/ui/VaseStatsModal.jsx';
+import TextureLibraryModal from './components/ui/TextureLibraryModal.jsx';
+import BoardsModal from './components/ui/BoardsModal.jsx';
+import ArchiveShelfModal from './components/ui/ArchiveShelfModal.jsx';
+import VaseEditorPanel from './components/ui/VaseEditorPanel.jsx';
+import TexturePlacementPanel from './components/ui/TexturePlacementPanel.jsx';
+import PaintPanel from './components/ui/PaintPanel.jsx';
+import AppDialog from './components/ui/AppDialog.jsx';
+import { getVaseTarget, getVaseGridPosition } from "./utils/layout.js";
+import { formatTimeAgo, formatTimeAgoPhrase } from "./utils/time.js";
+import { eventsSinceReset } from "./utils/analytics.js";
+import { getCadenceStatus } from "./utils/cadence.js";
+import { parseRoute, vaseRouteHash, isTest1Location } from "./utils/routes.js";
 import { createSolidColorCanvas, createTextOverlayCanvas } from "./utils/canvas.js";
+import { getLayerFontKeys } from "./utils/layers.js";
+import { DEFAULT_PLACEMENT, renderPlacedImage } from "./utils/placement.js";
+import { DEFAULT_BRUSH, createPaintCanvas } from "./utils/paint.js";
+import { TEXTURE_BUDGETS_MB, TEXTURE_QUALITIES, planTextureSizes, resolveTextureSettings } from "./utils/textureBudget.js";
+import { createCoinDesign, createTextOverlay } from "./models/vase.js";
+import { createLayer } from "./models/layer.js";
 import CameraResetAnimator from './components/camera/CameraResetAnimator.jsx';
-import useVaseDesignState from './hooks/useVaseDesignState.js';
+import useVaseDesignState, { EMPTY_TEXTURE_SOURCES } from './hooks/useVaseDesignState.js';
 import useCoinsByVase from './hooks/useCoinsByVase.js';
-import { loadCanvasFromTextureRef, saveCanvasToFixedVaseSlot, cleanupTexturesExcept, getFixedVaseSlotId } from './services/textures.js';
+import useActivityLog from './hooks/useActivityLog.js';
+import { deriveCoinsInVase } from './services/activity.js';
+import { coinScalesForAmount, formatMeasureAmount, parseMeasureValue, validateMeasureValue } from './utils/measure.js';
+import { getTargetProgress } from './utils/target.js';
+import VaseFill from './components/VaseFill.jsx';
+import CompletionBurst from './components/CompletionBurst.jsx';
+import useDesignHistory from './hooks/useDesignHistory.js';
+import useDialog from './hooks/useDialog.js';
+import useOverlayFonts from './hooks/useOverlayFonts.js';
+import {
+  loadCanvasFromTextureRef,
+  addBlobToLibrary,
+  canvasToBlob,
+  loadImageFromBlob,
+  rememberCanvasSource,
+  renderPatternTexture,
+  saveCanvasToLibrary,
+  collectTextureGarbage,
+  moveSlotTexturesToLibrary,
+  removeFromLibrary,
+  removeTextures,
+  getTextureBlob,
+  saveTextureBlob,
+  migrateTextureStringsToBlobs,
+  getSkyboxTextureId,
+  loadVaseTextureSources,
+  resizeVaseTextureSources,
+  textureSourcesMatchSize,
+} from './services/textures.js';
 import localforage from 'localforage';
-import { textureStore } from './storage/index.js';
+import { downloadBackup, importBackup } from './services/backup.js';
+import { loadPrefs, savePrefs } from './services/prefs.js';
 import pkg from '../package.json';
 
 export const VaseShatterContext = React.createContext({ phase: 'idle', center: [0,0,0], trigger: 0 });
 
 const BOUNDS_MARGIN = 2.15; // (kept for potential future use)
 
+// Encoding used when persisting each base layer into the texture library
+const LAYER_MIME = { base: 'image/png', upload: 'image/jpeg', camera: 'image/jpeg' };
+
+// Vases with plain coins fill with this metal
+const DEFAULT_COIN_METAL = createCoinDesign().metal;
+
 // Title scene camera/target (kept far away so both scenes render simultaneously)
 const TITLE_TARGET = new THREE.Vector3(0, 4, -100);
 const TITLE_CAMERA_POS = new THREE.Vector3(0, 7, -92);
@@ -85,51 +154,126 @@ function SceneBackgroundImage({ url }) {
 
 // NavigationBar extracted to component
 
+// Top-level route switch: the physics test page or the vases app.
+// Switching boards remounts the vases app so every per-vase state starts fresh for the new board.
 export default function App() {
-  const isTest1 = typeof window !== 'undefined' && window.location.pathname === '/test-1';
+  const [boardSession, setBoardSession] = useState(0);
+  const isTest1 = typeof window !== 'undefined' && isTest1Location(window.location);
   if (isTest1) return <Test1Page />;
+  return (
+    <VasesApp
+      key={boardSession}
+      startInVases={boardSession > 0}
+      onBoardChange={() => setBoardSession((n) => n + 1)}
+    />
+  );
+}
+
+/**
+ * The vases of one board: scene, navigation and modals.
+ * Props:
+ *  - startInVases: skip the title screen (set after switching boards)
+ *  - onBoardChange(): reload with the board saved in prefs
+ */
+function VasesApp({ startInVases, onBoardChange }) {
   // App mode: title screen vs vases
   const [appMode, setAppMode] = useState('title'); // 'title' | 'vases'
   const [isConnecting, setIsConnecting] = useState(false);
+  // "Skip title screen" preference (opt-out on the title screen until chosen; saved on connect)
+  const [skipTitle, setSkipTitle] = useState(true);
+  // Set when a returning user is restored straight into the vases view; the camera snaps once controls exist
+  const pendingViewRestoreRef = useRef(false);
   const connectTimerRef = useRef(null);
   // Optional hook to run custom logic after a camera reset/transition completes
   const onResetDoneOnceRef = useRef(null);
-  // Per-vase design state via hook
+  // Per-vase design state via hook (keyed by vase id)
   const {
-    textureSourcesList,
-    activeBaseLayers,
-    baseColors,
-    titles3D,
-    // new: glass flags
-    isGlassList,
+    textureSourcesById,
+    activeBaseLayerById,
+    baseColorById,
+    title3DById,
     setTextureSourcesForVase,
     setActiveBaseLayerForVase,
     setBaseColorForVase,
     setTitle3DForVase,
-    setTextureSourcesList,
-    setActiveBaseLayers,
-    setBaseColors,
-    setTitles3D,
+    removeDesignForVase,
+    setTextureSourcesById,
+    setActiveBaseLayerById,
+    setBaseColorById,
+    setTitle3DById,
   } = useVaseDesignState();
+  // Boards (workspaces) and the open one; its vases are the only ones loaded
+  const [boards, setBoards] = useState([]);
+  const [activeBoardId, setActiveBoardId] = useState(null);
+  const activeBoard = boards.find(b => b.id === activeBoardId) ?? null;
+  const columns = activeBoard?.layout.columns ?? VASE_COLUMNS_COUNT;
+  const [isBoardsOpen, setIsBoardsOpen] = useState(false);
   // In-memory vases loaded from storage (no autosave yet)
   const [vases, setVases] = useState([]);
+  // Archived vases of this board (off the grid, kept with their design and history); null until loaded
+  const [archivedVases, setArchivedVases] = useState(null);
+  const [isShelfOpen, setIsShelfOpen] = useState(false);
   const [activeAction, setActiveAction] = useState(null);
   const [currentZoom, setCurrentZoom] = useState(INITIAL_CAMERA_DISTANCE);
-  const [activeVaseIndex, setActiveVaseIndex] = useState(0); // which vase camera is focused on
+  // Which vase the camera is focused on (by id; its grid index is derived from the current order)
+  const [activeVaseId, setActiveVaseId] = useState(null);
+  const activeVaseIndex = Math.max(0, vases.findIndex(v => v.id === activeVaseId));
+  const activeVase = vases[activeVaseIndex];
+  // Texture quality and memory budget; the focused vase's size is used for every new canvas
+  const [textureSettings, setTextureSettings] = useState(() => resolveTextureSettings());
+  const textureSize = textureSettings.quality;
   // Destroy/shatter orchestration
   const [isLocked, setIsLocked] = useState(false); // lock UI and camera during destroy window
-  const [destroyingIndex, setDestroyingIndex] = useState(null);
+  const [destroyingVaseId, setDestroyingVaseId] = useState(null);
   const [destroyEventId, setDestroyEventId] = useState(0);
   // Per-vase temporary sensor window so shards can escape but coins still collide after
-  const [vaseSensorWindows, setVaseSensorWindows] = useState(() => Array.from({ length: VASE_COUNT }, () => false));
+  const [vaseSensorWindows, setVaseSensorWindows] = useState({});
   const sensorTimersRef = useRef({});
   // Track per-vase destroy in-progress to prevent duplicate triggers (e.g., React StrictMode double effects)
   const destroyingVasesRef = useRef(new Set());
-  // Coins per vase via hook
-  const { coinsByVase, spawnCoinForVase, setCoinsByVase, clearCoinsForVase } = useCoinsByVase();
+  // Timestamped manifest/destroy history; counters are derived from it
+  const { events: activityEvents, isLoaded: isActivityLoaded, getStatsForVase, logActivity, forgetVase } = useActivityLog(vases);
+  // Coins per vase via hook; stored piles are restored once the log says how many each vase holds
+  // (weighted manifests count as the coins their vase's measure made of them)
+  const coinsInVase = useMemo(() => {
+    if (!isActivityLoaded) return null;
+    const measures = Object.fromEntries(vases.map((v) => [v.id, v.measure]));
+    return deriveCoinsInVase(activityEvents, measures);
+  }, [isActivityLoaded, activityEvents, vases]);
+  const { getCoinsForVase, spawnCoinsForVase, settleCoinForVase, clearCoinsForVase } = useCoinsByVase(coinsInVase);
+  const activeStats = getStatsForVase(activeVaseId);
+  // Habit cadence status per vase (streak / due / missed); null for vases without a schedule
+  const cadenceStatusById = useMemo(() => {
+    const map = {};
+    vases.forEach((v) => {
+      map[v.id] = getCadenceStatus(v.cadence, eventsSinceReset(activityEvents, v.id), v.createdAt);
+    });
+    return map;
+  }, [vases, activityEvents]);
+  const activeCadenceStatus = cadenceStatusById[activeVaseId] ?? null;
+  // Progress towards each vase's target (drives its fill); null for vases without one
+  const targetProgressById = useMemo(() => {
+    const map = {};
+    vases.forEach((v) => {
+      map[v.id] = getTargetProgress(v.target, getStatsForVase(v.id), v.measure);
+    });
+    return map;
+  }, [vases, getStatsForVase]);
+  const activeTargetProgress = targetProgressById[activeVaseId] ?? null;
+  // Completion bursts per vase, bumped when a manifest reaches the target or lands in a completed vase
+  const [celebrationsById, setCelebrationsById] = useState({});
+  const celebrate = useCallback((vaseId) => {
+    setCelebrationsById((prev) => ({ ...prev, [vaseId]: (prev[vaseId] ?? 0) + 1 }));
+  }, []);
   // Stats modal state
   const [isStatsModalOpen, setIsStatsModalOpen] = useState(false);
   const [isInfoOpen, setIsInfoOpen] = useState(false);
+  // Records saved before the current board's last schema migration, offered for rollback in the info modal
+  const [migrationBackup, setMigrationBackup] = useState(null);
+  const [isLibraryOpen, setIsLibraryOpen] = useState(false);
+  // In-app confirm/prompt dialog (instead of window.confirm/prompt)
+  const { request: dialogRequest, alert: alertDialog, confirm: confirmDialog, prompt: promptDialog, settle: settleDialog } = useDialog();
+  const backupInputRef = useRef(null);
   // spawnCoinForVase provided by useCoinsByVase
   // Debug: toggle Rapier collider wireframes
   const [debugPhysics, setDebugPhysics] = useState(false);
@@ -152,16 +296,12 @@ export default function App() {
   const containerRef = useRef(null);
 
   const controlsRef = useRef(null);
-  // Track last persisted canvases to avoid redundant writes
-  const prevTexturesRef = useRef(
-    Array.from({ length: VASE_COUNT }, () => ({ base: null, upload: null, camera: null }))
-  );
-  // Track the last canvas+layer we wrote into the fixed texture slot per vase to avoid re-saving
-  const prevFixedSlotRef = useRef(
-    Array.from({ length: VASE_COUNT }, () => ({ layer: null, canvas: null }))
-  );
-  const prevActiveLayerRef = useRef(Array.from({ length: VASE_COUNT }, () => 'base'));
-  const prevBaseColorsRef = useRef(Array.from({ length: VASE_COUNT }, () => '#ffffff'));
+  // Track last persisted canvases to avoid redundant writes (all keyed by vase id)
+  const prevTexturesRef = useRef({});
+  // Track the last canvas+layer we wrote into each vase's texture slot to avoid re-saving
+  const prevSlotRef = useRef({});
+  const prevActiveLayerRef = useRef({});
+  const prevBaseColorsRef = useRef({});
   // Hold-to-repeat navigation support
   const holdTimerRef = useRef(null);
   const holdIntervalRef = useRef(null);
@@ -180,12 +320,11 @@ export default function App() {
   }, []);
 
    
-  const focusVase = useCallback((index) => {
+  // Animate the camera to the vase at the given grid index, keeping the current relative framing
+  const flyToVase = useCallback((index) => {
     if (!controlsRef.current) return;
     const cam = controlsRef.current.object;
-    const wrapped = ((index % VASE_COUNT) + VASE_COUNT) % VASE_COUNT;
-    if (wrapped === activeVaseIndex) return;
-    const newTarget = getVaseTarget(wrapped);
+    const newTarget = getVaseTarget(index, columns);
     // Preserve current offset vector (camera relative location) to keep orientation & distance stable
     const offset = cam.position.clone().sub(controlsRef.current.target);
     const toPos = newTarget.clone().add(offset);
@@ -193,6 +332,7 @@ export default function App() {
     defaultTarget.current.copy(newTarget);
     defaultDir.current.copy(offset.clone().normalize());
     defaultOffset.current.copy(offset);
+    savePrefs({ cameraOffset: offset.toArray() });
     resetRef.current = {
       fromPos: cam.position.clone(),
       toPos,
@@ -204,10 +344,17 @@ export default function App() {
       targetEpsSq: 0.025 * 0.025,
       minProgressForEarlyEnd: 0.5,
     };
-    setActiveVaseIndex(wrapped);
     setIsResetting(true);
     setDraggingMode(null);
-  }, [activeVaseIndex, getVaseTarget]);
+  }, [columns]);
+
+  const focusVase = useCallback((index) => {
+    if (!controlsRef.current || !vases.length) return;
+    const wrapped = ((index % vases.length) + vases.length) % vases.length;
+    if (wrapped === activeVaseIndex) return;
+    flyToVase(wrapped);
+    setActiveVaseId(vases[wrapped].id);
+  }, [activeVaseIndex, vases, flyToVase]);
 
 
   const startHoldNav = useCallback((dir) => {
@@ -231,57 +378,91 @@ export default function App() {
   useEffect(() => {
     let mounted = true;
     (async () => {
-      console.log('[App] load/init vases…');
-      const vases = await loadOrInitVases();
+      const prefs = await loadPrefs();
+      const boardList = await loadBoards();
+      // A deep link (#/vase/<id>[/stats]) opens the board holding that vase; otherwise the last board
+      const linked = parseRoute(window.location.hash);
+      const linkedBoardId = linked.name === 'vase' ? await findBoardForVase(boardList, linked.vaseId) : null;
+      const boardId = linkedBoardId
+        ?? (boardList.some((b) => b.id === prefs.activeBoardId) ? prefs.activeBoardId : boardList[0].id);
+      setVaseBoard(boardId);
+      if (boardId !== prefs.activeBoardId) savePrefs({ activeBoardId: boardId });
+      console.log('[App] load/init vases for board', boardId);
+      const loaded = await loadOrInitVases();
+      await migrateTextureStringsToBlobs();
+      const vases = await moveSlotTexturesToLibrary(loaded);
+      if (vases !== loaded) await saveVases(vases);
+      const archived = await loadArchivedVases();
       if (!mounted) return;
+      setBoards(boardList);
+      setActiveBoardId(boardId);
       setVases(vases);
+      setArchivedVases(archived);
+      const linkedId = linked.name === 'vase' && vases.some((v) => v.id === linked.vaseId) ? linked.vaseId : null;
+      const restoredId = vases.some((v) => v.id === prefs.activeVaseId) ? prefs.activeVaseId : null;
+      setActiveVaseId((current) => current ?? linkedId ?? restoredId ?? vases[0]?.id ?? null);
+      if (linkedId && linked.panel === 'stats') setIsStatsModalOpen(true);
+      // Restore the last camera framing (offset from the vase target)
+      if (Array.isArray(prefs.cameraOffset) && prefs.cameraOffset.length === 3) {
+        defaultOffset.current.fromArray(prefs.cameraOffset);
+        defaultDir.current.copy(defaultOffset.current.clone().normalize());
+      }
+      if (prefs.skipTitle !== null) setSkipTitle(prefs.skipTitle);
+      const settings = resolveTextureSettings(prefs);
+      setTextureSettings(settings);
+      if (prefs.skipTitle || linkedId || startInVases) {
+        pendingViewRestoreRef.current = true;
+        setAppMode('vases');
+      }
       const mapped = mapVasesToUiState(vases);
       console.log('[App] mapped UI state', mapped);
-      console.log('[App] active layers (mapped)', mapped.activeBaseLayers);
+      console.log('[App] active layers (mapped)', mapped.activeBaseLayerById);
       // Initialize design state from storage mapping
-      // Hydrate TextureRef objects into canvases for the compositor
-      const hydrated = await Promise.all(
-        mapped.textureSourcesList.map(async (entry, i) => {
-          const base = entry.base ? await loadCanvasFromTextureRef(entry.base, 1024) : null;
-          const upload = entry.upload ? await loadCanvasFromTextureRef(entry.upload, 1024) : null;
-          const camera = entry.camera ? await loadCanvasFromTextureRef(entry.camera, 1024) : null;
-          // If textOverlay string exists on the model, regenerate its canvas overlay
-          const textStr = vases[i]?.appearance?.textureSlots?.textOverlay || '';
-          const text = textStr ? createTextOverlayCanvas(textStr, 1024) : null;
-          console.log('[App] hydrated vase', i, {
+      // Hydrate TextureRef objects into canvases for the compositor, each vase at its planned size
+      const initialSizes = planTextureSizes(vases, linkedId ?? restoredId ?? vases[0]?.id ?? null, settings);
+      const hydratedEntries = await Promise.all(
+        vases.map(async (vase) => {
+          const entry = mapped.textureSourcesById[vase.id];
+          // Slot canvases plus the text overlay redrawn from its settings
+          const { base, upload, camera, paint, text, layers } = await loadVaseTextureSources(vase, initialSizes[vase.id]);
+          const textStr = vase.appearance?.textureSlots?.textOverlay?.text || '';
+          console.log('[App] hydrated vase', vase.id, {
             hasBaseRef: !!entry.base, hasUploadRef: !!entry.upload, hasCameraRef: !!entry.camera,
             baseCanvas: !!base, uploadCanvas: !!upload, cameraCanvas: !!camera, textStr
           });
-          return { base, upload, camera, text };
+          return [vase.id, { base, upload, camera, paint, text, layers }];
         })
       );
-      setTextureSourcesList(hydrated);
+      const hydrated = Object.fromEntries(hydratedEntries);
+      setTextureSourcesById(hydrated);
       // Seed previous trackers to hydrated values to avoid immediate re-persist
-      prevTexturesRef.current = hydrated.map(({ base, upload, camera }) => ({ base, upload, camera }));
+      prevTexturesRef.current = Object.fromEntries(
+        hydratedEntries.map(([id, { base, upload, camera }]) => [id, { base, upload, camera }])
+      );
       // Prefer the mapped active layer; if missing, fall back to first available source
-      const correctedActiveLayers = mapped.activeBaseLayers.map((layer, i) => {
-        if (layer) return layer;
-        const h = hydrated[i];
-        if (h.camera) return 'camera';
-        if (h.upload) return 'upload';
-        return 'base';
+      const correctedActiveLayers = {};
+      vases.forEach(({ id }) => {
+        const layer = mapped.activeBaseLayerById[id];
+        const h = hydrated[id];
+        if (layer) correctedActiveLayers[id] = layer;
+        else if (h.camera) correctedActiveLayers[id] = 'camera';
+        else if (h.upload) correctedActiveLayers[id] = 'upload';
+        else correctedActiveLayers[id] = 'base';
       });
-      prevActiveLayerRef.current = correctedActiveLayers.slice();
-      prevBaseColorsRef.current = mapped.baseColors.slice();
-      if (JSON.stringify(correctedActiveLayers) !== JSON.stringify(mapped.activeBaseLayers)) {
+      prevActiveLayerRef.current = { ...correctedActiveLayers };
+      prevBaseColorsRef.current = { ...mapped.baseColorById };
+      if (JSON.stringify(correctedActiveLayers) !== JSON.stringify(mapped.activeBaseLayerById)) {
         console.log('[App] corrected active layers', correctedActiveLayers);
       }
-      setActiveBaseLayers(correctedActiveLayers);
-      setBaseColors(mapped.baseColors);
-      setTitles3D(mapped.titles3D);
-      // hydrate glass flags if hook supports it; fall back to false if undefined
-      if (mapped.isGlassList) {
-        // useVaseDesignState currently may not have a setter; store in a local ref if needed
-        // We'll manage persistence per toggle action below
-      }
+      setActiveBaseLayerById(correctedActiveLayers);
+      setBaseColorById(mapped.baseColorById);
+      setTitle3DById(mapped.title3DById);
+      // Glass flags are read straight from the vase models at render time
       console.log('[App] hydration done');
     })();
     return () => { mounted = false; };
+    // Runs once per mount (the app remounts when switching boards)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
   // Ask for persistent storage when supported to reduce eviction risk under storage pressure
@@ -302,90 +483,61 @@ export default function App() {
     })();
   }, []);
 
-  // Load saved background image (skybox) once, with retries and Blob-safe handling
+  // Load the board's saved background image (skybox), with retries in case the storage driver is still warming up
   useEffect(() => {
+    if (!activeBoardId) return;
     let canceled = false;
+    const skyboxId = getSkyboxTextureId(activeBoardId);
     (async () => {
-      try { await textureStore.ready(); } catch {}
-      const KEY = 'skybox:background';
-      const tryLoad = async () => {
-        try {
-          const val = await textureStore.getItem(KEY);
-          if (!val) return null;
-          if (typeof val === 'string') {
-            if (val.startsWith('data:')) return val;
-            return null;
-          }
-          if (val instanceof Blob) {
-            return await new Promise((resolve) => {
-              const url = URL.createObjectURL(val);
-              // We can't know when React will unmount, but we can pre-load to ensure it's valid and revoke afterwards
-              const img = new Image();
-              img.onload = () => { URL.revokeObjectURL(url); resolve(val ? URL.createObjectURL(val) : null); };
-              img.onerror = () => { URL.revokeObjectURL(url); resolve(null); };
-              img.src = url;
-            });
-          }
-          if (val && typeof val === 'object' && val.dataURL && typeof val.dataURL === 'string') {
-            if (val.dataURL.startsWith('data:')) return val.dataURL;
-          }
-          return null;
-        } catch (e) {
-          console.warn('[App] Skybox load attempt failed', e);
-          return null;
-        }
-      };
-      // Try a few times in case the storage driver is still initializing after a hard refresh
-      let dataUrl = await tryLoad();
-      if (!dataUrl) {
+      let blob = await getTextureBlob(skyboxId);
+      if (!blob) {
         await new Promise((r) => setTimeout(r, 120));
-        dataUrl = await tryLoad();
+        blob = await getTextureBlob(skyboxId);
       }
-      if (!dataUrl) {
+      if (!blob) {
         await new Promise((r) => setTimeout(r, 240));
-        dataUrl = await tryLoad();
-      }
-      if (!canceled && typeof dataUrl === 'string' && dataUrl.startsWith('data:')) {
-        setSkyboxUrl(dataUrl);
+        blob = await getTextureBlob(skyboxId);
       }
+      if (!canceled && blob) setSkyboxUrl(URL.createObjectURL(blob));
     })();
     return () => { canceled = true; };
-  }, []);
+  }, [activeBoardId]);
+
+  // Release the previous skybox object URL whenever it is replaced or cleared
+  useEffect(() => () => { if (skyboxUrl) URL.revokeObjectURL(skyboxUrl); }, [skyboxUrl]);
 
   // Log active layer changes to confirm selection after hydration
   useEffect(() => {
-    console.log('[App] activeBaseLayers state', activeBaseLayers);
-  }, [activeBaseLayers]);
+    console.log('[App] activeBaseLayerById state', activeBaseLayerById);
+  }, [activeBaseLayerById]);
 
   // Persist newly assigned canvases or layer/color changes into storage
   useEffect(() => {
     // Compare and persist per vase
-    textureSourcesList.forEach((entry, i) => {
-      const prev = prevTexturesRef.current[i];
-      // Only persist the currently active layer for each vase into a fixed per-vase slot (1–9)
-      const active = activeBaseLayers[i];
-      let canvasToPersist = null;
-      let mime = 'image/png';
-      if (active === 'base' && entry.base) { canvasToPersist = entry.base; mime = 'image/png'; }
-      else if (active === 'upload' && entry.upload) { canvasToPersist = entry.upload; mime = 'image/jpeg'; }
-      else if (active === 'camera' && entry.camera) { canvasToPersist = entry.camera; mime = 'image/jpeg'; }
+    Object.entries(textureSourcesById).forEach(([id, entry]) => {
+      const prev = prevTexturesRef.current[id] ??= { base: null, upload: null, camera: null };
+      // Only persist the currently active layer for each vase (into the content-addressed texture library)
+      const active = activeBaseLayerById[id] ?? 'base';
+      const canvasToPersist = entry[active] ?? null;
+      const mime = LAYER_MIME[active] ?? 'image/png';
 
       if (canvasToPersist) {
-        const rec = prevFixedSlotRef.current[i];
+        const rec = prevSlotRef.current[id] ??= { layer: null, canvas: null };
         // Skip if nothing relevant changed (same layer and same canvas object)
         if (rec.layer === active && rec.canvas === canvasToPersist) {
           return;
         }
         (async () => {
           try {
-            const ref = await saveCanvasToFixedVaseSlot(i, canvasToPersist, mime);
+            // Uploads and photos are user content: keep them browsable in the library
+            const ref = await saveCanvasToLibrary(canvasToPersist, { mime, inLibrary: active !== 'base' });
             // Clear non-active slots so we don't keep dangling references; keep only the active
             const textureSlots = {
               base: active === 'base' ? ref : null,
               upload: active === 'upload' ? ref : null,
               camera: active === 'camera' ? ref : null,
             };
-            const updated = await updateVaseAt(vases, i, { appearance: { textureSlots } });
+            const updated = await updateVaseById(vases, id, { appearance: { textureSlots } });
             setVases(updated);
             // Update last persisted record
             rec.layer = active;
@@ -401,33 +553,68 @@ export default function App() {
     });
 
     // Active base layer changes
-    activeBaseLayers.forEach((layer, i) => {
-      if (layer !== prevActiveLayerRef.current[i]) {
-        console.log('[App] persist activeBaseLayer', i, layer);
+    Object.entries(activeBaseLayerById).forEach(([id, layer]) => {
+      if (layer !== (prevActiveLayerRef.current[id] ?? 'base')) {
+        console.log('[App] persist activeBaseLayer', id, layer);
         (async () => {
           try {
-            const updated = await updateVaseAt(vases, i, { appearance: { activeBaseLayer: layer } });
+            const updated = await updateVaseById(vases, id, { appearance: { activeBaseLayer: layer } });
             setVases(updated);
           } catch (e) { console.warn('Persist activeBaseLayer failed', e); }
         })();
-        prevActiveLayerRef.current[i] = layer;
+        prevActiveLayerRef.current[id] = layer;
       }
     });
 
     // Base color changes (e.g., via desktop sidebar panel)
-    baseColors.forEach((col, i) => {
-      if (col && col !== prevBaseColorsRef.current[i]) {
-        console.log('[App] persist baseColor', i, col);
+    Object.entries(baseColorById).forEach(([id, col]) => {
+      if (col && col !== (prevBaseColorsRef.current[id] ?? '#ffffff')) {
+        console.log('[App] persist baseColor', id, col);
         (async () => {
           try {
-            const updated = await updateVaseAt(vases, i, { appearance: { baseColor: col } });
+            const updated = await updateVaseById(vases, id, { appearance: { baseColor: col } });
             setVases(updated);
           } catch (e) { console.warn('Persist baseColor failed', e); }
         })();
-        prevBaseColorsRef.current[i] = col;
+        prevBaseColorsRef.current[id] = col;
+      }
+    });
+  }, [textureSourcesById, activeBaseLayerById, baseColorById, vases]);
+
+  // Texture memory: the focused vase is kept at full quality, the others at lower resolutions
+  const textureSizeById = useMemo(
+    () => planTextureSizes(vases, activeVaseId, textureSettings),
+    [vases, activeVaseId, textureSettings]
+  );
+
+  // Re-render sources that are not at their planned size (e.g. the newly focused vase from its originals)
+  useEffect(() => {
+    const stale = vases.filter((v) => textureSourcesById[v.id] && !textureSourcesMatchSize(textureSourcesById[v.id], textureSizeById[v.id]));
+    if (!stale.length) return;
+    let canceled = false;
+    (async () => {
+      for (const vase of stale) {
+        const sources = textureSourcesById[vase.id];
+        const resized = await resizeVaseTextureSources(sources, vase, textureSizeById[vase.id]);
+        if (canceled) return;
+        // Same design at another size: seed the persist trackers so nothing is stored again
+        const layer = activeBaseLayerById[vase.id] ?? 'base';
+        prevTexturesRef.current[vase.id] = { base: resized.base, upload: resized.upload, camera: resized.camera };
+        if (resized[layer]) prevSlotRef.current[vase.id] = { layer, canvas: resized[layer] };
+        // Skipped if the design changed meanwhile; the next run picks the new sources up
+        setTextureSourcesForVase(vase.id, (prev) => (prev === sources ? resized : prev));
       }
+    })();
+    return () => { canceled = true; };
+  }, [vases, textureSourcesById, textureSizeById, activeBaseLayerById, setTextureSourcesForVase]);
+
+  const handleTextureSettingsChange = useCallback((patch) => {
+    setTextureSettings((prev) => ({ ...prev, ...patch }));
+    savePrefs({
+      ...(patch.quality !== undefined && { textureQuality: patch.quality }),
+      ...(patch.budgetMB !== undefined && { textureBudgetMB: patch.budgetMB }),
     });
-  }, [textureSourcesList, activeBaseLayers, baseColors, vases]);
+  }, []);
 
   // One-time title size to fit viewport (non-reactive)
   const [titleSize, setTitleSize] = useState(1);
@@ -479,7 +666,7 @@ export default function App() {
   const startTitleToVasesTransition = useCallback(() => {
     if (!controlsRef.current) return;
     const cam = controlsRef.current.object;
-    const newTarget = getVaseTarget(activeVaseIndex);
+    const newTarget = getVaseTarget(activeVaseIndex, columns);
     const offset = defaultOffset.current.clone(); // preserve standard distance/orientation for vase view
     const toPos = newTarget.clone().add(offset);
     // Update defaults to the vase view going forward
@@ -498,7 +685,7 @@ export default function App() {
       minProgressForEarlyEnd: 0.55,
     };
     setIsResetting(true);
-  }, [activeVaseIndex, getVaseTarget]);
+  }, [activeVaseIndex, columns]);
 
 
   // Keyboard navigation between vases and simple coin spawn on Space
@@ -511,32 +698,102 @@ export default function App() {
         focusVase(activeVaseIndex - 1);
       } else if (e.code === 'Space' && !e.repeat) {
         e.preventDefault();
-        if (!isLocked) spawnCoinForVase(activeVaseIndex);
+        if (!isLocked && activeVaseId) spawnCoinsForVase(activeVaseId);
       }
     };
     window.addEventListener('keydown', onKey);
     return () => window.removeEventListener('keydown', onKey);
-  }, [appMode, focusVase, activeVaseIndex, isLocked, spawnCoinForVase]);
+  }, [appMode, focusVase, activeVaseIndex, activeVaseId, isLocked, spawnCoinsForVase]);
+
+  // Returning users skip the title: put the camera on the restored vase and framing without animating
+  useEffect(() => {
+    if (!pendingViewRestoreRef.current || appMode !== 'vases' || !activeVase) return;
+    let raf = 0;
+    const snap = () => {
+      const controls = controlsRef.current;
+      if (!controls) { raf = requestAnimationFrame(snap); return; }
+      const target = getVaseTarget(activeVaseIndex, columns);
+      defaultTarget.current.copy(target);
+      controls.target.copy(target);
+      controls.object.position.copy(target.clone().add(defaultOffset.current));
+      controls.update();
+      pendingViewRestoreRef.current = false;
+    };
+    snap();
+    return () => cancelAnimationFrame(raf);
+  }, [appMode, activeVase, activeVaseIndex, columns]);
+
+  // Deep links: keep the hash in sync with the active vase and stats panel. Switching vases
+  // pushes a history entry (so back/forward moves between vases); toggling stats replaces it.
+  useEffect(() => {
+    if (appMode !== 'vases' || !activeVaseId) return;
+    const hash = vaseRouteHash(activeVaseId, { stats: isStatsModalOpen });
+    if (window.location.hash === hash) return;
+    const current = parseRoute(window.location.hash);
+    if (current.name === 'vase' && current.vaseId !== activeVaseId) window.history.pushState(null, '', hash);
+    else window.history.replaceState(null, '', hash);
+  }, [appMode, activeVaseId, isStatsModalOpen]);
+
+  // Follow hash changes (back/forward, edited or pasted links)
+  useEffect(() => {
+    const onHashChange = () => {
+      const route = parseRoute(window.location.hash);
+      if (route.name !== 'vase') return;
+      const index = vases.findIndex((v) => v.id === route.vaseId);
+      if (index < 0) {
+        // A vase on another board: reopen the app there (hydration follows the link)
+        findBoardForVase(boards, route.vaseId).then((boardId) => {
+          if (boardId && boardId !== activeBoardId) onBoardChange();
+        });
+        return;
+      }
+      if (appMode !== 'vases') {
+        // Skip the title screen (and any pending connect delay)
+        clearTimeout(connectTimerRef.current);
+        setIsConnecting(false);
+        pendingViewRestoreRef.current = true;
+        setActiveVaseId(route.vaseId);
+        setAppMode('vases');
+      } else if (route.vaseId !== activeVaseId) {
+        focusVase(index);
+      }
+      setIsStatsModalOpen(route.panel === 'stats');
+    };
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, [vases, boards, activeBoardId, appMode, activeVaseId, focusVase, onBoardChange]);
+
+  // Remember the active vase across reloads
+  useEffect(() => {
+    if (activeVaseId) savePrefs({ activeVaseId });
+  }, [activeVaseId]);
+
+  // Remember the live camera framing when the page is hidden or closed
+  useEffect(() => {
+    if (appMode !== 'vases') return;
+    const saveFraming = () => {
+      const controls = controlsRef.current;
+      if (!controls || document.visibilityState === 'visible') return;
+      savePrefs({ cameraOffset: controls.object.position.clone().sub(controls.target).toArray() });
+    };
+    window.addEventListener('pagehide', saveFraming);
+    document.addEventListener('visibilitychange', saveFraming);
+    return () => {
+      window.removeEventListener('pagehide', saveFraming);
+      document.removeEventListener('visibilitychange', saveFraming);
+    };
+  }, [appMode]);
+
+  // Follow the active vase when its grid slot changes (vases added, removed or reordered)
+  useEffect(() => {
+    if (appMode !== 'vases' || !activeVase) return;
+    if (defaultTarget.current.distanceToSquared(getVaseTarget(activeVaseIndex, columns)) < 1e-6) return;
+    flyToVase(activeVaseIndex);
+  }, [appMode, activeVase, activeVaseIndex, columns, flyToVase]);
 
   // Helpers to update per-vase structures
   // setter helpers provided by useVaseDesignState
 
-  // Compose textures for each vase (could optimize with memoization; fine for small counts)
-  const composedTextures = textureSourcesList.map((srcs, i) => {
-    const activeLayer = activeBaseLayers[i];
-    const baseParam = activeLayer === 'base' ? srcs.base : null;
-    const uploadParam = activeLayer === 'upload' ? srcs.upload : null;
-    const cameraParam = activeLayer === 'camera' ? srcs.camera : null;
-    return useComposedTexture({
-      base: baseParam,
-      upload: uploadParam,
-      camera: cameraParam,
-      text: srcs.text,
-      fallbackColor: '#f8f8f8',
-      size: 1024,
-    }).texture;
-  });
-
   const defaultTexture = useMemo(() => {
     const canvas = document.createElement("canvas");
     canvas.width = canvas.height = 2;
@@ -597,27 +854,28 @@ export default function App() {
   // Trigger manifest via sidebar action: spawn one coin above the active vase
   useEffect(() => {
     if (activeAction !== 'manifest') return;
-    if (!isLocked) spawnCoinForVase(activeVaseIndex);
+    if (!isLocked && activeVaseId) spawnCoinsForVase(activeVaseId);
     setActiveAction(null);
-  }, [activeAction, activeVaseIndex, isLocked, spawnCoinForVase]);
+  }, [activeAction, activeVaseId, isLocked, spawnCoinsForVase]);
 
   // Trigger destroy when action becomes 'destroy'.
   useEffect(() => {
     if (activeAction !== 'destroy') return;
-    const idx = activeVaseIndex;
+    const vaseId = activeVaseId;
+    if (!vaseId) { setActiveAction(null); return; }
 
     // If a destroy is already in progress
-    if (destroyingIndex !== null) {
+    if (destroyingVaseId !== null) {
       // Re-trigger only if it's the same vase: restart the shatter animation for a nicer feel
-      if (destroyingIndex === idx) {
+      if (destroyingVaseId === vaseId) {
         // bump trigger id so VaseModel restarts its shatter
         setDestroyEventId((id) => id + 1);
         // reopen the sensor window
-        setVaseSensorWindows(prev => prev.map((v, i) => i === idx ? true : v));
-        if (sensorTimersRef.current[idx]) clearTimeout(sensorTimersRef.current[idx]);
-        sensorTimersRef.current[idx] = setTimeout(() => {
-          setVaseSensorWindows(prev => prev.map((v, i) => i === idx ? false : v));
-          delete sensorTimersRef.current[idx];
+        setVaseSensorWindows(prev => ({ ...prev, [vaseId]: true }));
+        if (sensorTimersRef.current[vaseId]) clearTimeout(sensorTimersRef.current[vaseId]);
+        sensorTimersRef.current[vaseId] = setTimeout(() => {
+          setVaseSensorWindows(prev => ({ ...prev, [vaseId]: false }));
+          delete sensorTimersRef.current[vaseId];
         }, DESTROY_SENSOR_WINDOW_MS);
       }
       setActiveAction(null);
@@ -625,19 +883,19 @@ export default function App() {
     }
 
     // Fresh destroy start
-    if (destroyingVasesRef.current.has(idx)) { setActiveAction(null); return; }
-    destroyingVasesRef.current.add(idx);
+    if (destroyingVasesRef.current.has(vaseId)) { setActiveAction(null); return; }
+    destroyingVasesRef.current.add(vaseId);
     setIsLocked(true);
-    setDestroyingIndex(idx);
+    setDestroyingVaseId(vaseId);
     setDestroyEventId((id) => id + 1);
-    setVaseSensorWindows(prev => prev.map((v, i) => i === idx ? true : v));
-    if (sensorTimersRef.current[idx]) { clearTimeout(sensorTimersRef.current[idx]); }
-    sensorTimersRef.current[idx] = setTimeout(() => {
-      setVaseSensorWindows(prev => prev.map((v, i) => i === idx ? false : v));
-      delete sensorTimersRef.current[idx];
+    setVaseSensorWindows(prev => ({ ...prev, [vaseId]: true }));
+    if (sensorTimersRef.current[vaseId]) { clearTimeout(sensorTimersRef.current[vaseId]); }
+    sensorTimersRef.current[vaseId] = setTimeout(() => {
+      setVaseSensorWindows(prev => ({ ...prev, [vaseId]: false }));
+      delete sensorTimersRef.current[vaseId];
     }, DESTROY_SENSOR_WINDOW_MS);
     setActiveAction(null);
-  }, [activeAction, isLocked, destroyingIndex, activeVaseIndex]);
+  }, [activeAction, isLocked, destroyingVaseId, activeVaseId]);
 
   // Measure mobile bottom bar to keep vase centered in visible area (not hidden behind overlay)
   useEffect(() => {
@@ -706,7 +964,7 @@ export default function App() {
 
   // Hold 'Z' to allow zoom even when not dragging
   useEffect(() => {
-    const onDown = (e) => { if (e.key === 'z' || e.key === 'Z') setZoomKeyDown(true); };
+    const onDown = (e) => { if ((e.key === 'z' || e.key === 'Z') && !e.ctrlKey && !e.metaKey) setZoomKeyDown(true); };
     const onUp = (e) => { if (e.key === 'z' || e.key === 'Z') setZoomKeyDown(false); };
     window.addEventListener('keydown', onDown);
     window.addEventListener('keyup', onUp);
@@ -778,52 +1036,365 @@ export default function App() {
   // Quick actions: overlay text, 3D title, base color
   const colorInputRef = useRef(null);
 
-  const handleSetOverlayText = useCallback(() => {
-    if (appMode !== 'vases' || isLocked || isResetting) return;
-    const input = window.prompt('Enter overlay text for this vase (leave empty to clear):', '');
-    if (input === null) return; // canceled
-    const s = input.trim();
-    if (!s) {
-      setTextureSourcesForVase(activeVaseIndex, (prev) => ({ ...prev, text: null }));
-      (async () => {
-        try {
-          const updated = await updateVaseAt(vases, activeVaseIndex, {
-            appearance: { textureSlots: { textOverlay: '' } },
-          });
-          setVases(updated);
-        } catch (e) { console.warn('Failed to persist textOverlay clear', e); }
-      })();
-      return;
+  // Undo/redo for design edits: snapshot a vase's design before each change and restore it on demand
+  const captureDesign = useCallback((vaseId) => {
+    const vase = vases.find((v) => v.id === vaseId);
+    return {
+      sources: textureSourcesById[vaseId] ?? EMPTY_TEXTURE_SOURCES,
+      activeLayer: activeBaseLayerById[vaseId] ?? 'base',
+      baseColor: baseColorById[vaseId] ?? '#ffffff',
+      title3D: title3DById[vaseId] ?? '',
+      overlay: vase?.appearance?.textureSlots?.textOverlay ?? null,
+      // Kept with the base canvas (see renderPatternTexture); listed here for change checks
+      pattern: vase?.appearance?.textureSlots?.base?.pattern ?? null,
+      layers: vase?.appearance?.layers ?? [],
+      isGlass: !!vase?.appearance?.isGlass,
+      coin: vase?.appearance?.coin ?? null,
+    };
+  }, [vases, textureSourcesById, activeBaseLayerById, baseColorById, title3DById]);
+
+  // `patch` carries extra vase fields written in the same update (e.g. the name from the editor)
+  const applyDesign = useCallback((vaseId, snap, patch = {}) => {
+    const { sources, activeLayer } = snap;
+    const canvas = sources[activeLayer] ?? null;
+    // Seed the persist trackers: the whole snapshot is written once below
+    prevActiveLayerRef.current[vaseId] = activeLayer;
+    prevBaseColorsRef.current[vaseId] = snap.baseColor;
+    if (canvas) prevSlotRef.current[vaseId] = { layer: activeLayer, canvas };
+    setTextureSourcesForVase(vaseId, () => sources);
+    setActiveBaseLayerForVase(vaseId, activeLayer);
+    setBaseColorForVase(vaseId, snap.baseColor);
+    setTitle3DForVase(vaseId, snap.title3D);
+    // Layers and coins render from the vase record, so put them in place before the async write
+    setVases((prev) => prev.map((v) => (v.id === vaseId ? { ...v, appearance: { ...v.appearance, layers: snap.layers, coin: snap.coin } } : v)));
+    (async () => {
+      try {
+        const textureSlots = { base: null, upload: null, camera: null, paint: null, textOverlay: snap.overlay };
+        if (canvas) {
+          // Re-encoding an unchanged canvas yields the same content hash, so this reuses the library entry
+          textureSlots[activeLayer] = await saveCanvasToLibrary(canvas, { mime: LAYER_MIME[activeLayer], inLibrary: activeLayer !== 'base' });
+        }
+        if (sources.paint) textureSlots.paint = await saveCanvasToLibrary(sources.paint, { mime: 'image/png' });
+        const updated = await updateVaseById(vases, vaseId, {
+          ...patch,
+          labels: { vaseText: snap.title3D },
+          appearance: { baseColor: snap.baseColor, activeBaseLayer: activeLayer, isGlass: snap.isGlass, textureSlots, layers: snap.layers, coin: snap.coin },
+        });
+        setVases(updated);
+      } catch (e) { console.warn('Failed to persist restored design', e); }
+    })();
+  }, [vases, setTextureSourcesForVase, setActiveBaseLayerForVase, setBaseColorForVase, setTitle3DForVase]);
+
+  const { record: recordDesign, undo: undoDesign, redo: redoDesign, clearHistory, getHistory } = useDesignHistory({
+    capture: captureDesign,
+    apply: applyDesign,
+  });
+  const activeHistory = getHistory(activeVaseId);
+
+  const handleUndo = useCallback(() => {
+    if (appMode !== 'vases' || isLocked || isResetting || !activeVaseId) return;
+    undoDesign(activeVaseId);
+  }, [appMode, isLocked, isResetting, activeVaseId, undoDesign]);
+
+  const handleRedo = useCallback(() => {
+    if (appMode !== 'vases' || isLocked || isResetting || !activeVaseId) return;
+    redoDesign(activeVaseId);
+  }, [appMode, isLocked, isResetting, activeVaseId, redoDesign]);
+
+  // Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redo; left alone while typing in a field
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const key = e.key.toLowerCase();
+      if (key !== 'z' && key !== 'y') return;
+      const el = e.target;
+      if (el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.isContentEditable)) return;
+      e.preventDefault();
+      if (key === 'y' || e.shiftKey) handleRedo();
+      else handleUndo();
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [handleUndo, handleRedo]);
+
+  // Paint mode (see handlePaintStrokeStart below); the editor and placement steps close it
+  const [painting, setPainting] = useState(null); // { vaseId, brush, turning } | null
+
+  // Vase editor (slide-over): the draft is previewed live on the vase and only stored on save
+  const [editor, setEditor] = useState(null); // { vaseId, focusField, draft } | null
+  const openEditor = useCallback((focusField = 'name') => {
+    if (appMode !== 'vases' || isLocked || isResetting || !activeVase) return;
+    const design = captureDesign(activeVase.id);
+    setPainting(null);
+    // Already editing this vase: keep the draft, just move to the requested field
+    setEditor((prev) => (prev?.vaseId === activeVase.id ? { ...prev, focusField } : {
+      vaseId: activeVase.id,
+      focusField,
+      draft: {
+        name: activeVase.name || '',
+        overlay: design.overlay ?? createTextOverlay(),
+        layers: design.layers,
+        // Images picked for new image layers, by layer id (stored in the library already)
+        layerSources: {},
+        title3D: design.title3D,
+        baseColor: design.baseColor,
+        pattern: design.pattern,
+        isGlass: design.isGlass,
+        coin: design.coin,
+        activeLayer: design.activeLayer,
+      },
+    }));
+  }, [appMode, isLocked, isResetting, activeVase, captureDesign]);
+
+  const updateEditorDraft = useCallback((patch) => {
+    setEditor((prev) => (prev ? { ...prev, draft: { ...prev.draft, ...patch } } : prev));
+  }, []);
+
+  // Editing follows the active vase: switching vases or locking (destroy) drops the draft
+  useEffect(() => {
+    if (editor && (editor.vaseId !== activeVaseId || isLocked)) setEditor(null);
+  }, [editor, activeVaseId, isLocked]);
+
+  // The draft's overlay and text layers are only drawn once their fonts have loaded
+  const isEditorFontReady = useOverlayFonts(editor ? [editor.draft.overlay.font, ...getLayerFontKeys(editor.draft.layers)] : []);
+
+  // The draft's pattern is only regenerated when the recipe changes, not on every keystroke
+  const draftPattern = editor?.draft.pattern ?? null;
+  const draftPatternCanvas = useMemo(() => (draftPattern ? renderPatternTexture(draftPattern, textureSize) : null), [draftPattern, textureSize]);
+
+  // Design of the vase being edited as it would look saved (replaces its stored design in the scene)
+  const editorPreview = useMemo(() => {
+    if (!editor) return null;
+    const { vaseId, draft } = editor;
+    const sources = textureSourcesById[vaseId] ?? EMPTY_TEXTURE_SOURCES;
+    const overlayText = draft.overlay.text.trim();
+    const overlay = overlayText ? { ...draft.overlay, text: overlayText } : null;
+    const colorChanged = draft.baseColor !== (baseColorById[vaseId] ?? '#ffffff') && /^#[0-9a-f]{6}$/i.test(draft.baseColor);
+    const storedPattern = vases.find((v) => v.id === vaseId)?.appearance?.textureSlots?.base?.pattern ?? null;
+    let base = sources.base;
+    if (draft.pattern) {
+      if (JSON.stringify(draft.pattern) !== JSON.stringify(storedPattern)) base = draftPatternCanvas;
+    } else if (colorChanged || storedPattern) {
+      base = createSolidColorCanvas(colorChanged ? draft.baseColor : (baseColorById[vaseId] ?? '#ffffff'), textureSize);
     }
-    const canvas = createTextOverlayCanvas(s, 1024);
-    if (canvas) {
-      setTextureSourcesForVase(activeVaseIndex, (prev) => ({ ...prev, text: canvas }));
-      (async () => {
-        try {
-          const updated = await updateVaseAt(vases, activeVaseIndex, {
-            appearance: { textureSlots: { textOverlay: s } },
-          });
-          setVases(updated);
-        } catch (e) { console.warn('Failed to persist textOverlay', e); }
-      })();
+    return {
+      sources: {
+        ...sources,
+        base,
+        text: overlay && isEditorFontReady ? createTextOverlayCanvas(overlay, textureSize) : null,
+        layers: { ...sources.layers, ...draft.layerSources },
+      },
+      // Text layers wait for their fonts (stored layers are taken from the draft on save)
+      layers: isEditorFontReady ? draft.layers : draft.layers.filter((l) => l.kind !== 'text'),
+      activeLayer: draft.activeLayer,
+      baseColor: colorChanged ? draft.baseColor : (baseColorById[vaseId] ?? '#ffffff'),
+      title3D: draft.title3D.trim(),
+      overlay,
+      pattern: draft.pattern,
+      isGlass: draft.isGlass,
+      coin: draft.coin,
+    };
+  }, [editor, isEditorFontReady, draftPatternCanvas, vases, textureSourcesById, baseColorById, textureSize]);
+
+  // New image layer in the editor: the picked file goes to the texture library right away (like uploads)
+  const handleAddEditorImageLayer = useCallback(async (file) => {
+    try {
+      const texture = await addBlobToLibrary(file, { inLibrary: true });
+      const canvas = await loadCanvasFromTextureRef(texture, textureSize);
+      if (!canvas) throw new Error('image could not be decoded');
+      const layer = createLayer('image', { texture });
+      setEditor((prev) => (prev ? {
+        ...prev,
+        draft: {
+          ...prev.draft,
+          layers: [...prev.draft.layers, layer],
+          layerSources: { ...prev.draft.layerSources, [layer.id]: canvas },
+        },
+      } : prev));
+    } catch (e) {
+      console.warn('Failed to add image layer', e);
+      alertDialog({ title: 'could not add image', message: 'Failed to load that image.' });
     }
-  }, [appMode, isLocked, isResetting, activeVaseIndex, setTextureSourcesForVase, createTextOverlayCanvas]);
+  }, [textureSize, alertDialog]);
 
-  const handleSet3DTitle = useCallback(() => {
-    if (appMode !== 'vases' || isLocked || isResetting) return;
-    const current = titles3D[activeVaseIndex] || '';
-    const input = window.prompt('Enter 3D title text (leave empty to clear):', current);
-    if (input === null) return; // canceled
-    const s = input.trim();
-    setTitle3DForVase(activeVaseIndex, s);
-    // Persist 3D text on the model
+  // Coin emblem image: also stored in the library right away, so the preview coins can load it
+  const handlePickCoinImage = useCallback(async (file) => {
+    try {
+      const texture = await addBlobToLibrary(file, { inLibrary: true });
+      setEditor((prev) => (prev ? {
+        ...prev,
+        draft: { ...prev.draft, coin: { ...(prev.draft.coin ?? createCoinDesign()), emblem: { kind: 'image', texture } } },
+      } : prev));
+    } catch (e) {
+      console.warn('Failed to add coin emblem', e);
+      alertDialog({ title: 'could not use image', message: 'Failed to load that image.' });
+    }
+  }, [alertDialog]);
+
+  const handleSaveEditor = useCallback(() => {
+    if (!editor || !editorPreview) return;
+    const { vaseId, draft } = editor;
+    const name = draft.name.trim();
+    const before = captureDesign(vaseId);
+    const design = { ...editorPreview, layers: draft.layers };
+    const changed = ['activeLayer', 'baseColor', 'title3D', 'isGlass'].some((k) => before[k] !== design[k])
+      || JSON.stringify(before.overlay) !== JSON.stringify(design.overlay)
+      || JSON.stringify(before.pattern) !== JSON.stringify(design.pattern)
+      || JSON.stringify(before.layers) !== JSON.stringify(design.layers)
+      || JSON.stringify(before.coin) !== JSON.stringify(design.coin);
+    if (changed) {
+      recordDesign(vaseId, 'edit');
+      applyDesign(vaseId, design, { name });
+    } else if (name !== (activeVase?.name || '')) {
+      updateVaseById(vases, vaseId, { name }).then(setVases);
+    }
+    setEditor(null);
+  }, [editor, editorPreview, activeVase, vases, captureDesign, recordDesign, applyDesign]);
+
+  // Placement step for uploads and photos: the placed texture is previewed live and only stored on apply
+  const [placing, setPlacing] = useState(null); // { vaseId, layer, image, blob, ref, placement, label } | null
+  const startPlacement = useCallback((layer, image, { blob = null, ref = null, label } = {}) => {
+    if (appMode !== 'vases' || isLocked || isResetting || !activeVaseId) return;
+    setEditor(null);
+    setPainting(null);
+    setPlacing({
+      vaseId: activeVaseId,
+      layer,
+      image,
+      blob,
+      ref,
+      placement: { ...DEFAULT_PLACEMENT, ...ref?.placement },
+      label: label ?? (layer === 'camera' ? 'photo' : 'upload'),
+    });
+  }, [appMode, isLocked, isResetting, activeVaseId]);
+
+  const updatePlacement = useCallback((next) => {
+    setPlacing((prev) => (prev ? { ...prev, placement: typeof next === 'function' ? next(prev.placement) : next } : prev));
+  }, []);
+
+  useEffect(() => {
+    if (placing && (placing.vaseId !== activeVaseId || isLocked)) setPlacing(null);
+  }, [placing, activeVaseId, isLocked]);
+
+  const placementTexture = useMemo(
+    () => (placing ? renderPlacedImage(placing.image, placing.placement, textureSize) : null),
+    [placing, textureSize]
+  );
+
+  const placementPreview = useMemo(() => {
+    if (!placing || !placementTexture) return null;
+    const design = captureDesign(placing.vaseId);
+    return { ...design, sources: { ...design.sources, [placing.layer]: placementTexture }, activeLayer: placing.layer };
+  }, [placing, placementTexture, captureDesign]);
+
+  const handleApplyPlacement = useCallback(() => {
+    if (!placing || !placementTexture) return;
+    const { vaseId, layer, image, blob, ref, placement, label } = placing;
+    const canvas = placementTexture;
+    setPlacing(null);
+    recordDesign(vaseId, label);
+    // Seed the persist trackers: the slot is written below with the original image and its placement
+    prevSlotRef.current[vaseId] = { layer, canvas };
+    prevActiveLayerRef.current[vaseId] = layer;
+    setTextureSourcesForVase(vaseId, (s) => ({ ...s, [layer]: canvas }));
+    setActiveBaseLayerForVase(vaseId, layer);
     (async () => {
       try {
-        const updated = await updateVaseAt(vases, activeVaseIndex, { labels: { vaseText: s } });
+        const original = ref ?? await addBlobToLibrary(blob ?? await canvasToBlob(image, LAYER_MIME[layer]), {
+          width: image.naturalWidth || image.width,
+          height: image.naturalHeight || image.height,
+          inLibrary: true,
+        });
+        const slotRef = { id: original.id, mime: original.mime, width: original.width, height: original.height, placement };
+        rememberCanvasSource(canvas, slotRef);
+        const updated = await updateVaseById(vases, vaseId, {
+          appearance: {
+            activeBaseLayer: layer,
+            textureSlots: { base: null, upload: layer === 'upload' ? slotRef : null, camera: layer === 'camera' ? slotRef : null },
+          },
+        });
         setVases(updated);
-      } catch (e) { console.warn('Failed to persist 3D title', e); }
+      } catch (e) {
+        console.warn('Failed to store placed image', e);
+        alertDialog({ title: 'could not save image', message: 'See console for details.' });
+      }
     })();
-  }, [appMode, isLocked, isResetting, activeVaseIndex, titles3D, setTitle3DForVase]);
+  }, [placing, placementTexture, vases, recordDesign, setTextureSourcesForVase, setActiveBaseLayerForVase, alertDialog]);
+
+  const handleUploadFile = useCallback(async (file) => {
+    try {
+      startPlacement('upload', await loadImageFromBlob(file), { blob: file });
+    } catch (e) {
+      console.warn('[App] upload could not be decoded', e);
+      alertDialog({ title: 'could not load image', message: 'Please try a different file.' });
+    }
+  }, [startPlacement, alertDialog]);
+
+  // Re-place the stored upload or photo of the active vase (from its original)
+  const handleAdjustPlacement = useCallback(async (layer) => {
+    const ref = activeVase?.appearance?.textureSlots?.[layer];
+    const blob = ref?.id ? await getTextureBlob(ref.id) : null;
+    if (!blob) {
+      alertDialog({ title: 'still saving', message: 'This image is still being saved. Try again in a moment.' });
+      return;
+    }
+    try {
+      startPlacement(layer, await loadImageFromBlob(blob), { ref, label: 'placement' });
+    } catch (e) { console.warn('[App] stored image could not be decoded', e); }
+  }, [activeVase, startPlacement, alertDialog]);
+
+  // Paint mode: drags on the active vase paint into its paint layer, one undo step per stroke
+  const startPainting = useCallback(() => {
+    if (appMode !== 'vases' || isLocked || isResetting || !activeVaseId) return;
+    setEditor(null);
+    setPlacing(null);
+    setPainting((prev) => (prev?.vaseId === activeVaseId ? prev : { vaseId: activeVaseId, brush: { ...DEFAULT_BRUSH }, turning: false }));
+  }, [appMode, isLocked, isResetting, activeVaseId]);
+
+  useEffect(() => {
+    if (painting && (painting.vaseId !== activeVaseId || isLocked)) setPainting(null);
+  }, [painting, activeVaseId, isLocked]);
+
+  // Each stroke paints into a copy of the layer, so the canvas undo kept stays as it was
+  const handlePaintStrokeStart = useCallback(() => {
+    if (!painting) return null;
+    const { vaseId } = painting;
+    recordDesign(vaseId, 'paint');
+    const canvas = createPaintCanvas(textureSize, textureSourcesById[vaseId]?.paint ?? null);
+    if (canvas) setTextureSourcesForVase(vaseId, (prev) => ({ ...prev, paint: canvas }));
+    return canvas;
+  }, [painting, textureSourcesById, recordDesign, setTextureSourcesForVase, textureSize]);
+
+  const persistPaint = useCallback(async (vaseId, canvas) => {
+    try {
+      let paint = null;
+      if (canvas) {
+        paint = await saveCanvasToLibrary(canvas, { mime: 'image/png' });
+        // Later saves of the same layer (undo, editor) reuse this entry without re-encoding
+        rememberCanvasSource(canvas, paint);
+      }
+      const updated = await updateVaseById(vases, vaseId, { appearance: { textureSlots: { paint } } });
+      setVases(updated);
+    } catch (e) { console.warn('Failed to persist paint', e); }
+  }, [vases]);
+
+  const handlePaintStrokeEnd = useCallback((canvas) => {
+    if (painting) persistPaint(painting.vaseId, canvas);
+  }, [painting, persistPaint]);
+
+  const handleClearPaint = useCallback(() => {
+    if (!painting || !textureSourcesById[painting.vaseId]?.paint) return;
+    const { vaseId } = painting;
+    recordDesign(vaseId, 'clear paint');
+    setTextureSourcesForVase(vaseId, (prev) => ({ ...prev, paint: null }));
+    persistPaint(vaseId, null);
+  }, [painting, textureSourcesById, recordDesign, setTextureSourcesForVase, persistPaint]);
+
+  const paintMode = useMemo(() => (painting && !painting.turning ? {
+    brush: painting.brush,
+    onStrokeStart: handlePaintStrokeStart,
+    onStrokeEnd: handlePaintStrokeEnd,
+  } : undefined), [painting, handlePaintStrokeStart, handlePaintStrokeEnd]);
 
   const handleOpenColorPicker = useCallback(() => {
     if (appMode !== 'vases' || isLocked || isResetting) return;
@@ -832,21 +1403,23 @@ export default function App() {
 
   const handleColorPicked = useCallback((e) => {
     const val = e?.target?.value;
-    if (!val) return;
-    const idx = activeVaseIndex;
-    setBaseColorForVase(idx, val);
+    if (!val || !activeVaseId) return;
+    const vaseId = activeVaseId;
+    // The picker fires continuously while dragging; keep that as one undo step
+    recordDesign(vaseId, 'vase color', { coalesceMs: 1500 });
+    setBaseColorForVase(vaseId, val);
     // Also set the vase base texture to this solid color and select 'base' layer
-    const canvas = createSolidColorCanvas(val, 1024);
-    if (canvas) setTextureSourcesForVase(idx, (prev) => ({ ...prev, base: canvas }));
-    setActiveBaseLayerForVase(idx, 'base');
+    const canvas = createSolidColorCanvas(val, textureSize);
+    if (canvas) setTextureSourcesForVase(vaseId, (prev) => ({ ...prev, base: canvas }));
+    setActiveBaseLayerForVase(vaseId, 'base');
     // Persist base color and base canvas as a stored texture
     (async () => {
       try {
         let baseRef = null;
         if (canvas) {
-          baseRef = await saveCanvasToFixedVaseSlot(idx, canvas, 'image/png');
+          baseRef = await saveCanvasToLibrary(canvas, { mime: 'image/png' });
         }
-        const updated = await updateVaseAt(vases, idx, {
+        const updated = await updateVaseById(vases, vaseId, {
           appearance: {
             baseColor: val,
             activeBaseLayer: 'base',
@@ -858,26 +1431,29 @@ export default function App() {
         console.warn('Failed to persist base color/texture', err);
       }
     })();
-  }, [activeVaseIndex, setBaseColorForVase, setTextureSourcesForVase, setActiveBaseLayerForVase, createSolidColorCanvas]);
+  }, [activeVaseId, vases, setBaseColorForVase, setTextureSourcesForVase, setActiveBaseLayerForVase, recordDesign, textureSize]);
 
-  // One-time cleanup: ensure only fixed per-vase texture ids remain in the textures store
-  const didCleanupTexturesRef = useRef(false);
+  // Texture garbage collection: after vases settle, drop stored textures no vase on any board references
+  // (library entries the user kept and skyboxes are never collected)
+  const [otherBoardsVases, setOtherBoardsVases] = useState(null); // null until read
   useEffect(() => {
-    if (didCleanupTexturesRef.current) return;
-    // Delay slightly to allow initial migration persistence to run
+    if (!activeBoardId) return;
+    let canceled = false;
+    readOtherBoardsVases(boards, activeBoardId).then((list) => { if (!canceled) setOtherBoardsVases(list); });
+    return () => { canceled = true; };
+  }, [boards, activeBoardId]);
+  const textureReferenceCounts = useMemo(
+    () => countTextureReferences([...vases, ...(archivedVases ?? []), ...(otherBoardsVases ?? [])]),
+    [vases, archivedVases, otherBoardsVases]
+  );
+  useEffect(() => {
+    // Never run against the empty pre-load state: every texture would look unreferenced
+    if (!vases.length || !archivedVases || !otherBoardsVases) return;
     const t = setTimeout(() => {
-      const allowed = new Set([
-        // Preserve fixed vase slots
-        ...Array.from({ length: VASE_COUNT }, (_, i) => getFixedVaseSlotId(i)),
-        // Also preserve the skybox background image key
-        'skybox:background',
-      ]);
-      cleanupTexturesExcept(allowed).then(() => {
-        didCleanupTexturesRef.current = true;
-      }).catch(() => { /* ignore */ });
+      collectTextureGarbage(textureReferenceCounts).catch(() => { /* ignore */ });
     }, 1000);
     return () => clearTimeout(t);
-  }, [vases]);
+  }, [vases, archivedVases, otherBoardsVases, textureReferenceCounts]);
 
   // Stats modal callbacks
   const handleOpenStatsModal = useCallback(() => {
@@ -890,36 +1466,212 @@ export default function App() {
   }, []);
 
   const handleResetVase = useCallback(async () => {
-    if (appMode !== 'vases') return;
-    const ok = window.confirm("are you sure? you'll lose all progress on this vase");
+    if (appMode !== 'vases' || !activeVaseId) return;
+    const ok = await confirmDialog({
+      title: 'reset this vase?',
+      message: "are you sure? you'll lose all progress on this vase",
+      confirmLabel: 'reset vase',
+      danger: true,
+    });
     if (!ok) return;
-    const idx = activeVaseIndex;
+    const vaseId = activeVaseId;
     try {
+      // Zero the derived counters; earlier history stays in the log
+      logActivity(vaseId, 'reset');
       // Reset DB fields for this vase
-      const updated = await updateVaseAt(vases, idx, {
+      const updated = await updateVaseById(vases, vaseId, {
         name: '',
-        stats: { destroyCount: 0, coinAmount: 0 },
         // Also reset creation time so it appears as newly created
         createdAt: new Date().toISOString(),
+        // Progress starts over, so an earlier completion no longer holds
+        completedAt: null,
         appearance: {
           baseColor: '#ffffff',
           activeBaseLayer: 'base',
           isGlass: false,
-          textureSlots: { base: undefined, upload: undefined, camera: undefined, textOverlay: '' },
+          textureSlots: { base: undefined, upload: undefined, camera: undefined, paint: undefined, textOverlay: null },
+          layers: [],
         },
       });
       setVases(updated);
       // Reset local UI state for this vase
-      setTitles3D(prev => prev.map((t, i) => (i === idx ? '' : t)));
-      setBaseColors(prev => prev.map((c, i) => (i === idx ? '#ffffff' : c)));
-      const white = createSolidColorCanvas('#ffffff', 1024);
-      if (white) setTextureSourcesForVase(idx, (prev) => ({ ...prev, base: white, upload: null, camera: null, text: null }));
-      setActiveBaseLayerForVase(idx, 'base');
-      setCoinsByVase(prev => prev.map((arr, i) => (i === idx ? [] : arr)));
+      setTitle3DForVase(vaseId, '');
+      setBaseColorForVase(vaseId, '#ffffff');
+      const white = createSolidColorCanvas('#ffffff', textureSize);
+      if (white) setTextureSourcesForVase(vaseId, (prev) => ({ ...prev, base: white, upload: null, camera: null, paint: null, text: null, layers: {} }));
+      setActiveBaseLayerForVase(vaseId, 'base');
+      clearCoinsForVase(vaseId);
+      clearHistory(vaseId);
     } finally {
       setIsStatsModalOpen(false);
     }
-  }, [appMode, activeVaseIndex, vases, setTextureSourcesForVase, setActiveBaseLayerForVase, setBaseColors, setTitles3D, setCoinsByVase, createSolidColorCanvas]);
+  }, [appMode, activeVaseId, vases, logActivity, setTextureSourcesForVase, setActiveBaseLayerForVase, setBaseColorForVase, setTitle3DForVase, clearCoinsForVase, clearHistory, confirmDialog, textureSize]);
+
+  // Collection management: add, remove and reorder vases
+  const handleAddVase = useCallback(async () => {
+    if (appMode !== 'vases' || isLocked || isResetting) return;
+    const { vases: next, vase } = await addVase(vases);
+    setVases(next);
+    // Camera follows via the active-vase effect
+    setActiveVaseId(vase.id);
+  }, [appMode, isLocked, isResetting, vases]);
+
+  const handleRemoveVase = useCallback(async () => {
+    if (appMode !== 'vases' || isLocked || isResetting || !activeVase) return;
+    if (vases.length <= 1) return;
+    const ok = await confirmDialog({
+      title: 'remove this vase?',
+      message: 'Remove this vase for good? Its progress and textures will be deleted.',
+      confirmLabel: 'remove vase',
+      danger: true,
+    });
+    if (!ok) return;
+    const removed = activeVase;
+    // Textures only this vase was using are garbage collected once the list updates
+    const next = await removeVaseById(vases, removed.id);
+    setVases(next);
+    removeDesignForVase(removed.id);
+    clearHistory(removed.id);
+    clearCoinsForVase(removed.id);
+    forgetVase(removed.id);
+    delete prevTexturesRef.current[removed.id];
+    delete prevSlotRef.current[removed.id];
+    delete prevActiveLayerRef.current[removed.id];
+    delete prevBaseColorsRef.current[removed.id];
+    setActiveVaseId(next[Math.min(activeVaseIndex, next.length - 1)].id);
+    setIsStatsModalOpen(false);
+  }, [appMode, isLocked, isResetting, activeVase, activeVaseIndex, vases, removeDesignForVase, clearCoinsForVase, forgetVase, clearHistory, confirmDialog]);
+
+  // Archive: take the active vase off the grid with its design, stats and history, to restore later
+  const handleArchiveVase = useCallback(async () => {
+    if (appMode !== 'vases' || isLocked || isResetting || !activeVase || !archivedVases) return;
+    if (vases.length <= 1) return;
+    const archivedId = activeVase.id;
+    const { vases: next, archived } = await archiveVaseById(vases, archivedVases, archivedId);
+    setVases(next);
+    setArchivedVases(archived);
+    // Only the live design state goes; the stored record keeps the texture refs
+    removeDesignForVase(archivedId);
+    clearHistory(archivedId);
+    clearCoinsForVase(archivedId);
+    delete prevTexturesRef.current[archivedId];
+    delete prevSlotRef.current[archivedId];
+    delete prevActiveLayerRef.current[archivedId];
+    delete prevBaseColorsRef.current[archivedId];
+    setActiveVaseId(next[Math.min(activeVaseIndex, next.length - 1)].id);
+    setIsStatsModalOpen(false);
+  }, [appMode, isLocked, isResetting, activeVase, activeVaseIndex, vases, archivedVases, removeDesignForVase, clearCoinsForVase, clearHistory]);
+
+  const handleRestoreArchivedVase = useCallback(async (vaseId) => {
+    if (isLocked || !archivedVases) return;
+    const { vases: next, archived, vase } = await restoreArchivedVase(vases, archivedVases, vaseId);
+    if (!vase) return;
+    // Rebuild its design state like hydration does, seeding the trackers so nothing is re-persisted
+    const sources = await loadVaseTextureSources(vase, textureSize);
+    const { base, upload, camera } = sources;
+    const layer = vase.appearance.activeBaseLayer ?? 'base';
+    prevTexturesRef.current[vase.id] = { base, upload, camera };
+    if (sources[layer]) prevSlotRef.current[vase.id] = { layer, canvas: sources[layer] };
+    prevActiveLayerRef.current[vase.id] = layer;
+    prevBaseColorsRef.current[vase.id] = vase.appearance.baseColor;
+    setTextureSourcesForVase(vase.id, () => sources);
+    setActiveBaseLayerForVase(vase.id, layer);
+    setBaseColorForVase(vase.id, vase.appearance.baseColor);
+    setTitle3DForVase(vase.id, vase.labels.vaseText || '');
+    setVases(next);
+    setArchivedVases(archived);
+    setIsShelfOpen(false);
+    // Camera follows via the active-vase effect
+    setActiveVaseId(vase.id);
+  }, [isLocked, vases, archivedVases, setTextureSourcesForVase, setActiveBaseLayerForVase, setBaseColorForVase, setTitle3DForVase, textureSize]);
+
+  const handleDeleteArchivedVase = useCallback(async (vase) => {
+    if (!archivedVases) return;
+    const ok = await confirmDialog({
+      title: 'delete archived vase?',
+      message: 'Delete this archived vase for good? Its progress and textures will be deleted.',
+      confirmLabel: 'delete',
+      danger: true,
+    });
+    if (!ok) return;
+    setArchivedVases(await removeArchivedVaseById(archivedVases, vase.id));
+    forgetVase(vase.id);
+  }, [archivedVases, forgetVase, confirmDialog]);
+
+  // Texture library: reuse a past upload/photo on the active vase (placed like a new upload)
+  const handleApplyLibraryTexture = useCallback(async (texture) => {
+    if (!activeVaseId) return;
+    const blob = await getTextureBlob(texture.id);
+    try {
+      if (!blob) throw new Error('texture missing');
+      const image = await loadImageFromBlob(blob);
+      setIsLibraryOpen(false);
+      const ref = { id: texture.id, mime: texture.mime, width: texture.width, height: texture.height };
+      startPlacement('upload', image, { ref, label: 'library texture' });
+    } catch (e) {
+      console.warn('[App] library texture could not be loaded', e);
+      alertDialog({ title: 'could not load texture', message: 'Failed to load texture from the library.' });
+    }
+  }, [activeVaseId, startPlacement, alertDialog]);
+
+  const handleRemoveLibraryTexture = useCallback(async (texture) => {
+    await removeFromLibrary(texture.id);
+    await collectTextureGarbage(textureReferenceCounts);
+  }, [textureReferenceCounts]);
+
+  // Boards: switching saves the choice and remounts the app on the other board
+  const handleSwitchBoard = useCallback(async (boardId) => {
+    if (boardId === activeBoardId) return;
+    await savePrefs({ activeBoardId: boardId, activeVaseId: null });
+    // Drop the vase link so the new board opens on its own last/first vase (back returns here)
+    if (parseRoute(window.location.hash).name === 'vase') window.history.pushState(null, '', '#/');
+    onBoardChange();
+  }, [activeBoardId, onBoardChange]);
+
+  const handleCreateBoard = useCallback(async () => {
+    const name = await promptDialog({ title: 'new board', placeholder: 'e.g. work, health', maxLength: 40, confirmLabel: 'create' });
+    if (name === null) return;
+    const { board } = await addBoard(boards, { name: name.trim() });
+    await handleSwitchBoard(board.id);
+  }, [boards, handleSwitchBoard, promptDialog]);
+
+  const handleRenameBoard = useCallback(async (board) => {
+    const name = await promptDialog({ title: 'rename board', defaultValue: board.name, maxLength: 40, confirmLabel: 'rename' });
+    if (name === null) return;
+    setBoards(await updateBoardById(boards, board.id, { name: name.trim() }));
+  }, [boards, promptDialog]);
+
+  const handleDuplicateBoard = useCallback(async (board) => {
+    const name = await promptDialog({ title: 'copy board', message: 'Name the copy:', defaultValue: `${board.name || 'board'} copy`, maxLength: 40, confirmLabel: 'copy' });
+    if (name === null) return;
+    const { boards: next } = await duplicateBoardById(boards, board.id, name.trim());
+    setBoards(next);
+  }, [boards, promptDialog]);
+
+  const handleRemoveBoard = useCallback(async (board) => {
+    if (boards.length <= 1) return;
+    const ok = await confirmDialog({
+      title: `delete "${board.name || 'untitled'}"?`,
+      message: 'Its vases, their progress and its background will be deleted.',
+      confirmLabel: 'delete board',
+      danger: true,
+    });
+    if (!ok) return;
+    const next = await removeBoardById(boards, board.id);
+    if (board.id === activeBoardId) await handleSwitchBoard(next[0].id);
+    else setBoards(next);
+  }, [boards, activeBoardId, handleSwitchBoard, confirmDialog]);
+
+  const handleSetBoardColumns = useCallback(async (n) => {
+    if (!activeBoardId) return;
+    setBoards(await updateBoardById(boards, activeBoardId, { layout: { columns: n } }));
+  }, [boards, activeBoardId]);
+
+  const handleMoveVase = useCallback(async (delta) => {
+    if (appMode !== 'vases' || isLocked || isResetting || !activeVaseId) return;
+    const next = await moveVase(vases, activeVaseId, activeVaseIndex + delta);
+    if (next !== vases) setVases(next);
+  }, [appMode, isLocked, isResetting, activeVaseId, activeVaseIndex, vases]);
 
   // New quick action handlers
   const handleResetCamera = useCallback(() => {
@@ -927,90 +1679,127 @@ export default function App() {
     startCameraReset();
   }, [appMode, isLocked, isResetting, startCameraReset]);
 
-  const handleTriggerManifest = useCallback(() => {
-    if (appMode !== 'vases' || isLocked || isResetting) return;
-    setActiveAction('manifest');
-    const idx = activeVaseIndex;
-    // Optimistically update local state using functional setState to avoid stale reads on rapid clicks
-    setVases((prev) => {
-      const next = prev.map((v, i) => {
-        if (i !== idx) return v;
-        const currentCount = v?.stats?.coinAmount ?? 0;
-        return {
-          ...v,
-          stats: {
-            ...v.stats,
-            coinAmount: currentCount + 1,
-          },
-        };
+  const handleTriggerManifest = useCallback(async () => {
+    if (appMode !== 'vases' || isLocked || isResetting || !activeVaseId) return;
+    const vaseId = activeVaseId;
+    const measure = activeVase?.measure ?? null;
+    // Vases with a measure ask what this manifest is worth; an empty answer logs a plain one
+    let amount = null;
+    if (measure) {
+      const isDuration = measure.kind === 'duration';
+      const text = await promptDialog({
+        title: 'manifest',
+        message: isDuration ? 'How long? Minutes, or e.g. 1:30.' : `How many ${measure.unit || 'units'}?`,
+        placeholder: isDuration ? 'e.g. 45' : 'e.g. 12',
+        inputMode: isDuration ? 'text' : 'decimal',
+        validate: (value) => validateMeasureValue(value, measure),
+        confirmLabel: 'manifest',
       });
-      // Persist in the background using the freshly computed state
-      (async () => {
-        try {
-          const newCount = next[idx]?.stats?.coinAmount ?? 0;
-          await updateVaseAt(next, idx, { stats: { coinAmount: newCount } });
-        } catch (e) {
-          console.error('Failed to persist coinAmount:', e);
-        }
-      })();
-      return next;
-    });
-  }, [appMode, isLocked, isResetting, activeVaseIndex]);
+      if (text === null) return;
+      amount = parseMeasureValue(text, measure);
+    }
+    // A completed vase (or the manifest completing it) celebrates instead of piling up more coins
+    const completed = !!activeVase?.completedAt;
+    const progress = getTargetProgress(activeVase?.target, {
+      filled: activeStats.filled + 1,
+      filledAmount: activeStats.filledAmount + (amount ?? 0),
+    }, measure);
+    const celebrated = completed || progress?.ratio >= 1;
+    // Append to the activity log; counters and sums are derived from it, and the coins in the
+    // vase from the manifests that were not celebrated
+    const event = logActivity(vaseId, 'manifest', { amount, celebrated });
+    if (!celebrated) {
+      spawnCoinsForVase(vaseId, coinScalesForAmount(amount, measure));
+      return;
+    }
+    celebrate(vaseId);
+    if (completed) return;
+    try {
+      const updated = await updateVaseById(vases, vaseId, { completedAt: event.at });
+      setVases(updated);
+    } catch (e) {
+      console.error('Failed to persist completion:', e);
+    }
+  }, [appMode, isLocked, isResetting, activeVaseId, activeVase, activeStats, vases, promptDialog, logActivity, spawnCoinsForVase, celebrate]);
 
-  const handleTriggerDestroy = useCallback(() => {
-    if (appMode !== 'vases' || isResetting) return;
+  const handleTriggerDestroy = useCallback(async () => {
+    if (appMode !== 'vases' || isResetting || !activeVaseId) return;
     // If locked, only allow when re-triggering the same vase that's currently destroying
-    if (isLocked && destroyingIndex !== activeVaseIndex) return;
-    // Optimistically increment the destroy counter immediately for better UX
-    const idx = activeVaseIndex;
-    setVases((prev) => {
-      const next = prev.map((v, i) => {
-        if (i !== idx) return v;
-        const current = v?.stats?.destroyCount ?? 0;
-        return {
-          ...v,
-          stats: {
-            ...v.stats,
-            destroyCount: current + 1,
-          },
-        };
-      });
-      // Persist asynchronously based on the updated state
-      (async () => {
-        try {
-          const newCount = next[idx]?.stats?.destroyCount ?? 0;
-          await updateVaseAt(next, idx, { stats: { destroyCount: newCount } });
-        } catch (e) {
-          console.error('Failed to persist destroyCount:', e);
-        }
-      })();
-      return next;
-    });
-
+    if (isLocked && destroyingVaseId !== activeVaseId) return;
+    const vaseId = activeVaseId;
+    // Log immediately so the destroy counter updates right away for better UX
+    logActivity(vaseId, 'destroy');
     setActiveAction('destroy');
-  }, [appMode, isLocked, isResetting, destroyingIndex, activeVaseIndex]);
+    // The vase is emptied, so it counts towards its target from zero again
+    if (!activeVase?.completedAt) return;
+    try {
+      const updated = await updateVaseById(vases, vaseId, { completedAt: null });
+      setVases(updated);
+    } catch (e) {
+      console.error('Failed to persist cleared completion:', e);
+    }
+  }, [appMode, isLocked, isResetting, destroyingVaseId, activeVaseId, activeVase, vases, logActivity]);
+
+  // Set or clear the habit cadence of the current vase (persisted)
+  const handleSetCadence = useCallback(async (cadence) => {
+    if (!activeVaseId) return;
+    try {
+      const updated = await updateVaseById(vases, activeVaseId, { cadence });
+      setVases(updated);
+    } catch (e) {
+      console.error('Failed to persist cadence:', e);
+    }
+  }, [vases, activeVaseId]);
+
+  // Set or clear what manifests of the current vase log (persisted)
+  const handleSetMeasure = useCallback(async (measure) => {
+    if (!activeVaseId) return;
+    try {
+      const updated = await updateVaseById(vases, activeVaseId, { measure });
+      setVases(updated);
+    } catch (e) {
+      console.error('Failed to persist measure:', e);
+    }
+  }, [vases, activeVaseId]);
+
+  // Set or clear the progress target of the current vase (persisted). A target already met
+  // completes the vase; one no longer met reopens it.
+  const handleSetTarget = useCallback(async (target) => {
+    if (!activeVaseId) return;
+    const progress = getTargetProgress(target, activeStats, activeVase?.measure);
+    const reached = progress?.ratio >= 1;
+    const completedAt = reached ? (activeVase?.completedAt ?? new Date().toISOString()) : null;
+    try {
+      const updated = await updateVaseById(vases, activeVaseId, { target, completedAt });
+      setVases(updated);
+      if (reached && !activeVase?.completedAt) celebrate(activeVaseId);
+    } catch (e) {
+      console.error('Failed to persist target:', e);
+    }
+  }, [vases, activeVaseId, activeVase, activeStats, celebrate]);
 
   // New: toggle glass for current vase (persisted)
   const handleToggleGlass = useCallback(() => {
-    if (appMode !== 'vases' || isLocked || isResetting) return;
-    const idx = activeVaseIndex;
+    if (appMode !== 'vases' || isLocked || isResetting || !activeVaseId) return;
+    const vaseId = activeVaseId;
+    recordDesign(vaseId, 'glass');
     setVases((prev) => {
-      const next = prev.map((v, i) => {
-        if (i !== idx) return v;
+      const next = prev.map((v) => {
+        if (v.id !== vaseId) return v;
         const current = !!v?.appearance?.isGlass;
         return { ...v, appearance: { ...v.appearance, isGlass: !current } };
       });
       (async () => {
         try {
-          const isGlass = !!next[idx]?.appearance?.isGlass;
-          await updateVaseAt(next, idx, { appearance: { isGlass } });
+          const isGlass = !!next.find((v) => v.id === vaseId)?.appearance?.isGlass;
+          await updateVaseById(next, vaseId, { appearance: { isGlass } });
         } catch (e) {
           console.error('Failed to persist isGlass:', e);
         }
       })();
       return next;
     });
-  }, [appMode, isLocked, isResetting, activeVaseIndex]);
+  }, [appMode, isLocked, isResetting, activeVaseId, recordDesign]);
 
   // Info modal: app metadata + reset-all-data
   const appMeta = useMemo(() => ({
@@ -1020,7 +1809,12 @@ export default function App() {
   }), []);
 
   const handleResetAllData = useCallback(async () => {
-    const ok = window.confirm('This will permanently erase all saved vases, textures, and stats on this device. Continue?');
+    const ok = await confirmDialog({
+      title: 'erase all data?',
+      message: 'This will permanently erase all saved vases, textures, and stats on this device.',
+      confirmLabel: 'erase everything',
+      danger: true,
+    });
     if (!ok) return;
     try {
       // Drop the entire IndexedDB database used by localforage for this app
@@ -1032,13 +1826,86 @@ export default function App() {
     }
     // Reload to reinitialize fresh state
     window.location.reload();
-  }, []);
+  }, [confirmDialog]);
+
+  // Look up the current board's pre-migration backup whenever the info modal opens
+  useEffect(() => {
+    if (!isInfoOpen) return;
+    let cancelled = false;
+    getPreMigrationBackup().then((backup) => {
+      if (!cancelled) setMigrationBackup(backup);
+    });
+    return () => { cancelled = true; };
+  }, [isInfoOpen, activeBoardId]);
+
+  // Roll the current board back to its records from before the last schema migration
+  const handleRestoreMigrationBackup = useCallback(async () => {
+    if (!migrationBackup || migrationBackup.restoredAt) return;
+    const ok = await confirmDialog({
+      title: 'undo the last data update?',
+      message: `This board's vases go back to how they were saved before the update (${formatTimeAgoPhrase(migrationBackup.createdAt)}), and stay that way until the next app update. Changes made to them since are lost.`,
+      confirmLabel: 'undo update',
+      danger: true,
+    });
+    if (!ok) return;
+    try {
+      await restorePreMigrationBackup();
+    } catch (e) {
+      console.error('Failed to restore pre-migration backup:', e);
+      alertDialog({ title: 'undo failed', message: 'See console for details.' });
+      return;
+    }
+    // Reload to pick up the restored records
+    window.location.reload();
+  }, [migrationBackup, confirmDialog, alertDialog]);
+
+  // Backup: download everything as one file / replace everything from one
+  const handleExportData = useCallback(async () => {
+    try {
+      await downloadBackup();
+    } catch (e) {
+      console.error('Failed to export backup:', e);
+      alertDialog({ title: 'export failed', message: 'See console for details.' });
+    }
+  }, [alertDialog]);
+
+  const handleImportFileSelected = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const ok = await confirmDialog({
+      title: 'import backup?',
+      message: 'Importing replaces all saved vases, textures, and stats on this device with the backup.',
+      confirmLabel: 'import',
+      danger: true,
+    });
+    if (!ok) return;
+    try {
+      await importBackup(file);
+    } catch (err) {
+      console.error('Failed to import backup:', err);
+      alertDialog({ title: 'import failed', message: err?.message || 'The backup could not be imported.' });
+      return;
+    }
+    // Reload to pick up the restored data
+    window.location.reload();
+  }, [confirmDialog, alertDialog]);
 
   return (
     <div ref={containerRef} style={{ width: "100vw", height: "100svh", overflow: "hidden" }}>
       {/* Info button (top-left) */}
       <div style={{ position: 'absolute', top: 8, left: 8, zIndex: 1200, pointerEvents: 'auto' }}>
         <UIButton onClick={() => setIsInfoOpen(true)} style={{ fontSize: 14 }}>info</UIButton>
+        {activeBoard && (
+          <UIButton onClick={() => setIsBoardsOpen(true)} style={{ fontSize: 14, marginLeft: 6 }} title="switch board">
+            {activeBoard.name || 'untitled board'}
+          </UIButton>
+        )}
+        {appMode === 'vases' && archivedVases && (
+          <UIButton onClick={() => setIsShelfOpen(true)} style={{ fontSize: 14, marginLeft: 6 }} title="archived vases">
+            archive{archivedVases.length ? ` (${archivedVases.length})` : ''}
+          </UIButton>
+        )}
       </div>
 
       {/* Info modal */}
@@ -1087,8 +1954,9 @@ export default function App() {
               You can name it, give it a 3D title, and customize its appearance with colors and textures. <br />
               <br />
               <em>What persists (and what doesn’t)</em><br />
-              Saved locally on this device: vase names, colors, overlays, and simple stats.
+              Saved locally on this device: vase names, colors, overlays, and a timestamped log of every manifest and destroy.
               No servers, no tracking. If you clear site data (or press “reset all data”), it’s gone, by design.
+              Use “export backup” to save everything to a single file, and “import backup” to restore it here or on another device.
               <br /><br />
 
               <em>Materials & tools</em><br />
@@ -1099,15 +1967,69 @@ export default function App() {
               Made by <a href="https://urielromeo.com">Uriel Romeo</a>
 
             </div>
-            <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: 14 }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: 6, marginTop: 12, fontSize: 14, cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={!skipTitle}
+                onChange={(e) => {
+                  const next = !e.target.checked;
+                  setSkipTitle(next);
+                  savePrefs({ skipTitle: next });
+                }}
+              />
+              show the title screen on start
+            </label>
+            <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 6, marginTop: 8, fontSize: 14 }}>
+              texture quality
+              <select
+                value={textureSettings.quality}
+                onChange={(e) => handleTextureSettingsChange({ quality: Number(e.target.value) })}
+                style={{ fontSize: 14 }}
+              >
+                {TEXTURE_QUALITIES.map((q) => <option key={q} value={q}>{q}px</option>)}
+              </select>
+              memory
+              <select
+                value={textureSettings.budgetMB}
+                onChange={(e) => handleTextureSettingsChange({ budgetMB: Number(e.target.value) })}
+                style={{ fontSize: 14 }}
+              >
+                {TEXTURE_BUDGETS_MB.map((mb) => <option key={mb} value={mb}>{mb} MB</option>)}
+              </select>
+            </div>
+            <div style={{ fontSize: 12, opacity: 0.65, marginTop: 4 }}>
+              The vase in focus uses this quality; the others drop to lower resolutions to stay within the memory budget.
+            </div>
+            <div style={{ display: 'flex', justifyContent: 'flex-end', flexWrap: 'wrap', gap: 8, marginTop: 14 }}>
+              <UIButton onClick={handleExportData} style={{ fontSize: 14 }}>export backup</UIButton>
+              <UIButton onClick={() => backupInputRef.current?.click()} style={{ fontSize: 14 }}>import backup</UIButton>
+              <input
+                ref={backupInputRef}
+                type="file"
+                accept="application/json,.json"
+                style={{ display: 'none' }}
+                onChange={handleImportFileSelected}
+              />
               <UIButton animated onClick={handleResetAllData} style={{ fontSize: 14, background: '#ffe9e9', borderColor: '#e55' }}>
                 reset all data
               </UIButton>
             </div>
+            {migrationBackup && (
+              <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: 8, marginTop: 8, fontSize: 12 }}>
+                {migrationBackup.restoredAt ? (
+                  <span style={{ opacity: 0.65 }}>data update undone {formatTimeAgoPhrase(migrationBackup.restoredAt)}; kept until the next app update</span>
+                ) : (
+                  <>
+                    <span style={{ opacity: 0.65 }}>data updated {formatTimeAgoPhrase(migrationBackup.createdAt)}</span>
+                    <UIButton onClick={handleRestoreMigrationBackup} style={{ fontSize: 12, padding: '4px 8px' }}>undo update</UIButton>
+                  </>
+                )}
+              </div>
+            )}
           </div>
         </div>
       )}
-      {/* Top-center info bar showing creation time for the active vase (vases mode only) */}
+      {/* Top-center info bar: name, creation time, stats and cadence status of the active vase (vases mode only) */}
       {appMode === 'vases' && vases[activeVaseIndex] && (
         <div
           style={{
@@ -1128,16 +2050,9 @@ export default function App() {
         >
           {/* Row 1: vase name or placeholder; click to set */}
           <div
-            onClick={async (e) => {
+            onClick={(e) => {
               e.stopPropagation();
-              if (isLocked || isResetting) return;
-              const current = vases[activeVaseIndex]?.name || '';
-              const next = window.prompt('Enter a name for this vase (leave empty to clear):', current);
-              if (next === null) return; // canceled
-              const name = next.trim();
-              // Update local vases state and persist
-              const updated = await updateVaseAt(vases, activeVaseIndex, { name });
-              setVases(updated);
+              openEditor('name');
             }}
             style={{
               cursor: (isLocked || isResetting) ? 'default' : 'pointer',
@@ -1145,9 +2060,12 @@ export default function App() {
               marginBottom: 2,
               whiteSpace: 'nowrap',
             }}
-            title="Click to name this vase"
+            title="Click to edit this vase"
           >
-            {vases[activeVaseIndex]?.name?.trim() ? vases[activeVaseIndex].name : 'this vase has no name'}
+            {(() => {
+              const name = editor ? editor.draft.name : vases[activeVaseIndex]?.name;
+              return name?.trim() ? name : 'this vase has no name';
+            })()}
           </div>
           {/* Rows 2 & 3: created + stats (clickable to open modal) */}
           <div
@@ -1161,77 +2079,136 @@ export default function App() {
             <div style={{ marginTop: 2 }}>
               <div style={{ opacity: 0.9, whiteSpace: 'nowrap' }}>
                 {(() => {
-                  const n = vases[activeVaseIndex]?.stats?.destroyCount ?? 0;
+                  const n = activeStats.destroyCount;
                   return n > 0 ? `${n} time${n === 1 ? '' : 's'} destroyed` : 'never destroyed';
                 })()}
               </div>
               <div style={{ opacity: 0.9, whiteSpace: 'nowrap' }}>
                 {(() => {
-                  const m = vases[activeVaseIndex]?.stats?.coinAmount ?? 0;
-                  return m > 0 ? `${m} time${m === 1 ? '' : 's'} manifested` : 'never manifested';
+                  const m = activeStats.coinAmount;
+                  const total = activeStats.amountTotal > 0 ? ` · ${formatMeasureAmount(activeStats.amountTotal, activeVase?.measure)}` : '';
+                  return m > 0 ? `${m} time${m === 1 ? '' : 's'} manifested${total}` : 'never manifested';
                 })()}
               </div>
             </div>
-          </div>
-        </div>
-      )}
-      {isStatsModalOpen && (
-        <div
-          onClick={handleCloseStatsModal}
-          style={{
-            position: 'absolute',
-            inset: 0,
-            background: 'rgba(0,0,0,0.45)',
-            zIndex: 1100,
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center',
-            pointerEvents: 'auto',
-          }}
-        >
-          <div
-            onClick={(e) => e.stopPropagation()}
-            style={{
-              width: 'min(92vw, 420px)',
-              background: '#fff',
-              color: '#111',
-              borderRadius: 12,
-              boxShadow: '0 12px 32px rgba(0,0,0,0.25)',
-              padding: 16,
-            }}
-          >
-            <div style={{ fontWeight: 700, fontSize: 16, marginBottom: 6 }}>
-              {vases[activeVaseIndex]?.name?.trim() ? vases[activeVaseIndex].name : 'this vase has no name'}
-            </div>
-            <div style={{ opacity: 0.9, whiteSpace: 'nowrap' }}>
-              created {formatTimeAgo(vases[activeVaseIndex]?.createdAt)} ago
-            </div>
-            <div style={{ marginTop: 6 }}>
-              <div style={{ opacity: 0.9, whiteSpace: 'nowrap' }}>
-                {(() => {
-                  const n = vases[activeVaseIndex]?.stats?.destroyCount ?? 0;
-                  return n > 0 ? `${n} time${n === 1 ? '' : 's'} destroyed` : 'never destroyed';
-                })()}
+            {activeTargetProgress && (
+              <div style={{ marginTop: 4, display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 6, whiteSpace: 'nowrap' }}>
+                <div style={{ width: 64, height: 6, borderRadius: 3, background: 'rgba(255,255,255,0.25)', overflow: 'hidden' }}>
+                  <div style={{ width: `${activeTargetProgress.ratio * 100}%`, height: '100%', background: '#ffd54f' }} />
+                </div>
+                <span style={{ fontWeight: activeVase?.completedAt ? 600 : undefined }}>
+                  {activeVase?.completedAt ? `target reached · ${activeTargetProgress.label}` : activeTargetProgress.label}
+                </span>
               </div>
-              <div style={{ opacity: 0.9, whiteSpace: 'nowrap' }}>
-                {(() => {
-                  const m = vases[activeVaseIndex]?.stats?.coinAmount ?? 0;
-                  return m > 0 ? `${m} time${m === 1 ? '' : 's'} manifested` : 'never manifested';
-                })()}
+            )}
+            {activeCadenceStatus && (
+              <div
+                style={{
+                  marginTop: 2,
+                  whiteSpace: 'nowrap',
+                  fontWeight: 600,
+                  color: activeCadenceStatus.state === 'missed' ? '#ff8a80' : activeCadenceStatus.state === 'due' ? '#ffd54f' : '#b9f6ca',
+                }}
+              >
+                {[activeCadenceStatus.streakLabel, activeCadenceStatus.dueLabel].filter(Boolean).join(' · ')}
               </div>
-            </div>
-            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: 14 }}>
-              <UIButton onClick={handleCloseStatsModal} style={{ fontSize: 14 }}>close</UIButton>
-              <UIButton animated onClick={handleResetVase} style={{ fontSize: 14, background: '#ffe9e9', borderColor: '#e55' }}>reset vase</UIButton>
-            </div>
+            )}
           </div>
         </div>
       )}
+      {isStatsModalOpen && activeVase && (
+        <VaseStatsModal
+          vase={activeVase}
+          events={activityEvents}
+          stats={activeStats}
+          cadenceStatus={activeCadenceStatus}
+          canMoveEarlier={activeVaseIndex > 0}
+          canMoveLater={activeVaseIndex < vases.length - 1}
+          canRemove={vases.length > 1}
+          onMove={handleMoveVase}
+          onRemove={handleRemoveVase}
+          onArchive={handleArchiveVase}
+          onReset={handleResetVase}
+          onClose={handleCloseStatsModal}
+          onCadenceChange={handleSetCadence}
+          onMeasureChange={handleSetMeasure}
+          onTargetChange={handleSetTarget}
+        />
+      )}
+      {editor && editorPreview && (
+        <VaseEditorPanel
+          draft={editor.draft}
+          availableLayers={{
+            base: true,
+            upload: !!textureSourcesById[editor.vaseId]?.upload,
+            camera: !!textureSourcesById[editor.vaseId]?.camera,
+          }}
+          focusField={editor.focusField}
+          onChange={updateEditorDraft}
+          onAddImageLayer={handleAddEditorImageLayer}
+          onPickCoinImage={handlePickCoinImage}
+          placeableLayer={['upload', 'camera'].find((l) => activeVase?.appearance?.activeBaseLayer === l && activeVase.appearance.textureSlots?.[l]) ?? null}
+          onAdjustPlacement={handleAdjustPlacement}
+          onSave={handleSaveEditor}
+          onCancel={() => setEditor(null)}
+        />
+      )}
+      {placing && placementTexture && (
+        <TexturePlacementPanel
+          title={placing.layer === 'camera' ? 'place photo' : 'place image'}
+          placement={placing.placement}
+          texture={placementTexture}
+          onChange={updatePlacement}
+          onApply={handleApplyPlacement}
+          onCancel={() => setPlacing(null)}
+        />
+      )}
+      {painting && (
+        <PaintPanel
+          brush={painting.brush}
+          turning={painting.turning}
+          canClear={!!textureSourcesById[painting.vaseId]?.paint}
+          onChange={(patch) => setPainting((prev) => (prev ? { ...prev, ...patch } : prev))}
+          onClear={handleClearPaint}
+          onDone={() => setPainting(null)}
+        />
+      )}
+      {dialogRequest && <AppDialog request={dialogRequest} onSettle={settleDialog} />}
+      {isShelfOpen && archivedVases && (
+        <ArchiveShelfModal
+          archived={archivedVases}
+          getStatsForVase={getStatsForVase}
+          onRestore={handleRestoreArchivedVase}
+          onDelete={handleDeleteArchivedVase}
+          onClose={() => setIsShelfOpen(false)}
+        />
+      )}
+      {isBoardsOpen && (
+        <BoardsModal
+          boards={boards}
+          activeBoardId={activeBoardId}
+          onSwitch={handleSwitchBoard}
+          onCreate={handleCreateBoard}
+          onRename={handleRenameBoard}
+          onDuplicate={handleDuplicateBoard}
+          onRemove={handleRemoveBoard}
+          onColumnsChange={handleSetBoardColumns}
+          onClose={() => setIsBoardsOpen(false)}
+        />
+      )}
+      {isLibraryOpen && (
+        <TextureLibraryModal
+          referenceCounts={textureReferenceCounts}
+          onApply={handleApplyLibraryTexture}
+          onRemove={handleRemoveLibraryTexture}
+          onClose={() => setIsLibraryOpen(false)}
+        />
+      )}
       {false && appMode === 'vases' && (
         <Sidebars
           ref={bottomBarRef}
-          activeVaseIndex={activeVaseIndex}
-          titles3D={titles3D}
+          activeVaseId={activeVaseId}
+          title3DById={title3DById}
           setTextureSourcesForVase={setTextureSourcesForVase}
           setActiveBaseLayerForVase={setActiveBaseLayerForVase}
           setBaseColorForVase={setBaseColorForVase}
@@ -1247,15 +2224,17 @@ export default function App() {
           isLocked={isLocked}
           isResetting={isResetting}
           activeVaseIndex={activeVaseIndex}
-          baseColor={baseColors[activeVaseIndex]}
+          baseColor={baseColorById[activeVaseId]}
           onPrev={() => focusVase(activeVaseIndex - 1)}
           onNext={() => focusVase(activeVaseIndex + 1)}
+          onAddVase={handleAddVase}
           onStartHoldPrev={() => startHoldNav(-1)}
           onStartHoldNext={() => startHoldNav(1)}
           onStopHold={stopHoldNav}
-          onSetOverlayText={handleSetOverlayText}
-          onSet3DTitle={handleSet3DTitle}
+          onSetOverlayText={() => openEditor('overlayText')}
+          onSet3DTitle={() => openEditor('title3D')}
           onOpenColorPicker={handleOpenColorPicker}
+          onPaint={startPainting}
           onResetCamera={handleResetCamera}
           onManifest={handleTriggerManifest}
           onDestroy={handleTriggerDestroy}
@@ -1264,32 +2243,34 @@ export default function App() {
           onColorPicked={handleColorPicked}
           colorInputRef={colorInputRef}
           barRef={bottomBarRef}
-          // Camera handlers
+          // Photos and uploads go through the placement step
           onCameraCanvas={(c) => {
-            console.log('[App] onCameraCanvas received canvas for vase', activeVaseIndex);
-            setTextureSourcesForVase(activeVaseIndex, s => ({ ...s, camera: c }));
-          }}
-          onCameraSetActive={() => setActiveBaseLayerForVase(activeVaseIndex, 'camera')}
-          // New: Upload handlers
-          onUploadCanvas={(c) => {
-            setTextureSourcesForVase(activeVaseIndex, s => ({ ...s, upload: c }));
+            console.log('[App] onCameraCanvas received canvas for vase', activeVaseId);
+            startPlacement('camera', c);
           }}
-          onUploadSetActive={() => setActiveBaseLayerForVase(activeVaseIndex, 'upload')}
+          onUploadFile={handleUploadFile}
+          onOpenLibrary={() => setIsLibraryOpen(true)}
+          // Undo/redo of design edits on the active vase
+          onUndo={handleUndo}
+          onRedo={handleRedo}
+          canUndo={activeHistory.canUndo}
+          canRedo={activeHistory.canRedo}
+          undoLabel={activeHistory.undoLabel}
+          redoLabel={activeHistory.redoLabel}
           // Background (skybox)
           hasSkybox={!!skyboxUrl}
-          onSkyboxSelected={async (dataUrl) => {
-            try { await textureStore.ready(); } catch {}
+          onSkyboxSelected={async (file) => {
             try {
-              await textureStore.setItem('skybox:background', dataUrl);
-              setSkyboxUrl(dataUrl);
+              await saveTextureBlob(getSkyboxTextureId(activeBoardId), file);
+              setSkyboxUrl(URL.createObjectURL(file));
             } catch (e) {
               console.error('[App] Failed to save skybox', e);
-              alert('Failed to save background image.');
+              alertDialog({ title: 'could not save background', message: 'Failed to save background image.' });
             }
           }}
+          onAlert={(title, message) => alertDialog({ title, message })}
           onClearSkybox={async () => {
-            try { await textureStore.ready(); } catch {}
-            try { await textureStore.removeItem('skybox:background'); } catch {}
+            try { await removeTextures([getSkyboxTextureId(activeBoardId)]); } catch {}
             setSkyboxUrl(null);
           }}
         />
@@ -1349,15 +2330,18 @@ export default function App() {
         >
         <Suspense fallback={null}>
           {/* Without <Bounds>, we manage camera focusing manually */}
-          {Array.from({ length: VASE_COUNT }).map((_, i) => {
-            const isActive = i === activeVaseIndex;
-            const col = i % VASE_COLUMNS_COUNT;
-            const row = Math.floor(i / VASE_COLUMNS_COUNT);
-            const x = col * VASE_SPACING;
-            const y = -row * VASE_SPACING; // move downward instead of backward
+          {vases.map((vase, i) => {
+            const vaseId = vase.id;
+            const isActive = vaseId === activeVaseId;
+            const { x, y } = getVaseGridPosition(i, columns); // rows grow downward instead of backward
+            // While the editor is open, its draft stands in for the stored design
+            const preview = editor?.vaseId === vaseId ? editorPreview : (placing?.vaseId === vaseId ? placementPreview : null);
+            const title3D = preview ? preview.title3D : title3DById[vaseId];
+            const baseColor = preview ? preview.baseColor : baseColorById[vaseId];
+            const coinDesign = preview ? preview.coin : vase.appearance?.coin;
             return (
               <group
-                key={i}
+                key={vaseId}
                 position={[x, y, 0]}
                 {...(!isActive && {
                   onPointerDown: (e) => { e.stopPropagation(); focusVase(i); },
@@ -1368,27 +2352,33 @@ export default function App() {
                 })}
               >
                 <VaseShatterContext.Provider value={{
-                  phase: destroyingIndex === i ? 'exploding' : 'idle',
+                  phase: destroyingVaseId === vaseId ? 'exploding' : 'idle',
                   center: [x, y, 0],
                   trigger: destroyEventId,
                 }}>
                   <RigidBody type="fixed" colliders="trimesh">
-                    <VaseModel
-                      texture={composedTextures[i] || defaultTexture}
-                      glass={!!vases[i]?.appearance?.isGlass}
+                    <ComposedVaseModel
+                      sources={preview?.sources ?? textureSourcesById[vaseId] ?? EMPTY_TEXTURE_SOURCES}
+                      activeLayer={preview?.activeLayer ?? activeBaseLayerById[vaseId] ?? 'base'}
+                      layers={preview?.layers ?? vase.appearance?.layers}
+                      fallbackTexture={defaultTexture}
+                      size={textureSizeById[vaseId] ?? textureSize}
+                      glass={preview ? preview.isGlass : !!vase.appearance?.isGlass}
+                      weathered={cadenceStatusById[vaseId]?.state === 'missed'}
                       rotateWithPointer={isActive}
                       onVasePointerDown={isActive ? handleVasePointerDown : undefined}
-                      shattered={destroyingIndex === i}
+                      paint={painting?.vaseId === vaseId ? paintMode : undefined}
+                      shattered={destroyingVaseId === vaseId}
                       shatterTriggerId={destroyEventId}
                       shatterDurationMs={DESTROY_SHATTER_DURATION_MS}
                       onShatterComplete={() => {
-                        if (i === destroyingIndex) {
-                          setDestroyingIndex(null);
+                        if (vaseId === destroyingVaseId) {
+                          setDestroyingVaseId(null);
                           setIsLocked(false);
                           // Remove any coins associated with this vase once destruction completes
-                          setCoinsByVase(prev => prev.map((arr, idx) => (idx === i ? [] : arr)));
+                          clearCoinsForVase(vaseId);
                           // Allow this vase to be destroyed again in the future
-                          destroyingVasesRef.current.delete(i);
+                          destroyingVasesRef.current.delete(vaseId);
                         }
                       }}
                     />
@@ -1401,16 +2391,31 @@ export default function App() {
                     {/* Wider pedestal to catch missed coins */}
                     <CuboidCollider args={[2.5, 0.1, 2.5]} position={[0, 0, 0]} />
                   </RigidBody>
-                  {titles3D[i] && (
+                  {title3D && (
                     <FloatingTitle3D
-                      title={titles3D[i]}
-                      color={baseColors[i]}
+                      title={title3D}
+                      color={baseColor ?? '#ffffff'}
+                    />
+                  )}
+                  {/* Metal filling the vase towards its target, and the burst when it is reached */}
+                  {targetProgressById[vaseId] && (
+                    <VaseFill
+                      level={targetProgressById[vaseId].ratio}
+                      completed={!!vase.completedAt}
+                      color={coinDesign?.metal ?? DEFAULT_COIN_METAL}
                     />
                   )}
-                  {/* Render coins for this vase using the simple Coin API */}
-                  {coinsByVase[i].map((coin) => (
-                    <Coin key={coin.id} r={1.5} h={0.24} pos={coin.position} rot={coin.rotation} />
-                  ))}
+                  <CompletionBurst
+                    trigger={celebrationsById[vaseId] ?? 0}
+                    color={coinDesign?.metal ?? DEFAULT_COIN_METAL}
+                  />
+                  {/* Falling coins and the settled pile of this vase */}
+                  <CoinPile
+                    coins={getCoinsForVase(vaseId)}
+                    design={coinDesign}
+                    origin={[x, y, 0]}
+                    onSettle={(coinId, transform) => settleCoinForVase(vaseId, coinId, transform)}
+                  />
                 </VaseShatterContext.Provider>
               </group>
             );
@@ -1504,6 +2509,7 @@ export default function App() {
             onClick={() => {
               if (isConnecting) return;
               setIsConnecting(true);
+              savePrefs({ skipTitle });
               // After 3-5s, start smooth camera move to vases, then swap UI mode on completion
               const delay = 3000 + Math.random() * 2000;
               connectTimerRef.current = setTimeout(() => {
@@ -1531,6 +2537,25 @@ export default function App() {
           >
             {isConnecting ? 'CONNECTING…' : 'Connect'}
           </button>
+          {!isConnecting && (
+            <label
+              style={{
+                pointerEvents: 'auto',
+                position: 'absolute',
+                transform: 'translateY(calc(30vh + 44px))',
+                display: 'flex',
+                alignItems: 'center',
+                gap: 6,
+                fontSize: 13,
+                color: '#111',
+                cursor: 'pointer',
+                userSelect: 'none',
+              }}
+            >
+              <input type="checkbox" checked={skipTitle} onChange={(e) => setSkipTitle(e.target.checked)} />
+              skip this screen next time
+            </label>
+          )}
         </div>
       )}
       {/* Lock overlay to disable all interactions during destroy */}
@@ -1,8 +1,15 @@
 import React, { useEffect, useRef, useState, useContext } from 'react';
+import { useGLTF } from '@react-three/drei';
 import { RigidBody, CylinderCollider } from '@react-three/rapier';
 import { VaseShatterContext } from './../App.jsx';
+import { getCoinShape } from '../utils/coins.js';
+import coinModelUrl from '../assets/models/coin-1.glb';
 
-export default function Coin({ r = 0.4, h = 0.24, pos = [0, 2.5, 0], rot = [0, 0, 0] }) {
+// One standalone coin body (the vases use the pooled CoinPile); its thickness follows the model
+export default function Coin({ r = 0.4, pos = [0, 2.5, 0], rot = [0, 0, 0] }) {
+  const { nodes } = useGLTF(coinModelUrl);
+  const shape = getCoinShape(nodes.coin.geometry);
+  const s = r / shape.radius;
   const bodyRef = useRef(null);
   const { phase, center, trigger } = useContext(VaseShatterContext);
   const [ignoreCollisions, setIgnoreCollisions] = useState(false);
@@ -65,10 +72,9 @@ export default function Coin({ r = 0.4, h = 0.24, pos = [0, 2.5, 0], rot = [0, 0
       canSleep
     >
       {/* Rapier cylinder is aligned on Y: args = [halfHeight, radius] */}
-      <CylinderCollider args={[h / 2, r]} sensor={ignoreCollisions} />
-      {/* Visual matches the collider exactly */}
-      <mesh>
-        <cylinderGeometry args={[r, r, h, 24]} />
+      <CylinderCollider args={[shape.halfHeight * s, r]} sensor={ignoreCollisions} />
+      {/* Visual matches the collider */}
+      <mesh geometry={shape.geometry} scale={s}>
         <meshStandardMaterial color="#FFD700" metalness={1} roughness={0.2} />
       </mesh>
     </RigidBody>
@@ -0,0 +1,323 @@
+import React, { useContext, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import * as THREE from 'three';
+import { useFrame } from '@react-three/fiber';
+import { useGLTF } from '@react-three/drei';
+import { RigidBody, CylinderCollider } from '@react-three/rapier';
+import { VaseShatterContext } from './../App.jsx';
+import useCoinMaterial from '../hooks/useCoinMaterial.js';
+import { getCoinShape } from '../utils/coins.js';
+import coinModelUrl from '../assets/models/coin-1.glb';
+
+useGLTF.preload(coinModelUrl);
+
+// Bodies simulated at once per vase; further manifests wait for a free one before dropping
+const MAX_FALLING_COINS = 12;
+// Only the most recently settled coins keep a (static) collider; older ones lie buried under them
+const PILE_COLLIDER_LIMIT = 48;
+// A coin still creeping after this long is frozen once it is slow enough
+const SETTLE_AFTER_MS = 6000;
+const SETTLE_SPEED = 0.2;
+// Coins falling this far below their vase missed the pedestal and are dropped
+const LOST_BELOW_Y = -20;
+// Coins dropped together (a restored pile, quick manifests) are spaced out vertically by this much
+const DROP_SPACING = 1.5;
+// Where unused pool bodies wait (disabled), relative to the vase
+const PARKED_POSITION = [0, -50, 0];
+const GRAVITY = -9.81;
+
+const _matrix = new THREE.Matrix4();
+const _position = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+const _spin = new THREE.Quaternion();
+const _axis = new THREE.Vector3();
+const _scale = new THREE.Vector3();
+const _euler = new THREE.Euler();
+
+const speedOf = (v) => Math.hypot(v.x, v.y, v.z);
+
+// Instanced meshes grow in powers of two so the pile is rebuilt rarely
+const pileCapacityFor = (count) => Math.max(64, 2 ** Math.ceil(Math.log2(Math.max(1, count))));
+
+/**
+ * One body of the pool: a coin collider with no mesh of its own (drawn by the instanced mesh).
+ * Registers its refs in `pool` so CoinPile can move, park and read it.
+ */
+function PooledCoinBody({ index, pool, shape, onSleep }) {
+  const bodyRef = useRef(null);
+  const colliderRef = useRef(null);
+  const anchorRef = useRef(null);
+
+  useEffect(() => {
+    const entries = pool.current;
+    entries[index] = { bodyRef, colliderRef, anchorRef };
+    return () => {
+      if (entries[index]?.bodyRef === bodyRef) entries[index] = undefined;
+    };
+  }, [pool, index]);
+
+  return (
+    <RigidBody
+      ref={bodyRef}
+      type="dynamic"
+      position={PARKED_POSITION}
+      restitution={0.05}
+      friction={1}
+      linearDamping={0.05}
+      angularDamping={0.2}
+      ccd
+      canSleep
+      onSleep={onSleep}
+    >
+      {/* Rapier cylinder is aligned on Y: args = [halfHeight, radius] */}
+      <CylinderCollider ref={colliderRef} args={[shape.halfHeight, shape.radius]} />
+      {/* Its parent is the body's interpolated transform, relative to the vase */}
+      <object3D ref={anchorRef} />
+    </RigidBody>
+  );
+}
+
+/**
+ * CoinPile
+ * The coins of one vase. Falling coins are simulated by a small pool of bodies; once one comes to
+ * rest it is reported through onSettle and joins the static pile: one instanced mesh, plus fixed
+ * colliders for the newest coins so later ones land on top. Both meshes share one geometry and
+ * material, so hundreds of manifests cost a couple of draw calls. Coins use the bundled coin model.
+ * Props:
+ *  - coins: DroppedCoin[] (see useCoinsByVase); the ones with `settled` form the pile
+ *  - design: CoinDesign of the vase, or null for plain gold coins; its size applies as coins drop
+ *  - origin: [x, y, z] world position of the vase group this is rendered in
+ *  - onSettle(coinId, transform | null): a coin came to rest, or fell off the pedestal (null)
+ */
+export default function CoinPile({ coins, design, origin, onSettle }) {
+  const { phase, center, trigger } = useContext(VaseShatterContext);
+  const exploding = phase === 'exploding';
+  const [ox, oy, oz] = origin;
+  const { nodes } = useGLTF(coinModelUrl);
+  const shape = getCoinShape(nodes.coin.geometry);
+  const material = useCoinMaterial(design);
+  const coinSize = design?.size ?? 1;
+
+  const settled = useMemo(() => coins.filter((c) => c.settled), [coins]);
+  const fallingCount = coins.length - settled.length;
+  const pileCapacity = pileCapacityFor(settled.length);
+
+  // Pool size only grows (bodies are parked, not unmounted) until the vase has no coins at all
+  const [slotCount, setSlotCount] = useState(0);
+  const wantedSlots = coins.length ? Math.max(slotCount, Math.min(MAX_FALLING_COINS, fallingCount)) : 0;
+  if (wantedSlots !== slotCount) setSlotCount(wantedSlots);
+
+  const poolRef = useRef([]); // registered PooledCoinBody refs by slot
+  const slotsRef = useRef([]); // { coinId, scale, droppedAt, settling } by slot
+  const fallingMeshRef = useRef(null);
+  const pileMeshRef = useRef(null);
+  const flightRef = useRef(null); // pile coins thrown by a destroy: { startedAt, paths }
+  const lastTriggerRef = useRef(null);
+
+  // Free the slots of coins that settled or were removed, and drop waiting coins into free slots
+  useEffect(() => {
+    const slots = slotsRef.current;
+    const pool = poolRef.current;
+    slots.length = Math.min(slots.length, slotCount);
+    const byId = new Map(coins.map((c) => [c.id, c]));
+    for (let i = 0; i < slotCount; i++) {
+      const slot = slots[i] ?? (slots[i] = { coinId: null });
+      const body = pool[i]?.bodyRef.current;
+      const coin = slot.coinId != null ? byId.get(slot.coinId) : null;
+      if (slot.coinId != null && (!coin || coin.settled)) slot.coinId = null;
+      // Its pile collider exists by now, so the body can leave without a gap
+      if (slot.coinId == null && body?.isEnabled()) body.setEnabled(false);
+    }
+    if (exploding) return;
+
+    const dropping = new Set(slots.map((s) => s.coinId));
+    const waiting = coins.filter((c) => !c.settled && !dropping.has(c.id));
+    let dropped = 0;
+    for (let i = 0; i < slotCount && waiting.length; i++) {
+      const entry = pool[i];
+      const body = entry?.bodyRef.current;
+      const object = entry?.anchorRef.current?.parent;
+      if (slots[i].coinId != null || !body || !object) continue;
+      const coin = waiting.shift();
+      _position.fromArray(coin.position);
+      _position.y += DROP_SPACING * dropped++;
+      _quaternion.setFromEuler(_euler.set(coin.rotation[0], coin.rotation[1], coin.rotation[2]));
+      // Place the drawn transform too, so the first frame is not interpolated from the parking spot
+      object.position.copy(_position);
+      object.quaternion.copy(_quaternion);
+      body.setTranslation({ x: _position.x + ox, y: _position.y + oy, z: _position.z + oz }, false);
+      body.setRotation(_quaternion, false);
+      body.setLinvel({ x: 0, y: 0, z: 0 }, false);
+      body.setAngvel({ x: 0, y: 0, z: 0 }, false);
+      body.setLinearDamping(0.05);
+      body.setAngularDamping(0.2);
+      const scale = coinSize * (coin.scale ?? 1);
+      const collider = entry.colliderRef.current;
+      collider?.setSensor(false);
+      collider?.setRadius(shape.radius * scale);
+      collider?.setHalfHeight(shape.halfHeight * scale);
+      body.setEnabled(true);
+      body.wakeUp();
+      slots[i] = { coinId: coin.id, scale, droppedAt: performance.now(), settling: false };
+    }
+  }, [coins, slotCount, exploding, shape, coinSize, ox, oy, oz]);
+
+  // Record where a falling coin ended up; its slot is freed once the pile includes it
+  const settle = (i) => {
+    const slot = slotsRef.current[i];
+    const entry = poolRef.current[i];
+    const object = entry?.anchorRef.current?.parent;
+    if (!slot || slot.coinId == null || slot.settling || !object || exploding) return;
+    slot.settling = true;
+    entry.bodyRef.current?.sleep();
+    const lost = object.position.y < LOST_BELOW_Y;
+    onSettle(slot.coinId, lost ? null : {
+      position: object.position.toArray(),
+      quaternion: object.quaternion.toArray(),
+      scale: slot.scale,
+    });
+  };
+
+  useLayoutEffect(() => {
+    const mesh = pileMeshRef.current;
+    if (!mesh) return;
+    settled.forEach((coin, k) => {
+      const { position, quaternion, scale = 1 } = coin.settled;
+      _matrix.compose(_position.fromArray(position), _quaternion.fromArray(quaternion), _scale.setScalar(scale));
+      mesh.setMatrixAt(k, _matrix);
+    });
+    mesh.count = settled.length;
+    mesh.instanceMatrix.needsUpdate = true;
+  }, [settled, pileCapacity]);
+
+  // Destroy: falling coins are kicked away and stop colliding; the pile has no bodies, so its
+  // coins fly out on simple ballistic paths until the vase clears them
+  useEffect(() => {
+    if (!exploding) {
+      flightRef.current = null;
+      return;
+    }
+    // Prevent double-impulses across StrictMode mounts and repeated triggers
+    if (lastTriggerRef.current === trigger) return;
+    lastTriggerRef.current = trigger;
+
+    const [cx, cy, cz] = center;
+    slotsRef.current.forEach((slot, i) => {
+      const entry = poolRef.current[i];
+      const body = entry?.bodyRef.current;
+      if (!slot || slot.coinId == null || !body) return;
+      const t = body.translation();
+      const dir = { x: t.x - cx, y: t.y - cy, z: t.z - cz };
+      const len = Math.hypot(dir.x, dir.y, dir.z) || 1;
+      const strength = 5 + Math.random() * 2;
+      try {
+        entry.colliderRef.current?.setSensor(true);
+        body.applyImpulse({
+          x: (dir.x / len) * strength,
+          y: (dir.y / len) * strength + strength * 0.6,
+          z: (dir.z / len) * strength,
+        }, true);
+        body.applyTorqueImpulse({
+          x: (Math.random() - 0.5) * 2,
+          y: (Math.random() - 0.5) * 4,
+          z: (Math.random() - 0.5) * 2,
+        }, true);
+        body.setLinearDamping(0.4);
+        body.setAngularDamping(0.3);
+      } catch { /* ignore */ }
+    });
+
+    const local = { x: cx - ox, y: cy - oy, z: cz - oz };
+    flightRef.current = {
+      startedAt: performance.now(),
+      paths: settled.map(({ settled: { position, quaternion, scale = 1 } }) => {
+        const dir = new THREE.Vector3(position[0] - local.x, position[1] - local.y, position[2] - local.z);
+        if (dir.lengthSq() === 0) dir.set(0, 1, 0);
+        dir.normalize();
+        const speed = 3 + Math.random() * 1.2;
+        return {
+          position: new THREE.Vector3().fromArray(position),
+          quaternion: new THREE.Quaternion().fromArray(quaternion),
+          scale,
+          velocity: dir.multiplyScalar(speed).add(new THREE.Vector3(0, speed * 0.6, 0)),
+          axis: new THREE.Vector3(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).normalize(),
+          spin: 2 + Math.random() * 4,
+        };
+      }),
+    };
+  }, [exploding, trigger, center, settled, ox, oy, oz]);
+
+  useFrame(() => {
+    const now = performance.now();
+    const fallingMesh = fallingMeshRef.current;
+    if (fallingMesh) {
+      let count = 0;
+      slotsRef.current.forEach((slot, i) => {
+        const entry = poolRef.current[i];
+        const object = entry?.anchorRef.current?.parent;
+        if (!slot || slot.coinId == null || !object) return;
+        if (!slot.settling && !exploding) {
+          const body = entry.bodyRef.current;
+          const lost = object.position.y < LOST_BELOW_Y;
+          const slow = now - slot.droppedAt > SETTLE_AFTER_MS && body
+            && speedOf(body.linvel()) < SETTLE_SPEED && speedOf(body.angvel()) < SETTLE_SPEED * 4;
+          if (lost || slow) settle(i);
+        }
+        _matrix.compose(object.position, object.quaternion, _scale.setScalar(slot.scale));
+        fallingMesh.setMatrixAt(count++, _matrix);
+      });
+      fallingMesh.count = count;
+      fallingMesh.instanceMatrix.needsUpdate = true;
+    }
+
+    const flight = flightRef.current;
+    const pileMesh = pileMeshRef.current;
+    if (flight && pileMesh) {
+      const t = (now - flight.startedAt) / 1000;
+      flight.paths.forEach((path, k) => {
+        _position.copy(path.position).addScaledVector(path.velocity, t);
+        _position.y += 0.5 * GRAVITY * t * t;
+        _quaternion.copy(path.quaternion).premultiply(_spin.setFromAxisAngle(_axis.copy(path.axis), path.spin * t));
+        _matrix.compose(_position, _quaternion, _scale.setScalar(path.scale));
+        pileMesh.setMatrixAt(k, _matrix);
+      });
+      pileMesh.instanceMatrix.needsUpdate = true;
+    }
+  });
+
+  return (
+    <>
+      {Array.from({ length: slotCount }, (_, i) => (
+        <PooledCoinBody key={i} index={i} pool={poolRef} shape={shape} onSleep={() => settle(i)} />
+      ))}
+      <instancedMesh
+        ref={fallingMeshRef}
+        args={[shape.geometry, undefined, MAX_FALLING_COINS]}
+        material={material}
+        count={0}
+        frustumCulled={false}
+      />
+      {settled.length > 0 && (
+        <instancedMesh
+          key={pileCapacity}
+          ref={pileMeshRef}
+          args={[shape.geometry, undefined, pileCapacity]}
+          material={material}
+          count={settled.length}
+          frustumCulled={false}
+        />
+      )}
+      {!exploding && settled.length > 0 && (
+        <RigidBody type="fixed" colliders={false} restitution={0.05} friction={1}>
+          {settled.slice(-PILE_COLLIDER_LIMIT).map((coin) => (
+            <CylinderCollider
+              key={coin.id}
+              args={[shape.halfHeight * (coin.settled.scale ?? 1), shape.radius * (coin.settled.scale ?? 1)]}
+              position={coin.settled.position}
+              quaternion={coin.settled.quaternion}
+            />
+          ))}
+        </RigidBody>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,80 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import * as THREE from 'three';
+import { useFrame } from '@react-three/fiber';
+
+const PIECES = 90;
+const DURATION_MS = 3200;
+// Confetti drifts: weaker gravity than the coins'
+const GRAVITY = -4;
+// Vase mouth, relative to the vase
+const ORIGIN_Y = 2.6;
+const FESTIVE_COLORS = ['#ff5d8f', '#4cc9f0', '#80ed99', '#ffd166', '#b388ff', '#ffffff'];
+
+const _matrix = new THREE.Matrix4();
+const _position = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+const _scale = new THREE.Vector3();
+const _color = new THREE.Color();
+
+/**
+ * Confetti bursting out of a vase that reached its target. Plays whenever `trigger` changes
+ * (not on mount, so switching boards doesn't replay it).
+ * Props:
+ *  - trigger: number
+ *  - color: metal color of the vase's coins, mixed into the confetti
+ */
+export default function CompletionBurst({ trigger, color }) {
+  const meshRef = useRef(null);
+  const burstRef = useRef(null); // { startedAt, pieces }
+  const lastTriggerRef = useRef(trigger);
+  const geometry = useMemo(() => new THREE.PlaneGeometry(0.12, 0.22), []);
+  const material = useMemo(() => new THREE.MeshStandardMaterial({ side: THREE.DoubleSide, roughness: 0.5, metalness: 0.2 }), []);
+  useEffect(() => () => {
+    geometry.dispose();
+    material.dispose();
+  }, [geometry, material]);
+
+  useEffect(() => {
+    const mesh = meshRef.current;
+    if (!mesh || lastTriggerRef.current === trigger) return;
+    lastTriggerRef.current = trigger;
+    const colors = [...FESTIVE_COLORS, color, color];
+    const pieces = Array.from({ length: PIECES }, (_, i) => {
+      const angle = Math.random() * Math.PI * 2;
+      const spread = 0.8 + Math.random() * 2.2;
+      mesh.setColorAt(i, _color.set(colors[i % colors.length]));
+      return {
+        velocity: [Math.cos(angle) * spread, 4 + Math.random() * 3.5, Math.sin(angle) * spread],
+        axis: new THREE.Vector3(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).normalize(),
+        spin: 4 + Math.random() * 8,
+      };
+    });
+    if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+    burstRef.current = { startedAt: performance.now(), pieces };
+  }, [trigger, color]);
+
+  useFrame(() => {
+    const mesh = meshRef.current;
+    const burst = burstRef.current;
+    if (!mesh) return;
+    const elapsed = burst ? performance.now() - burst.startedAt : Infinity;
+    if (elapsed > DURATION_MS) {
+      burstRef.current = null;
+      mesh.visible = false;
+      return;
+    }
+    const t = elapsed / 1000;
+    // Pieces shrink away over the last third
+    const fade = Math.min(1, (1 - elapsed / DURATION_MS) * 3);
+    burst.pieces.forEach(({ velocity: [vx, vy, vz], axis, spin }, i) => {
+      _position.set(vx * t, ORIGIN_Y + vy * t + 0.5 * GRAVITY * t * t, vz * t);
+      _quaternion.setFromAxisAngle(axis, spin * t);
+      _matrix.compose(_position, _quaternion, _scale.setScalar(fade));
+      mesh.setMatrixAt(i, _matrix);
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.visible = true;
+  });
+
+  return <instancedMesh ref={meshRef} args={[geometry, material, PIECES]} visible={false} frustumCulled={false} />;
+}
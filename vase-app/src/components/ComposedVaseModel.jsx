@@ -0,0 +1,73 @@
+import React, { useEffect, useRef } from 'react';
+import VaseModel from './VaseModel.jsx';
+import useComposedTexture from '../hooks/useComposedTexture.js';
+import { beginPaintStroke } from '../utils/paint.js';
+
+/**
+ * ComposedVaseModel
+ * One vase in the grid: composes its texture sources into a CanvasTexture and renders VaseModel.
+ * Lives in its own component so each vase owns its compositor hook (the vase count is dynamic).
+ * Props:
+ *  - sources: { base, upload, camera, paint, text } canvases, plus `layers`: image canvases of image layers by layer id
+ *  - activeLayer: 'base' | 'upload' | 'camera' (only that base source is composed)
+ *  - layers: decal layer stack (VaseLayer[]) drawn over the base
+ *  - fallbackTexture: THREE.Texture used until the composed texture exists
+ *  - size: resolution of the composed texture (default 1024)
+ *  - paint: paint mode, or undefined to rotate on drag as usual
+ *      { brush, onStrokeStart(): HTMLCanvasElement to paint into, onStrokeEnd(canvas) }
+ *  - ...rest forwarded to VaseModel
+ */
+export default function ComposedVaseModel({ sources, activeLayer, layers, fallbackTexture, size = 1024, paint, ...rest }) {
+  const { texture, recompose } = useComposedTexture({
+    base: activeLayer === 'base' ? sources.base : null,
+    upload: activeLayer === 'upload' ? sources.upload : null,
+    camera: activeLayer === 'camera' ? sources.camera : null,
+    layers,
+    layerSources: sources.layers,
+    paint: sources.paint,
+    text: sources.text,
+    fallbackColor: '#f8f8f8',
+    size,
+  });
+
+  const strokeRef = useRef(null); // { canvas, stroke }
+  const frameRef = useRef(0);
+  const recomposeRef = useRef(recompose);
+  useEffect(() => { recomposeRef.current = recompose; }, [recompose]);
+  useEffect(() => () => cancelAnimationFrame(frameRef.current), []);
+
+  // Pointer moves come faster than frames: redraw the texture at most once per frame
+  const scheduleRecompose = () => {
+    if (frameRef.current) return;
+    frameRef.current = requestAnimationFrame(() => {
+      frameRef.current = 0;
+      recomposeRef.current();
+    });
+  };
+
+  const handlePaint = (phase, uv) => {
+    if (phase === 'start') {
+      // A stroke whose end was missed (pointer released elsewhere) is finished first
+      if (strokeRef.current) {
+        paint.onStrokeEnd(strokeRef.current.canvas);
+        strokeRef.current = null;
+      }
+      const canvas = paint.onStrokeStart();
+      if (!canvas) return;
+      strokeRef.current = { canvas, stroke: beginPaintStroke(canvas, paint.brush) };
+    }
+    const current = strokeRef.current;
+    if (!current) return;
+    if (phase === 'end') {
+      strokeRef.current = null;
+      scheduleRecompose();
+      paint.onStrokeEnd(current.canvas);
+      return;
+    }
+    if (uv) current.stroke.add(uv);
+    else current.stroke.lift();
+    scheduleRecompose();
+  };
+
+  return <VaseModel texture={texture || fallbackTexture} onPaint={paint ? handlePaint : undefined} {...rest} />;
+}
@@ -15,8 +15,8 @@ import DebugPanel from "./panels/DebugPanel.jsx";
  * Forwards ref to the mobile bottom bar container so parent can measure height.
  */
 const Sidebars = React.forwardRef(function Sidebars({
-  activeVaseIndex,
-  titles3D,
+  activeVaseId,
+  title3DById,
   setTextureSourcesForVase,
   setActiveBaseLayerForVase,
   setBaseColorForVase,
@@ -27,24 +27,24 @@ const Sidebars = React.forwardRef(function Sidebars({
 }, bottomBarRef) {
   const commonPanels = (
     <>
-      <div style={{ color: 'white', fontSize: 12, opacity: 0.8 }}>Active Vase: #{activeVaseIndex}</div>
+      <div style={{ color: 'white', fontSize: 12, opacity: 0.8 }}>Active Vase: {activeVaseId}</div>
       <BaseColorSetter
-        onBaseCanvas={(c) => setTextureSourcesForVase(activeVaseIndex, s => ({ ...s, base: c }))}
-        clearOthers={() => setActiveBaseLayerForVase(activeVaseIndex, 'base')}
-        onBaseColor={(col) => setBaseColorForVase(activeVaseIndex, col)}
+        onBaseCanvas={(c) => setTextureSourcesForVase(activeVaseId, s => ({ ...s, base: c }))}
+        clearOthers={() => setActiveBaseLayerForVase(activeVaseId, 'base')}
+        onBaseColor={(col) => setBaseColorForVase(activeVaseId, col)}
       />
       <Uploader
-        onUploadCanvas={(c) => setTextureSourcesForVase(activeVaseIndex, s => ({ ...s, upload: c }))}
-        clearOthers={() => setActiveBaseLayerForVase(activeVaseIndex, 'upload')}
+        onUploadCanvas={(c) => setTextureSourcesForVase(activeVaseId, s => ({ ...s, upload: c }))}
+        clearOthers={() => setActiveBaseLayerForVase(activeVaseId, 'upload')}
       />
       <CameraCapture
-        onCameraCanvas={(c) => setTextureSourcesForVase(activeVaseIndex, s => ({ ...s, camera: c }))}
-        clearOthers={() => setActiveBaseLayerForVase(activeVaseIndex, 'camera')}
+        onCameraCanvas={(c) => setTextureSourcesForVase(activeVaseId, s => ({ ...s, camera: c }))}
+        clearOthers={() => setActiveBaseLayerForVase(activeVaseId, 'camera')}
       />
-      <VaseTextSetter onTextCanvas={(c) => setTextureSourcesForVase(activeVaseIndex, s => ({ ...s, text: c }))} />
+      <VaseTextSetter onTextCanvas={(c) => setTextureSourcesForVase(activeVaseId, s => ({ ...s, text: c }))} />
       <TitleSetter
-        initialTitle={titles3D[activeVaseIndex]}
-        onSetTitle={(title) => setTitle3DForVase(activeVaseIndex, title)}
+        initialTitle={title3DById[activeVaseId]}
+        onSetTitle={(title) => setTitle3DForVase(activeVaseId, title)}
       />
       <ActionsPanel
         activeAction={activeAction}
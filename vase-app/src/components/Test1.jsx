@@ -51,7 +51,7 @@ export default function Test1Page() {
             <CuboidCollider args={[0.8, 0.05, 0.8]} position={[0, 0.15, 0]} />
           </RigidBody>
           {coins.map(c => (
-            <Coin key={c.id} r={1.5} h={0.24} pos={c.position} rot={c.rotation} />
+            <Coin key={c.id} r={1.5} pos={c.position} rot={c.rotation} />
           ))}
           {/* Static ground with a collider */}
           <RigidBody type="fixed">
@@ -0,0 +1,59 @@
+import React, { useContext, useRef } from 'react';
+import * as THREE from 'three';
+import { useFrame } from '@react-three/fiber';
+import { RigidBody, CuboidCollider } from '@react-three/rapier';
+import { VaseShatterContext } from './../App.jsx';
+
+// Inside of the vase the fill rises through, matching its inner colliders (see App.jsx)
+const FILL_BOTTOM = 0.2;
+const FILL_TOP = 2.2;
+const FILL_RADIUS = 0.72;
+const SURFACE_HALF_HEIGHT = 0.05;
+// How quickly the drawn level eases towards a new one
+const FILL_DAMPING = 3;
+
+/**
+ * Metal rising inside a vase with its progress towards a target. Its surface is a floor that
+ * later coins land on; a completed vase glows softly.
+ * Props:
+ *  - level: 0..1 progress (utils/target.js)
+ *  - completed: boolean
+ *  - color: metal color of the vase's coins
+ */
+export default function VaseFill({ level, completed, color }) {
+  const { phase } = useContext(VaseShatterContext);
+  const exploding = phase === 'exploding';
+  const meshRef = useRef(null);
+  const materialRef = useRef(null);
+  const height = level * (FILL_TOP - FILL_BOTTOM);
+
+  useFrame(({ clock }, delta) => {
+    const mesh = meshRef.current;
+    if (!mesh) return;
+    const h = THREE.MathUtils.damp(mesh.scale.y, height, FILL_DAMPING, delta);
+    mesh.scale.y = Math.max(h, 1e-4);
+    mesh.position.y = FILL_BOTTOM + h / 2;
+    mesh.visible = h > 1e-3 && !exploding;
+    if (materialRef.current) {
+      materialRef.current.emissiveIntensity = completed ? 0.2 + 0.1 * Math.sin(clock.elapsedTime * 2) : 0;
+    }
+  });
+
+  return (
+    <>
+      <mesh ref={meshRef} scale={[1, 1e-4, 1]} position={[0, FILL_BOTTOM, 0]} visible={false}>
+        <cylinderGeometry args={[FILL_RADIUS, FILL_RADIUS, 1, 40]} />
+        <meshStandardMaterial ref={materialRef} color={color} emissive={color} emissiveIntensity={0} metalness={0.9} roughness={0.35} />
+      </mesh>
+      {height > 0 && (
+        <RigidBody type="fixed">
+          <CuboidCollider
+            args={[0.8, SURFACE_HALF_HEIGHT, 0.8]}
+            position={[0, FILL_BOTTOM + height - SURFACE_HALF_HEIGHT, 0]}
+            sensor={exploding}
+          />
+        </RigidBody>
+      )}
+    </>
+  );
+}
@@ -13,6 +13,9 @@ export const MODEL_URL = modelUrl;
 useGLTF.preload(MODEL_URL);
 useGLTF.preload(shardsModelUrl);
 
+// Tint multiplied into a weathered vase's material color
+const WEATHERED_TINT = new THREE.Color('#7d776f');
+
 /**
  * Hook: center the model for clean Y-axis rotation.
  * Strategy:
@@ -73,6 +76,9 @@ function useCenterForSpin(object3D) {
  * Props:
  *  - texture: THREE.Texture (optional)
  *  - rotateWithPointer: boolean to enable manual drag rotation (locks camera in parent)
+ *  - onPaint(phase, uv): paint mode; drags paint instead of rotating. phase is 'start' | 'move' | 'end',
+ *    uv the texture coordinates under the pointer (null while it is off the vase)
+ *  - weathered: boolean to dull the material (darker tint, matte finish), e.g. when a habit cadence was missed
  *  - Destroy/shatter controls
  *  - shattered: boolean
  *  - shatterTriggerId: number
@@ -87,8 +93,10 @@ export default function VaseModel({
   // Glassy material toggle for intact vase and shards
   glass = false,
   glassProps = {},
+  weathered = false,
   rotateWithPointer = true,
   onVasePointerDown,
+  onPaint,
   inertialRotation = true, // enable simple momentum effect
   inertiaFriction = 0.92,  // per-frame decay factor (closer to 1 = longer spin)
   minInertiaSpeed = 0.0005, // cutoff to stop updating
@@ -112,6 +120,7 @@ export default function VaseModel({
   const { scene: shardsScene } = useGLTF(shardsModelUrl);
   const pivotRef = useRef();
   const dragState = useRef({ dragging: false, lastX: 0, lastY: 0, angularVelocity: 0 });
+  const paintingRef = useRef(false);
   const shardsVelRef = useRef(new Map()); // Map<Mesh, { v: Vector3, av: Vector3 }>
   const shardsActiveRef = useRef(false);
   const shatterTimeoutRef = useRef(null);
@@ -184,6 +193,14 @@ export default function VaseModel({
       if (!root) return;
       root.traverse((obj) => {
         if (obj.isMesh && obj.material && obj.material.isMaterial) {
+          // Remember the untouched tint once so weathering can be undone
+          if (!obj.userData.baseTint) {
+            obj.userData.baseTint = {
+              color: (obj.material.color || new THREE.Color('#ffffff')).clone(),
+              roughness: obj.material.roughness ?? 0.6,
+            };
+          }
+          const baseTint = obj.userData.baseTint;
           // Apply base map when provided
           if (texture) obj.material.map = texture;
           // Toggle glassiness by swapping to MeshPhysicalMaterial with transmission
@@ -219,14 +236,21 @@ export default function VaseModel({
               obj.material = next;
             }
             obj.material.map = texture || obj.material.map || null;
+            obj.material.roughness = baseTint.roughness;
             obj.material.needsUpdate = true;
           }
+          // Weathered: multiply the tint down and kill the shine
+          obj.material.color.copy(baseTint.color);
+          if (weathered) {
+            obj.material.color.multiply(WEATHERED_TINT);
+            obj.material.roughness = 1;
+          }
         }
       });
     };
     applyTex(mainInstance);
     applyTex(shardsInstance);
-  }, [mainInstance, shardsInstance, texture, glass, glassProps]);
+  }, [mainInstance, shardsInstance, texture, glass, glassProps, weathered]);
 
   // Center vase for stable spin (horizontal center at 0, base at y=0) on the cloned instance.
   useCenterForSpin(mainInstance);
@@ -363,6 +387,25 @@ export default function VaseModel({
     };
   }, [shattered]);
 
+  // Paint mode: the raycast hit's texture coordinates go to onPaint
+  const onPaintDown = (e) => {
+    paintingRef.current = true;
+    try { e.target.setPointerCapture?.(e.pointerId); } catch { /* ignore */ }
+    onPaint('start', e.uv ?? null);
+  };
+  const onPaintMove = (e, offVase = false) => {
+    if (!paintingRef.current) return;
+    e.stopPropagation();
+    onPaint('move', offVase ? null : (e.uv ?? null));
+  };
+  const onPaintEnd = (e) => {
+    if (!paintingRef.current) return;
+    e.stopPropagation();
+    paintingRef.current = false;
+    try { e.target.releasePointerCapture?.(e.pointerId); } catch { /* ignore */ }
+    onPaint('end', null);
+  };
+
   // Pointer drag handlers (rotate around Y axis)
   const onPointerDown = (e) => {
     if (!rotateWithPointer) return;
@@ -453,14 +496,15 @@ export default function VaseModel({
       ref={pivotRef}
       onPointerDown={(e) => {
         // Stop propagation only if interactive (rotate) or explicit handler wants exclusive control
-        if (rotateWithPointer || onVasePointerDown) e.stopPropagation();
+        if (rotateWithPointer || onVasePointerDown || onPaint) e.stopPropagation();
         onVasePointerDown?.();
-        onPointerDown(e);
+        if (onPaint) onPaintDown(e);
+        else onPointerDown(e);
       }}
-      onPointerMove={onPointerMove}
-      onPointerUp={endDrag}
-      onPointerOut={endDrag}
-      onPointerCancel={endDrag}
+      onPointerMove={onPaint ? onPaintMove : onPointerMove}
+      onPointerUp={onPaint ? onPaintEnd : endDrag}
+      onPointerOut={onPaint ? (e) => onPaintMove(e, true) : endDrag}
+      onPointerCancel={onPaint ? onPaintEnd : endDrag}
     >
       {!shattered && mainInstance && <primitive object={mainInstance} />}
       {shattered && shardsInstance && <primitive object={shardsInstance} />}
@@ -0,0 +1,92 @@
+import React, { useEffect, useRef, useState } from 'react';
+import UIButton from './UIButton.jsx';
+
+/**
+ * AppDialog
+ * Alert, confirm or single-field prompt dialog driven by hooks/useDialog.js.
+ * Props:
+ *  - request: { kind: 'alert'|'confirm'|'prompt', title, message?, confirmLabel?, danger?, defaultValue?, placeholder?, maxLength?,
+ *    inputMode?, validate?(value) -> error text or null (shown under the field; blocks submitting) }
+ *  - onSettle(value): boolean for confirm, string (or null when canceled) for prompt, undefined for alert
+ */
+export default function AppDialog({ request, onSettle }) {
+  const isPrompt = request.kind === 'prompt';
+  const isAlert = request.kind === 'alert';
+  const [value, setValue] = useState(request.defaultValue ?? '');
+  const inputRef = useRef(null);
+  const confirmRef = useRef(null);
+  const cancelValue = isPrompt ? null : isAlert ? undefined : false;
+
+  useEffect(() => {
+    if (isPrompt) inputRef.current?.select();
+    else confirmRef.current?.focus();
+  }, [isPrompt]);
+
+  const error = isPrompt ? request.validate?.(value) ?? null : null;
+  const submit = () => {
+    if (error) return;
+    onSettle(isPrompt ? value : isAlert ? undefined : true);
+  };
+
+  return (
+    <div
+      onClick={() => onSettle(cancelValue)}
+      onKeyDown={(e) => {
+        // Keep keys away from the app's window-level shortcuts while the dialog is open
+        e.stopPropagation();
+        if (e.key === 'Escape') onSettle(cancelValue);
+      }}
+      style={{
+        position: 'absolute',
+        inset: 0,
+        background: 'rgba(0,0,0,0.45)',
+        zIndex: 1500,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        pointerEvents: 'auto',
+      }}
+    >
+      <form
+        onClick={(e) => e.stopPropagation()}
+        onSubmit={(e) => { e.preventDefault(); submit(); }}
+        style={{
+          width: 'min(92vw, 380px)',
+          background: '#fff',
+          color: '#111',
+          borderRadius: 12,
+          boxShadow: '0 12px 32px rgba(0,0,0,0.25)',
+          padding: 16,
+        }}
+      >
+        <div style={{ fontWeight: 700, fontSize: 16, marginBottom: 6 }}>{request.title}</div>
+        {request.message && <div style={{ fontSize: 14, opacity: 0.85, marginBottom: 10 }}>{request.message}</div>}
+        {isPrompt && (
+          <input
+            ref={inputRef}
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            placeholder={request.placeholder}
+            maxLength={request.maxLength}
+            inputMode={request.inputMode}
+            aria-invalid={!!error}
+            style={{ width: '100%', boxSizing: 'border-box', fontSize: 14, padding: '6px 8px', marginBottom: 4 }}
+          />
+        )}
+        {error && <div style={{ fontSize: 12, color: '#c33' }}>{error}</div>}
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: 10 }}>
+          {!isAlert && <UIButton type="button" onClick={() => onSettle(cancelValue)} style={{ fontSize: 14 }}>cancel</UIButton>}
+          <UIButton
+            ref={confirmRef}
+            type="submit"
+            disabled={!!error}
+            animated
+            style={{ fontSize: 14, ...(request.danger && { background: '#ffe9e9', borderColor: '#e55' }) }}
+          >
+            {request.confirmLabel || 'ok'}
+          </UIButton>
+        </div>
+      </form>
+    </div>
+  );
+}
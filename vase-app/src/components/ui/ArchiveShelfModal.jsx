@@ -0,0 +1,144 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Canvas } from '@react-three/fiber';
+import { PerspectiveCamera, View } from '@react-three/drei';
+import UIButton from './UIButton.jsx';
+import ComposedVaseModel from '../ComposedVaseModel.jsx';
+import { loadVaseTextureSources } from '../../services/textures.js';
+import { formatTimeAgo } from '../../utils/time.js';
+import { formatMeasureAmount } from '../../utils/measure.js';
+import { VASE_TARGET_Y } from '../../config/constants.js';
+
+// Vases per shelf page (3 x 2); paging keeps every thumbnail inside the one shared canvas
+const PAGE_SIZE = 6;
+// Thumbnail compositor resolution (well under the grid's texture sizes)
+const THUMB_TEXTURE_SIZE = 256;
+
+/**
+ * 3D thumbnail of an archived vase, drawn into the shelf's shared canvas through a drei View.
+ * Props:
+ *  - vase: archived Vase
+ */
+function ShelfThumb({ vase }) {
+  const [sources, setSources] = useState(null);
+  useEffect(() => {
+    let canceled = false;
+    loadVaseTextureSources(vase, THUMB_TEXTURE_SIZE).then((s) => { if (!canceled) setSources(s); });
+    return () => { canceled = true; };
+  }, [vase]);
+  return (
+    <View style={{ width: '100%', aspectRatio: '3 / 4', borderRadius: 8, background: '#f3f1ee' }}>
+      <PerspectiveCamera makeDefault position={[0, VASE_TARGET_Y, 20]} fov={32} />
+      <ambientLight intensity={0.7} />
+      <directionalLight position={[2, 4, 2]} intensity={1.2} />
+      {sources && (
+        <ComposedVaseModel
+          sources={sources}
+          activeLayer={vase.appearance.activeBaseLayer ?? 'base'}
+          layers={vase.appearance.layers}
+          glass={!!vase.appearance.isGlass}
+          rotateWithPointer={false}
+        />
+      )}
+    </View>
+  );
+}
+
+/**
+ * ArchiveShelfModal
+ * Browse the board's archived vases and restore or delete them.
+ * Props:
+ *  - archived: Vase[] (newest first)
+ *  - getStatsForVase(vaseId): { coinAmount, destroyCount, amountTotal }
+ *  - onRestore(vaseId): put the vase back on the grid
+ *  - onDelete(vase): delete it for good
+ *  - onClose()
+ */
+export default function ArchiveShelfModal({ archived, getStatsForVase, onRestore, onDelete, onClose }) {
+  const cardRef = useRef(null);
+  const [page, setPage] = useState(0);
+  const pageCount = Math.max(1, Math.ceil(archived.length / PAGE_SIZE));
+  const current = Math.min(page, pageCount - 1);
+  const items = archived.slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE);
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'absolute',
+        inset: 0,
+        background: 'rgba(0,0,0,0.45)',
+        zIndex: 1300,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        pointerEvents: 'auto',
+      }}
+    >
+      <div
+        ref={cardRef}
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          position: 'relative',
+          width: 'min(92vw, 520px)',
+          background: '#fff',
+          color: '#111',
+          borderRadius: 12,
+          boxShadow: '0 12px 32px rgba(0,0,0,0.25)',
+          padding: 16,
+        }}
+      >
+        <div style={{ fontWeight: 700, fontSize: 16, marginBottom: 10 }}>archive</div>
+        {archived.length === 0 && (
+          <div style={{ opacity: 0.7, fontSize: 14 }}>
+            Nothing archived yet. Archive a finished or paused vase from its stats to free its spot; it keeps its design and history.
+          </div>
+        )}
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 10 }}>
+          {items.map((v) => {
+            const { coinAmount: m, amountTotal } = getStatsForVase(v.id);
+            return (
+              <div key={v.id} style={{ display: 'flex', flexDirection: 'column', gap: 4, minWidth: 0 }}>
+                <ShelfThumb vase={v} />
+                <div style={{ fontSize: 13, fontWeight: 600, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {v.name?.trim() ? v.name : 'no name'}
+                </div>
+                <div style={{ fontSize: 11, opacity: 0.7 }}>
+                  {m} manifest{m === 1 ? '' : 's'}{amountTotal > 0 ? ` (${formatMeasureAmount(amountTotal, v.measure)})` : ''}, archived {formatTimeAgo(v.archivedAt)} ago
+                </div>
+                <div style={{ display: 'flex', gap: 4 }}>
+                  <UIButton animated onClick={() => onRestore(v.id)} style={{ fontSize: 12, padding: '4px 8px', flex: 1 }}>restore</UIButton>
+                  <UIButton
+                    onClick={() => onDelete(v)}
+                    style={{ fontSize: 12, padding: '4px 8px', background: '#ffe9e9', borderColor: '#e55' }}
+                    title="delete for good"
+                  >
+                    ×
+                  </UIButton>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: 14 }}>
+          {pageCount > 1 ? (
+            <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12 }}>
+              <UIButton onClick={() => setPage(current - 1)} disabled={current === 0} style={{ fontSize: 12, padding: '4px 8px' }}>‹</UIButton>
+              {current + 1} / {pageCount}
+              <UIButton onClick={() => setPage(current + 1)} disabled={current >= pageCount - 1} style={{ fontSize: 12, padding: '4px 8px' }}>›</UIButton>
+            </div>
+          ) : <span />}
+          <UIButton onClick={onClose} style={{ fontSize: 14 }}>close</UIButton>
+        </div>
+        {/* One WebGL context for every thumbnail on the page (each View draws into its own rect) */}
+        {items.length > 0 && (
+          <Canvas
+            eventSource={cardRef}
+            style={{ position: 'absolute', inset: 0, pointerEvents: 'none', borderRadius: 12 }}
+          >
+            <View.Port />
+          </Canvas>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import React from 'react';
+import UIButton from './UIButton.jsx';
+import { formatTimeAgo } from '../../utils/time.js';
+
+const MAX_COLUMNS = 12;
+
+/**
+ * BoardsModal
+ * Switch between boards (named workspaces of vases) and manage them.
+ * Props:
+ *  - boards: Board[]
+ *  - activeBoardId: id of the open board
+ *  - onSwitch(boardId), onCreate()
+ *  - onRename(board), onDuplicate(board), onRemove(board)
+ *  - onColumnsChange(columns): grid columns of the open board
+ *  - onClose()
+ */
+export default function BoardsModal({
+  boards,
+  activeBoardId,
+  onSwitch,
+  onCreate,
+  onRename,
+  onDuplicate,
+  onRemove,
+  onColumnsChange,
+  onClose,
+}) {
+  const active = boards.find(b => b.id === activeBoardId);
+  const smallButton = { fontSize: 12, padding: '4px 8px' };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'absolute',
+        inset: 0,
+        background: 'rgba(0,0,0,0.45)',
+        zIndex: 1300,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        pointerEvents: 'auto',
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          width: 'min(92vw, 420px)',
+          maxHeight: '90svh',
+          overflowY: 'auto',
+          background: '#fff',
+          color: '#111',
+          borderRadius: 12,
+          boxShadow: '0 12px 32px rgba(0,0,0,0.25)',
+          padding: 16,
+        }}
+      >
+        <div style={{ fontWeight: 700, fontSize: 16, marginBottom: 10 }}>boards</div>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+          {boards.map((b) => {
+            const isActive = b.id === activeBoardId;
+            return (
+              <div
+                key={b.id}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: 6,
+                  padding: 8,
+                  borderRadius: 8,
+                  border: isActive ? '2px solid #111' : '1px solid rgba(0,0,0,0.15)',
+                }}
+              >
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{ fontWeight: 600, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {b.name || 'untitled board'}
+                  </div>
+                  <div style={{ fontSize: 11, opacity: 0.6 }}>
+                    {isActive ? 'open now' : `created ${formatTimeAgo(b.createdAt)} ago`}
+                  </div>
+                </div>
+                {!isActive && <UIButton animated onClick={() => onSwitch(b.id)} style={smallButton}>open</UIButton>}
+                <UIButton onClick={() => onRename(b)} style={smallButton}>rename</UIButton>
+                <UIButton onClick={() => onDuplicate(b)} style={smallButton}>copy</UIButton>
+                <UIButton
+                  onClick={() => onRemove(b)}
+                  disabled={boards.length <= 1}
+                  style={{ ...smallButton, background: '#ffe9e9', borderColor: '#e55' }}
+                  title={boards.length <= 1 ? 'the last board cannot be deleted' : 'delete board'}
+                >
+                  ×
+                </UIButton>
+              </div>
+            );
+          })}
+        </div>
+        {active && (
+          <label style={{ fontSize: 14, display: 'flex', alignItems: 'center', gap: 6, marginTop: 12 }}>
+            vases per row on this board
+            <input
+              type="number"
+              min={1}
+              max={MAX_COLUMNS}
+              value={active.layout.columns}
+              onChange={(e) => {
+                const n = Math.max(1, Math.min(MAX_COLUMNS, parseInt(e.target.value, 10) || 1));
+                onColumnsChange(n);
+              }}
+              style={{ width: 48, fontSize: 14, padding: '2px 4px' }}
+            />
+          </label>
+        )}
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: 14 }}>
+          <UIButton onClick={onClose} style={{ fontSize: 14 }}>close</UIButton>
+          <UIButton animated onClick={onCreate} style={{ fontSize: 14 }}>new board</UIButton>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import React, { useRef } from 'react';
+import UIButton from './UIButton.jsx';
+import { Field, Slider } from './EditorFields.jsx';
+import { inputStyle, swatchStyle } from './editorForm.js';
+import { COIN_INITIALS_MAX, COIN_METALS, MAX_COIN_SIZE, MIN_COIN_SIZE } from '../../utils/coins.js';
+
+const smallButton = (selected) => ({
+  fontSize: 12,
+  padding: '2px 8px',
+  background: selected ? '#111' : '#fff',
+  color: selected ? '#fff' : '#000',
+});
+
+/**
+ * CoinFields
+ * Look of the coins dropped into the vase (utils/coins.js) for the vase editor.
+ * Props:
+ *  - coin: CoinDesign
+ *  - onChange(coin)
+ *  - onPickImage(file): store a picked emblem image and put it on the coin
+ */
+export default function CoinFields({ coin, onChange, onPickImage }) {
+  const fileRef = useRef(null);
+  const set = (patch) => onChange({ ...coin, ...patch });
+  const emblemKind = coin.emblem?.kind ?? 'none';
+  return (
+    <>
+      <Field label="coin metal">
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4, alignItems: 'center' }}>
+          <input type="color" value={coin.metal} onChange={(e) => set({ metal: e.target.value })} style={swatchStyle} />
+          {COIN_METALS.map(({ name, color }) => (
+            <button
+              key={name}
+              type="button"
+              onClick={() => set({ metal: color })}
+              title={name}
+              style={{
+                width: 22,
+                height: 22,
+                borderRadius: '50%',
+                background: color,
+                border: coin.metal === color ? '2px solid #111' : '1px solid rgba(0,0,0,0.25)',
+                cursor: 'pointer',
+                padding: 0,
+              }}
+            />
+          ))}
+        </div>
+      </Field>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 4, fontSize: 13 }}>
+        <span style={{ opacity: 0.75 }}>coin emblem</span>
+        <div style={{ display: 'flex', gap: 4 }}>
+          <UIButton onClick={() => set({ emblem: null })} style={smallButton(emblemKind === 'none')}>none</UIButton>
+          <UIButton
+            onClick={() => set({ emblem: { kind: 'initials', text: coin.emblem?.kind === 'initials' ? coin.emblem.text : '' } })}
+            style={smallButton(emblemKind === 'initials')}
+          >
+            initials
+          </UIButton>
+          <UIButton onClick={() => fileRef.current?.click()} style={smallButton(emblemKind === 'image')} title="pick an image to emboss">
+            image…
+          </UIButton>
+          <input
+            ref={fileRef}
+            type="file"
+            accept="image/*"
+            style={{ display: 'none' }}
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              e.target.value = '';
+              if (file) onPickImage(file);
+            }}
+          />
+        </div>
+        {emblemKind === 'initials' && (
+          <input
+            name="coinInitials"
+            value={coin.emblem.text}
+            maxLength={COIN_INITIALS_MAX}
+            onChange={(e) => set({ emblem: { kind: 'initials', text: e.target.value } })}
+            placeholder="e.g. AB"
+            style={{ ...inputStyle(), textTransform: 'uppercase' }}
+          />
+        )}
+      </div>
+      <Slider label="coin size" value={coin.size} min={MIN_COIN_SIZE} max={MAX_COIN_SIZE} step={0.1} onChange={(size) => set({ size })} />
+      <div style={{ fontSize: 12, opacity: 0.6, marginTop: -8 }}>The size applies to coins dropped from now on.</div>
+    </>
+  );
+}
@@ -0,0 +1,94 @@
+import React from 'react';
+import { OVERLAY_FONTS } from '../../utils/fonts.js';
+import { HEX_COLOR, inputStyle, swatchStyle } from './editorForm.js';
+
+// Form fields shared by the vase editor and its layer stack
+
+export function Field({ label, error, children }) {
+  return (
+    <label style={{ display: 'flex', flexDirection: 'column', gap: 4, fontSize: 13 }}>
+      <span style={{ opacity: 0.75 }}>{label}</span>
+      {children}
+      {error && <span style={{ color: '#c33', fontSize: 12 }}>{error}</span>}
+    </label>
+  );
+}
+
+export function Slider({ label, value, min, max, step, onChange }) {
+  return (
+    <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 13 }}>
+      <span style={{ opacity: 0.75, width: 96 }}>{label}</span>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+        style={{ flex: 1 }}
+      />
+    </label>
+  );
+}
+
+/**
+ * Style controls of a TextOverlay (everything but the text itself).
+ * Props:
+ *  - overlay: TextOverlay
+ *  - error: message for an invalid fill color
+ *  - onChange(patch)
+ */
+export function TextStyleFields({ overlay, error, onChange }) {
+  return (
+    <>
+      <Field label="font">
+        <select
+          value={overlay.font in OVERLAY_FONTS ? overlay.font : 'system'}
+          onChange={(e) => onChange({ font: e.target.value })}
+          style={{ ...inputStyle(), fontFamily: OVERLAY_FONTS[overlay.font]?.family }}
+        >
+          {Object.entries(OVERLAY_FONTS).map(([key, f]) => (
+            <option key={key} value={key} style={{ fontFamily: f.family }}>{f.label}</option>
+          ))}
+        </select>
+      </Field>
+      <Field label="text color" error={error}>
+        <div style={{ display: 'flex', gap: 6, alignItems: 'center', fontSize: 13 }}>
+          <input
+            type="color"
+            value={HEX_COLOR.test(overlay.fill) ? overlay.fill : '#111111'}
+            onChange={(e) => onChange({ fill: e.target.value })}
+            style={swatchStyle}
+          />
+          <label style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+            <input
+              type="checkbox"
+              checked={!!overlay.stroke}
+              onChange={(e) => onChange({ stroke: e.target.checked ? '#ffffff' : null })}
+            />
+            outline
+          </label>
+          {overlay.stroke && (
+            <input
+              type="color"
+              value={HEX_COLOR.test(overlay.stroke) ? overlay.stroke : '#ffffff'}
+              onChange={(e) => onChange({ stroke: e.target.value })}
+              style={swatchStyle}
+            />
+          )}
+        </div>
+      </Field>
+      <Slider label="size" value={overlay.size} min={0.5} max={1.5} step={0.05} onChange={(size) => onChange({ size })} />
+      <Slider label="height" value={overlay.position} min={0} max={1} step={0.01} onChange={(position) => onChange({ position })} />
+      <Slider
+        label="letter spacing"
+        value={overlay.letterSpacing}
+        min={-0.05}
+        max={0.5}
+        step={0.01}
+        onChange={(letterSpacing) => onChange({ letterSpacing })}
+      />
+      <Slider label="curve" value={overlay.curve} min={-1} max={1} step={0.05} onChange={(curve) => onChange({ curve })} />
+    </>
+  );
+}
@@ -0,0 +1,235 @@
+import React, { useRef, useState } from 'react';
+import UIButton from './UIButton.jsx';
+import { Field, Slider, TextStyleFields } from './EditorFields.jsx';
+import { HEX_COLOR, inputStyle, swatchStyle } from './editorForm.js';
+import { createLayer, updateLayerById, LAYER_BLEND_MODES } from '../../models/layer.js';
+import { STICKERS } from '../../utils/layers.js';
+
+const KINDS = [
+  { kind: 'image', label: 'image' },
+  { kind: 'sticker', label: 'sticker' },
+  { kind: 'fill', label: 'fill' },
+  { kind: 'gradient', label: 'gradient' },
+  { kind: 'text', label: 'text' },
+];
+
+const smallButton = { fontSize: 12, padding: '2px 8px' };
+
+/** Short description of a layer for its row */
+function describeLayer(layer) {
+  switch (layer.kind) {
+    case 'sticker': return `sticker ${layer.sticker}`;
+    case 'fill': return `fill ${layer.color}`;
+    case 'text': return `text "${layer.text.text.trim().split('\n')[0]}"`;
+    default: return layer.kind;
+  }
+}
+
+/** Controls for what a layer draws (everything but opacity, blend and placement) */
+function LayerContentFields({ layer, error, onChange }) {
+  switch (layer.kind) {
+    case 'sticker':
+      return (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+          {STICKERS.map((s) => (
+            <UIButton
+              key={s}
+              onClick={() => onChange({ sticker: s })}
+              style={{ ...smallButton, fontSize: 16, background: layer.sticker === s ? '#eee' : '#fff' }}
+            >
+              {s}
+            </UIButton>
+          ))}
+        </div>
+      );
+    case 'fill':
+      return (
+        <Field label="color" error={error}>
+          <div style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+            <input
+              type="color"
+              value={HEX_COLOR.test(layer.color) ? layer.color : '#ffffff'}
+              onChange={(e) => onChange({ color: e.target.value })}
+              style={swatchStyle}
+            />
+            <input
+              value={layer.color}
+              onChange={(e) => onChange({ color: e.target.value.trim() })}
+              style={{ ...inputStyle(error), flex: 1, fontFamily: 'monospace' }}
+            />
+          </div>
+        </Field>
+      );
+    case 'gradient':
+      return (
+        <>
+          <div style={{ display: 'flex', gap: 6, alignItems: 'center', fontSize: 13 }}>
+            <input
+              type="color"
+              value={layer.gradient.from}
+              onChange={(e) => onChange({ gradient: { ...layer.gradient, from: e.target.value } })}
+              style={swatchStyle}
+            />
+            to
+            <input
+              type="color"
+              value={layer.gradient.to}
+              onChange={(e) => onChange({ gradient: { ...layer.gradient, to: e.target.value } })}
+              style={swatchStyle}
+            />
+          </div>
+          <Slider
+            label="direction"
+            value={layer.gradient.angle}
+            min={0}
+            max={360}
+            step={5}
+            onChange={(angle) => onChange({ gradient: { ...layer.gradient, angle } })}
+          />
+        </>
+      );
+    case 'text': {
+      const setText = (patch) => onChange({ text: { ...layer.text, ...patch } });
+      return (
+        <>
+          <Field label="text" error={error}>
+            <textarea
+              value={layer.text.text}
+              rows={2}
+              onChange={(e) => setText({ text: e.target.value })}
+              style={{ ...inputStyle(error), resize: 'vertical', fontFamily: 'inherit' }}
+            />
+          </Field>
+          <TextStyleFields overlay={layer.text} onChange={setText} />
+        </>
+      );
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * LayerStackEditor
+ * Edits a vase's decal layer stack (models/layer.js) inside the vase editor. Rows are listed
+ * top of the stack first.
+ * Props:
+ *  - layers: VaseLayer[] (bottom first, as stored)
+ *  - errors: messages by layer id
+ *  - onChange(layers)
+ *  - onAddImage(file): the parent stores the image and appends the layer
+ */
+export default function LayerStackEditor({ layers, errors = {}, onChange, onAddImage }) {
+  const [openId, setOpenId] = useState(null);
+  const fileRef = useRef(null);
+
+  const update = (id, patch) => onChange(updateLayerById(layers, id, patch));
+  const move = (index, delta) => {
+    const next = [...layers];
+    const [layer] = next.splice(index, 1);
+    next.splice(index + delta, 0, layer);
+    onChange(next);
+  };
+  const add = (kind) => {
+    if (kind === 'image') {
+      fileRef.current?.click();
+      return;
+    }
+    const layer = createLayer(kind);
+    onChange([...layers, layer]);
+    setOpenId(layer.id);
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+      {layers.length === 0 && (
+        <div style={{ fontSize: 12, opacity: 0.6 }}>
+          No layers yet. Stack images, stickers, fills, gradients and text over the vase color or picture.
+        </div>
+      )}
+      {layers.map((layer, index) => ({ layer, index })).reverse().map(({ layer, index }) => {
+        const isOpen = openId === layer.id;
+        const { transform } = layer;
+        const setTransform = (patch) => update(layer.id, { transform: patch });
+        return (
+          <div
+            key={layer.id}
+            style={{
+              border: `1px solid ${errors[layer.id] ? '#c33' : 'rgba(0,0,0,0.15)'}`,
+              borderRadius: 8,
+              padding: 6,
+              display: 'flex',
+              flexDirection: 'column',
+              gap: 6,
+            }}
+          >
+            <div style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+              <input
+                type="checkbox"
+                checked={layer.visible}
+                onChange={(e) => update(layer.id, { visible: e.target.checked })}
+                title={layer.visible ? 'hide layer' : 'show layer'}
+              />
+              <span
+                onClick={() => setOpenId(isOpen ? null : layer.id)}
+                style={{ flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', cursor: 'pointer', opacity: layer.visible ? 1 : 0.5 }}
+              >
+                {describeLayer(layer)}
+              </span>
+              <UIButton onClick={() => move(index, 1)} disabled={index === layers.length - 1} style={smallButton} title="move up">↑</UIButton>
+              <UIButton onClick={() => move(index, -1)} disabled={index === 0} style={smallButton} title="move down">↓</UIButton>
+              <UIButton onClick={() => setOpenId(isOpen ? null : layer.id)} style={smallButton}>{isOpen ? 'done' : 'edit'}</UIButton>
+              <UIButton
+                onClick={() => onChange(layers.filter((l) => l.id !== layer.id))}
+                style={{ ...smallButton, background: '#ffe9e9', borderColor: '#e55' }}
+                title="remove layer"
+              >
+                ×
+              </UIButton>
+            </div>
+            {errors[layer.id] && !isOpen && <span style={{ color: '#c33', fontSize: 12 }}>{errors[layer.id]}</span>}
+            {isOpen && (
+              <>
+                <LayerContentFields layer={layer} error={errors[layer.id]} onChange={(patch) => update(layer.id, patch)} />
+                <Slider label="opacity" value={layer.opacity} min={0} max={1} step={0.05} onChange={(opacity) => update(layer.id, { opacity })} />
+                <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 13 }}>
+                  <span style={{ opacity: 0.75, width: 96 }}>blend</span>
+                  <select
+                    value={layer.blend}
+                    onChange={(e) => update(layer.id, { blend: e.target.value })}
+                    style={{ ...inputStyle(), flex: 1, padding: '2px 4px' }}
+                  >
+                    {LAYER_BLEND_MODES.map((mode) => (
+                      <option key={mode} value={mode}>{mode === 'source-over' ? 'normal' : mode}</option>
+                    ))}
+                  </select>
+                </label>
+                <Slider label="left / right" value={transform.x} min={-0.5} max={0.5} step={0.01} onChange={(x) => setTransform({ x })} />
+                <Slider label="up / down" value={transform.y} min={-0.5} max={0.5} step={0.01} onChange={(y) => setTransform({ y })} />
+                <Slider label="scale" value={transform.scale} min={0.1} max={2} step={0.05} onChange={(scale) => setTransform({ scale })} />
+                <Slider label="rotation" value={transform.rotation} min={-180} max={180} step={1} onChange={(rotation) => setTransform({ rotation })} />
+              </>
+            )}
+          </div>
+        );
+      })}
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4, alignItems: 'center' }}>
+        add
+        {KINDS.map(({ kind, label }) => (
+          <UIButton key={kind} onClick={() => add(kind)} style={smallButton}>+ {label}</UIButton>
+        ))}
+      </div>
+      <input
+        ref={fileRef}
+        type="file"
+        accept="image/*"
+        style={{ display: 'none' }}
+        onChange={(e) => {
+          const file = e.target.files?.[0];
+          e.target.value = '';
+          if (file) onAddImage(file);
+        }}
+      />
+    </div>
+  );
+}
@@ -1,7 +1,7 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { createPortal } from 'react-dom';
 import UIButton from './UIButton.jsx';
-import { ArrowLeft, ArrowRight } from 'lucide-react';
+import { ArrowLeft, ArrowRight, Plus, Undo2, Redo2 } from 'lucide-react';
 
 export default function NavigationBar({
   isLocked,
@@ -13,9 +13,13 @@ export default function NavigationBar({
   onStartHoldPrev,
   onStartHoldNext,
   onStopHold,
+  // New: append a vase to the collection
+  onAddVase,
   onSetOverlayText,
   onSet3DTitle,
   onOpenColorPicker,
+  // Paint mode: brush strokes straight onto the vase
+  onPaint,
   onResetCamera,
   onManifest,
   onDestroy,
@@ -24,16 +28,25 @@ export default function NavigationBar({
   barRef,
   // New: glass toggle
   onToggleGlass,
-  // New: camera capture handlers
+  // Camera capture: receives the full (mirrored) frame, placed on the vase by the parent
   onCameraCanvas,
-  onCameraSetActive,
-  // New: upload handlers
-  onUploadCanvas,
-  onUploadSetActive,
+  // Upload: receives the chosen image File, placed on the vase by the parent
+  onUploadFile,
+  // Texture library (past uploads/photos)
+  onOpenLibrary,
+  // Undo/redo of design edits (labels name the step, e.g. "vase color")
+  onUndo,
+  onRedo,
+  canUndo = false,
+  canRedo = false,
+  undoLabel,
+  redoLabel,
   // New: background (skybox) handlers
   hasSkybox,
-  onSkyboxSelected, // receives a data URL string
+  onSkyboxSelected, // receives the chosen image File (a Blob)
   onClearSkybox,
+  // In-app notice for failures (title, message); see hooks/useDialog.js
+  onAlert,
   // If true, keep destroy button enabled even while locked (to allow re-trigger)
   allowDestroyWhileLocked = false,
 }) {
@@ -94,7 +107,7 @@ export default function NavigationBar({
       await attachAndPlay();
     } catch (err) {
       console.error('[NavigationBar] getUserMedia failed:', err);
-      alert('Could not access your camera. Check permissions.');
+      onAlert?.('camera unavailable', 'Could not access your camera. Check permissions.');
       stopCamera();
     }
   };
@@ -127,74 +140,31 @@ export default function NavigationBar({
     if (!cameraOpen) return;
     const v = videoRef.current;
     if (!v || !v.videoWidth || !v.videoHeight) return;
-    const vw = v.videoWidth;
-    const vh = v.videoHeight;
-    const size = Math.min(vw, vh);
-    const sx = (vw - size) / 2;
-    const sy = (vh - size) / 2;
-
+    // Keep the whole frame; which part lands on the vase is chosen in the placement step
     const canvas = document.createElement('canvas');
-    canvas.width = canvas.height = 1024;
+    canvas.width = v.videoWidth;
+    canvas.height = v.videoHeight;
     const ctx = canvas.getContext('2d');
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    ctx.save();
     // Mirror horizontally for a selfie-like capture
     ctx.translate(canvas.width, 0);
     ctx.scale(-1, 1);
-    ctx.drawImage(v, sx, sy, size, size, 0, 0, canvas.width, canvas.height);
-    ctx.restore();
+    ctx.drawImage(v, 0, 0, canvas.width, canvas.height);
 
-    // Inform parent: set active layer and provide canvas
-    onCameraSetActive && onCameraSetActive();
     onCameraCanvas && onCameraCanvas(canvas);
     stopCamera();
   };
 
-  // --- Upload handling (cover-fit to 1024x1024 like Uploader.jsx) ---
+  // --- Upload handling ---
   const handleOpenUpload = () => {
     if (isLocked || isResetting) return;
     uploadInputRef.current?.click();
   };
 
-  const handleUploadChange = async (e) => {
+  const handleUploadChange = (e) => {
     const file = e.target.files?.[0];
     // Clear value so selecting the same file later still triggers change
     e.target.value = '';
-    if (!file) return;
-    const objectUrl = URL.createObjectURL(file);
-    try {
-      const img = new Image();
-      img.onload = () => {
-        try {
-          const SIZE = 1024;
-          const canvas = document.createElement('canvas');
-          canvas.width = canvas.height = SIZE;
-          const ctx = canvas.getContext('2d');
-          // cover fit
-          const iw = img.width, ih = img.height;
-          const scale = Math.max(SIZE / iw, SIZE / ih);
-          const dw = iw * scale, dh = ih * scale;
-          const dx = (SIZE - dw) / 2;
-          const dy = (SIZE - dh) / 2;
-          ctx.clearRect(0, 0, SIZE, SIZE);
-          ctx.drawImage(img, dx, dy, dw, dh);
-          // Inform parent
-          onUploadSetActive && onUploadSetActive();
-          onUploadCanvas && onUploadCanvas(canvas);
-        } finally {
-          URL.revokeObjectURL(objectUrl);
-        }
-      };
-      img.onerror = () => {
-        URL.revokeObjectURL(objectUrl);
-        alert('Failed to load image. Please try a different file.');
-      };
-      img.src = objectUrl;
-    } catch (err) {
-      console.error('[NavigationBar] Upload failed:', err);
-      try { URL.revokeObjectURL(objectUrl); } catch {}
-      alert('Failed to load image as texture. See console for details.');
-    }
+    if (file) onUploadFile && onUploadFile(file);
   };
 
   // --- Background (skybox) handling ---
@@ -212,22 +182,12 @@ export default function NavigationBar({
     // Allow re-choosing same file later
     e.target.value = '';
     if (!file) return;
-    try {
-      const reader = new FileReader();
-      reader.onload = () => {
-        const dataUrl = reader.result;
-        if (typeof dataUrl === 'string') {
-          onSkyboxSelected && onSkyboxSelected(dataUrl);
-        }
-      };
-      reader.onerror = () => {
-        alert('Failed to read image file.');
-      };
-      reader.readAsDataURL(file);
-    } catch (err) {
-      console.error('[NavigationBar] Background upload failed:', err);
-      alert('Failed to load background image. See console for details.');
+    if (!file.type.startsWith('image/')) {
+      onAlert?.('not an image', 'Please choose an image file.');
+      return;
     }
+    // Stored as-is (a File is a Blob); App persists it in the texture store
+    onSkyboxSelected && onSkyboxSelected(file);
   };
 
   return (
@@ -282,6 +242,15 @@ export default function NavigationBar({
         >
           <ArrowRight size={20} strokeWidth={2} />
         </UIButton>
+        <UIButton
+          animated
+          onClick={onAddVase}
+          disabled={isLocked || isResetting}
+          style={{ width: 48 }}
+          title="add vase"
+        >
+          <Plus size={20} strokeWidth={2} />
+        </UIButton>
         <div style={{ width: 1, height: 28, background: 'rgba(0,0,0,0.12)', margin: '0 4px' }} />
 
         <UIButton animated onClick={onManifest} disabled={isLocked || isResetting} style={{ fontSize: 14 }}>
@@ -300,12 +269,33 @@ export default function NavigationBar({
 
       {/* Row 2: vase controls + actions */}
       <div style={{ display: 'flex', alignItems: 'center', gap: 12, flexWrap: 'wrap', justifyContent: 'center' }}>
+        <UIButton
+          animated
+          onClick={onUndo}
+          disabled={!canUndo || isLocked || isResetting}
+          style={{ width: 44 }}
+          title={undoLabel ? `undo ${undoLabel}` : 'undo'}
+        >
+          <Undo2 size={18} strokeWidth={2} />
+        </UIButton>
+        <UIButton
+          animated
+          onClick={onRedo}
+          disabled={!canRedo || isLocked || isResetting}
+          style={{ width: 44 }}
+          title={redoLabel ? `redo ${redoLabel}` : 'redo'}
+        >
+          <Redo2 size={18} strokeWidth={2} />
+        </UIButton>
         <UIButton animated onClick={onSetOverlayText} disabled={isLocked || isResetting} style={{ fontSize: 14 }}>
           vase text
         </UIButton>
         <UIButton animated onClick={onOpenColorPicker} disabled={isLocked || isResetting} style={{ fontSize: 14 }}>
           vase color
         </UIButton>
+        <UIButton animated onClick={onPaint} disabled={isLocked || isResetting} style={{ fontSize: 14 }}>
+          paint
+        </UIButton>
         <UIButton animated onClick={onSet3DTitle} disabled={isLocked || isResetting} style={{ fontSize: 14 }}>
           3d text
         </UIButton>
@@ -336,6 +326,14 @@ export default function NavigationBar({
         >
           photo
         </UIButton>
+        <UIButton
+          animated
+          onClick={onOpenLibrary}
+          disabled={isLocked || isResetting}
+          style={{ fontSize: 14 }}
+        >
+          library
+        </UIButton>
         {/* New: Background toggle button */}
         <UIButton
           animated
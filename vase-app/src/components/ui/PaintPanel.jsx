@@ -0,0 +1,122 @@
+import React from 'react';
+import { motion } from 'motion/react';
+import UIButton from './UIButton.jsx';
+import { Slider } from './EditorFields.jsx';
+import { swatchStyle } from './editorForm.js';
+import { MAX_BRUSH_SIZE, MIN_BRUSH_SIZE } from '../../utils/paint.js';
+
+const SlideOverPanel = motion.div;
+
+const SWATCHES = ['#111111', '#ffffff', '#c0392b', '#e67e22', '#f1c40f', '#27ae60', '#2980b9', '#8e44ad'];
+
+const toolButton = (selected) => ({
+  fontSize: 12,
+  padding: '4px 8px',
+  background: selected ? '#111' : '#fff',
+  color: selected ? '#fff' : '#000',
+});
+
+/**
+ * PaintPanel
+ * Brush settings for paint mode. Strokes are drawn on the vase itself (see ComposedVaseModel);
+ * each one is stored as it ends.
+ * Props:
+ *  - brush: { size, color, erase, smoothing }
+ *  - turning: drags rotate the vase instead of painting
+ *  - canClear: the vase has paint
+ *  - onChange({ brush?, turning? }), onClear(), onDone()
+ */
+export default function PaintPanel({ brush, turning, canClear, onChange, onClear, onDone }) {
+  const setBrush = (patch) => onChange({ brush: { ...brush, ...patch } });
+  const tool = turning ? 'turn' : (brush.erase ? 'erase' : 'brush');
+  return (
+    <SlideOverPanel
+      initial={{ x: '100%' }}
+      animate={{ x: 0 }}
+      transition={{ type: 'spring', stiffness: 380, damping: 36 }}
+      onKeyDown={(e) => {
+        e.stopPropagation();
+        if (e.key === 'Escape') onDone();
+      }}
+      style={{
+        position: 'absolute',
+        top: 0,
+        right: 0,
+        bottom: 0,
+        width: 'min(92vw, 280px)',
+        zIndex: 1260,
+        background: '#fff',
+        color: '#111',
+        boxShadow: '-8px 0 24px rgba(0,0,0,0.2)',
+        padding: 16,
+        boxSizing: 'border-box',
+        overflowY: 'auto',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: 12,
+        pointerEvents: 'auto',
+      }}
+    >
+      <div style={{ fontWeight: 700, fontSize: 16 }}>paint</div>
+      <div style={{ display: 'flex', gap: 4 }}>
+        <UIButton onClick={() => onChange({ brush: { ...brush, erase: false }, turning: false })} style={toolButton(tool === 'brush')}>brush</UIButton>
+        <UIButton onClick={() => onChange({ brush: { ...brush, erase: true }, turning: false })} style={toolButton(tool === 'erase')}>eraser</UIButton>
+        <UIButton onClick={() => onChange({ turning: true })} style={toolButton(tool === 'turn')} title="drag to turn the vase">turn</UIButton>
+      </div>
+      <div style={{ fontSize: 12, opacity: 0.7 }}>
+        {turning ? 'Drag the vase to turn it, then pick the brush again.' : 'Drag on the vase to paint. Each stroke can be undone.'}
+      </div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4, alignItems: 'center' }}>
+        <input
+          type="color"
+          value={brush.color}
+          onChange={(e) => setBrush({ color: e.target.value, erase: false })}
+          style={swatchStyle}
+        />
+        {SWATCHES.map((c) => (
+          <button
+            key={c}
+            type="button"
+            onClick={() => setBrush({ color: c, erase: false })}
+            title={c}
+            style={{
+              width: 22,
+              height: 22,
+              borderRadius: '50%',
+              background: c,
+              border: brush.color === c ? '2px solid #111' : '1px solid rgba(0,0,0,0.25)',
+              cursor: 'pointer',
+              padding: 0,
+            }}
+          />
+        ))}
+      </div>
+      <Slider label="size" value={brush.size} min={MIN_BRUSH_SIZE} max={MAX_BRUSH_SIZE} step={1} onChange={(size) => setBrush({ size })} />
+      <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: 64 }}>
+        <div
+          style={{
+            width: Math.max(2, brush.size / 2),
+            height: Math.max(2, brush.size / 2),
+            borderRadius: '50%',
+            background: brush.erase ? 'repeating-conic-gradient(#ccc 0 25%, #fff 0 50%) 0 0 / 8px 8px' : brush.color,
+            border: '1px solid rgba(0,0,0,0.2)',
+          }}
+        />
+      </div>
+      <Slider label="smoothing" value={brush.smoothing} min={0} max={1} step={0.05} onChange={(smoothing) => setBrush({ smoothing })} />
+      <div>
+        <UIButton
+          onClick={onClear}
+          disabled={!canClear}
+          style={{ fontSize: 12, padding: '4px 8px', background: '#ffe9e9', borderColor: '#e55' }}
+        >
+          clear paint
+        </UIButton>
+      </div>
+      <div style={{ flex: 1 }} />
+      <div style={{ display: 'flex', justifyContent: 'flex-end' }}>
+        <UIButton animated onClick={onDone} style={{ fontSize: 14 }}>done</UIButton>
+      </div>
+    </SlideOverPanel>
+  );
+}
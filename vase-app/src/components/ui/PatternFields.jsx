@@ -0,0 +1,97 @@
+import React from 'react';
+import UIButton from './UIButton.jsx';
+import { Field, Slider } from './EditorFields.jsx';
+import { inputStyle, swatchStyle } from './editorForm.js';
+import {
+  createPatternRecipe,
+  MAX_PATTERN_SCALE,
+  PATTERN_KINDS,
+  PATTERN_PALETTES,
+  randomPatternSeed,
+} from '../../utils/patterns.js';
+
+const smallButton = { fontSize: 12, padding: '2px 8px' };
+
+// Kinds drawn along a direction
+const ANGLED_KINDS = ['stripes', 'gradient'];
+
+/**
+ * PatternFields
+ * Picks a procedural base pattern (utils/patterns.js) for the vase editor.
+ * Props:
+ *  - pattern: PatternRecipe | null (null = plain color)
+ *  - onChange(pattern | null)
+ */
+export default function PatternFields({ pattern, onChange }) {
+  const set = (patch) => onChange({ ...pattern, ...patch });
+  return (
+    <>
+      <Field label="pattern">
+        <select
+          value={pattern?.kind ?? ''}
+          onChange={(e) => {
+            const kind = e.target.value;
+            // Switching kinds keeps the palette and seed
+            onChange(kind ? createPatternRecipe(kind, pattern ? { seed: pattern.seed, palette: pattern.palette } : {}) : null);
+          }}
+          style={inputStyle()}
+        >
+          <option value="">none (plain color)</option>
+          {PATTERN_KINDS.map(({ kind, label }) => (
+            <option key={kind} value={kind}>{label}</option>
+          ))}
+        </select>
+      </Field>
+      {pattern && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 8, paddingLeft: 8, borderLeft: '2px solid rgba(0,0,0,0.1)' }}>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+            {Object.entries(PATTERN_PALETTES).map(([name, colors]) => (
+              <UIButton
+                key={name}
+                onClick={() => set({ palette: [...colors] })}
+                title={name}
+                style={{ ...smallButton, display: 'flex', gap: 2, padding: 4 }}
+              >
+                {colors.map((c, i) => (
+                  <span key={i} style={{ width: 12, height: 12, borderRadius: 3, background: c }} />
+                ))}
+              </UIButton>
+            ))}
+          </div>
+          <div style={{ display: 'flex', gap: 6, alignItems: 'center', fontSize: 13 }}>
+            {pattern.palette.map((color, i) => (
+              <input
+                key={i}
+                type="color"
+                value={color}
+                onChange={(e) => set({ palette: pattern.palette.map((c, j) => (j === i ? e.target.value : c)) })}
+                style={swatchStyle}
+              />
+            ))}
+            <UIButton onClick={() => set({ seed: randomPatternSeed() })} style={{ ...smallButton, marginLeft: 'auto' }} title="new random variation">
+              shuffle
+            </UIButton>
+          </div>
+          <Slider
+            label="repeats"
+            value={pattern.scale}
+            min={1}
+            max={MAX_PATTERN_SCALE}
+            step={1}
+            onChange={(scale) => set({ scale })}
+          />
+          {ANGLED_KINDS.includes(pattern.kind) && (
+            <Slider
+              label="direction"
+              value={pattern.angle}
+              min={0}
+              max={pattern.kind === 'gradient' ? 360 : 180}
+              step={5}
+              onChange={(angle) => set({ angle })}
+            />
+          )}
+        </div>
+      )}
+    </>
+  );
+}
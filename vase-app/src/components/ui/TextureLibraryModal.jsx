@@ -0,0 +1,122 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import UIButton from './UIButton.jsx';
+import { getTextureBlob, listLibraryTextures } from '../../services/textures.js';
+import { formatTimeAgo } from '../../utils/time.js';
+
+/**
+ * Square preview of one stored texture (object URL revoked on unmount).
+ * Props:
+ *  - id: texture id
+ */
+function LibraryThumb({ id }) {
+  const [url, setUrl] = useState(null);
+  useEffect(() => {
+    let objectUrl = null;
+    let canceled = false;
+    (async () => {
+      const blob = await getTextureBlob(id);
+      if (canceled || !blob) return;
+      objectUrl = URL.createObjectURL(blob);
+      setUrl(objectUrl);
+    })();
+    return () => {
+      canceled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [id]);
+  return (
+    <div
+      style={{
+        width: '100%',
+        aspectRatio: '1 / 1',
+        borderRadius: 8,
+        background: url ? `center / cover no-repeat url(${url})` : '#eee',
+        border: '1px solid rgba(0,0,0,0.12)',
+      }}
+    />
+  );
+}
+
+/**
+ * TextureLibraryModal
+ * Browse past uploads/photos and reuse them on the active vase.
+ * Props:
+ *  - referenceCounts: Map<textureId, number> of vases using each texture
+ *  - onApply(texture): use a LibraryTexture on the active vase
+ *  - onRemove(texture): Promise; take it out of the library (only offered when unused)
+ *  - onClose()
+ */
+export default function TextureLibraryModal({ referenceCounts, onApply, onRemove, onClose }) {
+  const [items, setItems] = useState(null);
+
+  const refresh = useCallback(async () => {
+    setItems(await listLibraryTextures());
+  }, []);
+
+  useEffect(() => { refresh(); }, [refresh]);
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'absolute',
+        inset: 0,
+        background: 'rgba(0,0,0,0.45)',
+        zIndex: 1300,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        pointerEvents: 'auto',
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          width: 'min(92vw, 520px)',
+          maxHeight: '90svh',
+          overflowY: 'auto',
+          background: '#fff',
+          color: '#111',
+          borderRadius: 12,
+          boxShadow: '0 12px 32px rgba(0,0,0,0.25)',
+          padding: 16,
+        }}
+      >
+        <div style={{ fontWeight: 700, fontSize: 16, marginBottom: 10 }}>texture library</div>
+        {items === null && <div style={{ opacity: 0.7 }}>loading…</div>}
+        {items?.length === 0 && (
+          <div style={{ opacity: 0.7, fontSize: 14 }}>
+            Nothing here yet. Uploads and photos you put on a vase show up here so you can reuse them.
+          </div>
+        )}
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(110px, 1fr))', gap: 10 }}>
+          {items?.map((t) => {
+            const uses = referenceCounts.get(t.id) ?? 0;
+            return (
+              <div key={t.id} style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+                <LibraryThumb id={t.id} />
+                <div style={{ fontSize: 11, opacity: 0.7 }}>
+                  {uses > 0 ? `on ${uses} vase${uses === 1 ? '' : 's'}` : 'unused'}, added {formatTimeAgo(t.createdAt)} ago
+                </div>
+                <div style={{ display: 'flex', gap: 4 }}>
+                  <UIButton animated onClick={() => onApply(t)} style={{ fontSize: 12, padding: '4px 8px', flex: 1 }}>use</UIButton>
+                  <UIButton
+                    onClick={async () => { await onRemove(t); refresh(); }}
+                    disabled={uses > 0}
+                    style={{ fontSize: 12, padding: '4px 8px' }}
+                    title={uses > 0 ? 'in use' : 'remove from library'}
+                  >
+                    ×
+                  </UIButton>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+        <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: 14 }}>
+          <UIButton onClick={onClose} style={{ fontSize: 14 }}>close</UIButton>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { motion } from 'motion/react';
+import UIButton from './UIButton.jsx';
+import { Slider } from './EditorFields.jsx';
+import { DEFAULT_PLACEMENT, MAX_PLACEMENT_ZOOM, MIN_PLACEMENT_ZOOM } from '../../utils/placement.js';
+import { drawUvLayout, loadVaseUvLayout } from '../../utils/uvLayout.js';
+
+// Resolution of the 2D texture view
+const VIEW_SIZE = 512;
+
+const SlideOverPanel = motion.div;
+
+const clampZoom = (z) => Math.min(MAX_PLACEMENT_ZOOM, Math.max(MIN_PLACEMENT_ZOOM, z));
+
+/**
+ * TexturePlacementPanel
+ * Slide-over for placing an upload or photo on the vase: drag to pan, wheel or slider to zoom,
+ * rotate and repeat. The parent renders the placed texture (shown here over the model's UV
+ * layout, and live on the 3D vase); nothing is stored until apply.
+ * Props:
+ *  - title: e.g. 'place photo'
+ *  - placement: TexturePlacement
+ *  - texture: HTMLCanvasElement rendered from the current placement
+ *  - onChange(placement | (prev) => placement), onApply(), onCancel()
+ */
+export default function TexturePlacementPanel({ title, placement, texture, onChange, onApply, onCancel }) {
+  const viewRef = useRef(null);
+  const dragRef = useRef(null);
+  const [guide, setGuide] = useState(null);
+
+  // UV guide, drawn once into its own canvas
+  useEffect(() => {
+    let canceled = false;
+    loadVaseUvLayout().then((layout) => {
+      if (canceled) return;
+      const c = document.createElement('canvas');
+      c.width = c.height = VIEW_SIZE;
+      drawUvLayout(c.getContext('2d'), layout, VIEW_SIZE);
+      setGuide(c);
+    }).catch((e) => console.warn('[placement] UV layout unavailable', e));
+    return () => { canceled = true; };
+  }, []);
+
+  useEffect(() => {
+    const ctx = viewRef.current?.getContext('2d');
+    if (!ctx) return;
+    ctx.clearRect(0, 0, VIEW_SIZE, VIEW_SIZE);
+    if (texture) ctx.drawImage(texture, 0, 0, VIEW_SIZE, VIEW_SIZE);
+    if (guide) ctx.drawImage(guide, 0, 0);
+  }, [texture, guide]);
+
+  // Wheel zoom needs a non-passive listener to keep the panel from scrolling
+  useEffect(() => {
+    const el = viewRef.current;
+    if (!el) return;
+    const onWheel = (e) => {
+      e.preventDefault();
+      onChange((p) => ({ ...p, zoom: clampZoom(p.zoom * Math.exp(-e.deltaY * 0.0015)) }));
+    };
+    el.addEventListener('wheel', onWheel, { passive: false });
+    return () => el.removeEventListener('wheel', onWheel);
+  }, [onChange]);
+
+  const onPointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { x: e.clientX, y: e.clientY, start: placement };
+  };
+  const onPointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const w = e.currentTarget.clientWidth || VIEW_SIZE;
+    // The texture wraps around the vase, so horizontal offsets are kept within one turn
+    const x = drag.start.x + (e.clientX - drag.x) / w;
+    onChange({
+      ...drag.start,
+      x: x - Math.round(x),
+      y: Math.max(-1, Math.min(1, drag.start.y + (e.clientY - drag.y) / w)),
+    });
+  };
+  const onPointerUp = () => { dragRef.current = null; };
+
+  return (
+    <SlideOverPanel
+      initial={{ x: '100%' }}
+      animate={{ x: 0 }}
+      transition={{ type: 'spring', stiffness: 380, damping: 36 }}
+      onKeyDown={(e) => {
+        e.stopPropagation();
+        if (e.key === 'Escape') onCancel();
+      }}
+      style={{
+        position: 'absolute',
+        top: 0,
+        right: 0,
+        bottom: 0,
+        width: 'min(92vw, 340px)',
+        zIndex: 1260,
+        background: '#fff',
+        color: '#111',
+        boxShadow: '-8px 0 24px rgba(0,0,0,0.2)',
+        padding: 16,
+        boxSizing: 'border-box',
+        overflowY: 'auto',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: 12,
+        pointerEvents: 'auto',
+      }}
+    >
+      <div style={{ fontWeight: 700, fontSize: 16 }}>{title}</div>
+      <canvas
+        ref={viewRef}
+        width={VIEW_SIZE}
+        height={VIEW_SIZE}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+        style={{
+          width: '100%',
+          aspectRatio: '1 / 1',
+          borderRadius: 8,
+          background: '#f3f1ee',
+          touchAction: 'none',
+          cursor: 'grab',
+        }}
+      />
+      <div style={{ fontSize: 12, opacity: 0.7 }}>
+        Drag to move, scroll to zoom. This is the whole texture as it wraps the vase; the tinted area faces front.
+      </div>
+      <Slider
+        label="zoom"
+        value={placement.zoom}
+        min={MIN_PLACEMENT_ZOOM}
+        max={MAX_PLACEMENT_ZOOM}
+        step={0.01}
+        onChange={(zoom) => onChange({ ...placement, zoom })}
+      />
+      <Slider
+        label="rotation"
+        value={placement.rotation}
+        min={-180}
+        max={180}
+        step={1}
+        onChange={(rotation) => onChange({ ...placement, rotation })}
+      />
+      <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 14 }}>
+        <input type="checkbox" checked={placement.tile} onChange={(e) => onChange({ ...placement, tile: e.target.checked })} />
+        repeat the image
+      </label>
+      <div>
+        <UIButton onClick={() => onChange({ ...DEFAULT_PLACEMENT })} style={{ fontSize: 12, padding: '4px 8px' }}>reset</UIButton>
+      </div>
+      <div style={{ flex: 1 }} />
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8 }}>
+        <UIButton onClick={onCancel} style={{ fontSize: 14 }}>cancel</UIButton>
+        <UIButton animated onClick={onApply} style={{ fontSize: 14 }}>apply</UIButton>
+      </div>
+    </SlideOverPanel>
+  );
+}
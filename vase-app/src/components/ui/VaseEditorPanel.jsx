@@ -0,0 +1,214 @@
+import React, { useEffect, useRef } from 'react';
+import { motion } from 'motion/react';
+import UIButton from './UIButton.jsx';
+import LayerStackEditor from './LayerStackEditor.jsx';
+import PatternFields from './PatternFields.jsx';
+import CoinFields from './CoinFields.jsx';
+import { Field, TextStyleFields } from './EditorFields.jsx';
+import { HEX_COLOR, inputStyle, swatchStyle, validateLayers, validateOverlayText } from './editorForm.js';
+import { createCoinDesign } from '../../models/vase.js';
+
+const NAME_MAX = 40;
+const TITLE_MAX = 24;
+// The 3D title font (helvetiker) only has glyphs for printable ASCII
+const TITLE_CHARS = /^[\x20-\x7E]*$/;
+
+// Form that slides in from the right edge
+const SlideOverForm = motion.form;
+
+const SOURCES = [
+  { layer: 'base', label: 'color / pattern' },
+  { layer: 'upload', label: 'upload' },
+  { layer: 'camera', label: 'photo' },
+];
+
+/**
+ * Field errors for a draft (empty object when it can be saved).
+ * @param {{ name: string, overlay: import('../../models/vase.js').TextOverlay, title3D: string, baseColor: string, layers: import('../../models/layer.js').VaseLayer[] }} draft
+ * @returns {Record<string, any>} field messages; `layers` holds messages by layer id
+ */
+function validateDraft(draft) {
+  const errors = {};
+  if (draft.name.trim().length > NAME_MAX) errors.name = `at most ${NAME_MAX} characters`;
+  const overlayError = validateOverlayText(draft.overlay.text);
+  if (overlayError) errors.overlayText = overlayError;
+  if (!HEX_COLOR.test(draft.overlay.fill)) errors.overlayFill = 'use a color like #111111';
+  if (draft.title3D.trim().length > TITLE_MAX) errors.title3D = `at most ${TITLE_MAX} characters`;
+  else if (!TITLE_CHARS.test(draft.title3D)) errors.title3D = 'only basic latin letters, digits and punctuation';
+  if (!HEX_COLOR.test(draft.baseColor)) errors.baseColor = 'use a color like #ffcc00';
+  const layerErrors = validateLayers(draft.layers);
+  if (Object.keys(layerErrors).length) errors.layers = layerErrors;
+  return errors;
+}
+
+/**
+ * VaseEditorPanel
+ * Slide-over editor for the active vase. Edits are previewed live on the vase by the parent;
+ * nothing is stored until save, and cancel drops the draft.
+ * Props:
+ *  - draft: { name, overlay (TextOverlay, empty text = none), title3D, baseColor, pattern (PatternRecipe | null), isGlass, coin (CoinDesign | null), activeLayer, layers, layerSources }
+ *  - availableLayers: { base, upload, camera } booleans (which texture sources exist)
+ *  - focusField: 'name' | 'overlayText' | 'title3D' | 'baseColor' | null, focused on open
+ *  - onChange(patch), onSave(), onCancel()
+ *  - onAddImageLayer(file): add an image layer from a picked file
+ *  - placeableLayer: 'upload' | 'camera' | null, the stored image source that can be re-placed
+ *  - onAdjustPlacement(layer): open the placement step for it
+ *  - onPickCoinImage(file): use a picked file as the coin emblem
+ */
+export default function VaseEditorPanel({
+  draft,
+  availableLayers,
+  focusField,
+  placeableLayer,
+  onChange,
+  onAddImageLayer,
+  onAdjustPlacement,
+  onPickCoinImage,
+  onSave,
+  onCancel,
+}) {
+  const errors = validateDraft(draft);
+  const isValid = Object.keys(errors).length === 0;
+  const formRef = useRef(null);
+
+  useEffect(() => {
+    const el = formRef.current?.elements.namedItem(focusField || 'name');
+    if (el) { el.focus(); el.select?.(); }
+  }, [focusField]);
+
+  const overlay = draft.overlay;
+  const setOverlay = (patch) => onChange({ overlay: { ...overlay, ...patch } });
+
+  return (
+    <SlideOverForm
+      ref={formRef}
+      initial={{ x: '100%' }}
+      animate={{ x: 0 }}
+      transition={{ type: 'spring', stiffness: 380, damping: 36 }}
+      onSubmit={(e) => { e.preventDefault(); if (isValid) onSave(); }}
+      onKeyDown={(e) => {
+        // Typing must not reach the window-level shortcuts (arrows, space, Z)
+        e.stopPropagation();
+        if (e.key === 'Escape') onCancel();
+      }}
+      style={{
+        position: 'absolute',
+        top: 0,
+        right: 0,
+        bottom: 0,
+        width: 'min(92vw, 340px)',
+        zIndex: 1250,
+        background: '#fff',
+        color: '#111',
+        boxShadow: '-8px 0 24px rgba(0,0,0,0.2)',
+        padding: 16,
+        boxSizing: 'border-box',
+        overflowY: 'auto',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: 12,
+        pointerEvents: 'auto',
+      }}
+    >
+      <div style={{ fontWeight: 700, fontSize: 16 }}>edit vase</div>
+      <Field label="name" error={errors.name}>
+        <input
+          name="name"
+          value={draft.name}
+          onChange={(e) => onChange({ name: e.target.value })}
+          placeholder="this vase has no name"
+          style={inputStyle(errors.name)}
+        />
+      </Field>
+      <Field label="vase text (printed on the vase)" error={errors.overlayText}>
+        <textarea
+          name="overlayText"
+          value={overlay.text}
+          rows={3}
+          onChange={(e) => setOverlay({ text: e.target.value })}
+          placeholder="none"
+          style={{ ...inputStyle(errors.overlayText), resize: 'vertical', fontFamily: 'inherit' }}
+        />
+      </Field>
+      {overlay.text.trim() && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 8, paddingLeft: 8, borderLeft: '2px solid rgba(0,0,0,0.1)' }}>
+          <TextStyleFields overlay={overlay} error={errors.overlayFill} onChange={setOverlay} />
+        </div>
+      )}
+      <Field label="3d text (floating under the vase)" error={errors.title3D}>
+        <input
+          name="title3D"
+          value={draft.title3D}
+          onChange={(e) => onChange({ title3D: e.target.value })}
+          placeholder="none"
+          style={inputStyle(errors.title3D)}
+        />
+      </Field>
+      <Field label="color" error={errors.baseColor}>
+        <div style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+          <input
+            type="color"
+            value={HEX_COLOR.test(draft.baseColor) ? draft.baseColor : '#ffffff'}
+            onChange={(e) => onChange({ baseColor: e.target.value, pattern: null, activeLayer: 'base' })}
+            style={swatchStyle}
+          />
+          <input
+            name="baseColor"
+            value={draft.baseColor}
+            onChange={(e) => onChange({ baseColor: e.target.value.trim(), pattern: null, activeLayer: 'base' })}
+            style={{ ...inputStyle(errors.baseColor), flex: 1, fontFamily: 'monospace' }}
+          />
+        </div>
+      </Field>
+      <PatternFields pattern={draft.pattern} onChange={(pattern) => onChange({ pattern, activeLayer: 'base' })} />
+      <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 14 }}>
+        <input type="checkbox" checked={draft.isGlass} onChange={(e) => onChange({ isGlass: e.target.checked })} />
+        glass
+      </label>
+      <CoinFields coin={draft.coin ?? createCoinDesign()} onChange={(coin) => onChange({ coin })} onPickImage={onPickCoinImage} />
+      <Field label="texture source">
+        <div style={{ display: 'flex', gap: 4 }}>
+          {SOURCES.map(({ layer, label }) => (
+            <UIButton
+              key={layer}
+              onClick={() => onChange({ activeLayer: layer })}
+              disabled={!availableLayers[layer]}
+              style={{
+                fontSize: 12,
+                padding: '4px 8px',
+                background: draft.activeLayer === layer ? '#111' : '#fff',
+                color: draft.activeLayer === layer ? '#fff' : '#000',
+              }}
+              title={availableLayers[layer] ? undefined : `no ${label} on this vase yet`}
+            >
+              {label}
+            </UIButton>
+          ))}
+          {draft.activeLayer === placeableLayer && (
+            <UIButton
+              onClick={() => onAdjustPlacement(placeableLayer)}
+              style={{ fontSize: 12, padding: '4px 8px', marginLeft: 'auto' }}
+              title="move, zoom or repeat the image (closes the editor)"
+            >
+              place…
+            </UIButton>
+          )}
+        </div>
+      </Field>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 4, fontSize: 13 }}>
+        <span style={{ opacity: 0.75 }}>layers (top first)</span>
+        <LayerStackEditor
+          layers={draft.layers}
+          errors={errors.layers}
+          onChange={(layers) => onChange({ layers })}
+          onAddImage={onAddImageLayer}
+        />
+      </div>
+      <div style={{ flex: 1 }} />
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8 }}>
+        <UIButton onClick={onCancel} style={{ fontSize: 14 }}>cancel</UIButton>
+        <UIButton type="submit" animated disabled={!isValid} style={{ fontSize: 14 }}>save</UIButton>
+      </div>
+    </SlideOverForm>
+  );
+}
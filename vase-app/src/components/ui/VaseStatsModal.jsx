@@ -0,0 +1,373 @@
+import React, { useMemo, useState } from 'react';
+import UIButton from './UIButton.jsx';
+import { formatDuration, formatTimeAgo, formatTimeAgoPhrase } from '../../utils/time.js';
+import { averageManifestGapMs, bucketActivity, computeStreaks, eventsSinceReset } from '../../utils/analytics.js';
+import { describeCadence } from '../../utils/cadence.js';
+import { MEASURE_DEFAULTS, MEASURE_UNIT_MAX, describeMeasure, formatMeasureAmount } from '../../utils/measure.js';
+import { TARGET_DEFAULTS, describeTarget, getTargetProgress } from '../../utils/target.js';
+
+const MANIFEST_COLOR = '#d4a017';
+const DESTROY_COLOR = '#e55';
+
+// Bucket count per chart granularity (two weeks of days, a quarter of weeks)
+const RANGES = {
+  day: { count: 14, caption: 'last 14 days' },
+  week: { count: 12, caption: 'last 12 weeks' },
+};
+
+// Toggle buttons of the pickers and the chart granularity
+const pickerButton = (selected) => ({ fontSize: 12, padding: '4px 8px', background: selected ? '#111' : '#fff', color: selected ? '#fff' : '#000' });
+
+/**
+ * Paired bars per bucket: manifests (gold) next to destroys (red). With a measure the gold bars
+ * show the logged amounts instead, on their own scale.
+ * Props:
+ *  - buckets: { label, manifest, destroy, amount }[] from bucketActivity
+ *  - measure: Measure | null
+ */
+function ActivityBarChart({ buckets, measure }) {
+  const max = Math.max(1, ...buckets.map(b => Math.max(b.manifest, b.destroy)));
+  const manifestMax = measure ? Math.max(1, ...buckets.map(b => b.amount)) : max;
+  const manifestValue = (b) => (measure ? b.amount : b.manifest);
+  const HEIGHT = 90;
+  return (
+    <div style={{ display: 'flex', alignItems: 'flex-end', gap: 3, height: HEIGHT + 16 }}>
+      {buckets.map((b) => (
+        <div
+          key={b.start.toISOString()}
+          style={{ flex: 1, display: 'flex', flexDirection: 'column', alignItems: 'center', minWidth: 0 }}
+          title={`${b.label}: ${b.manifest} manifested${measure && b.amount ? ` (${formatMeasureAmount(b.amount, measure)})` : ''}, ${b.destroy} destroyed`}
+        >
+          <div style={{ display: 'flex', alignItems: 'flex-end', gap: 1, height: HEIGHT, width: '100%' }}>
+            <div style={{ flex: 1, height: (manifestValue(b) / manifestMax) * HEIGHT, background: MANIFEST_COLOR }} />
+            <div style={{ flex: 1, height: (b.destroy / max) * HEIGHT, background: DESTROY_COLOR }} />
+          </div>
+          <div style={{ fontSize: 9, opacity: 0.6, marginTop: 2, whiteSpace: 'nowrap', overflow: 'hidden' }}>{b.label}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Default cadence per kind when switching schedules
+const CADENCE_DEFAULTS = {
+  daily: { kind: 'daily' },
+  weekly: { kind: 'weekly', times: 3 },
+  interval: { kind: 'interval', days: 2 },
+};
+
+/**
+ * Schedule picker: none / daily / N per week / every N days.
+ * Props:
+ *  - cadence: Cadence | null
+ *  - onChange(cadence | null)
+ */
+function CadencePicker({ cadence, onChange }) {
+  const kind = cadence?.kind ?? 'none';
+  const countKey = kind === 'weekly' ? 'times' : kind === 'interval' ? 'days' : null;
+  const max = kind === 'weekly' ? 7 : 365;
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 4 }}>
+      {['none', 'daily', 'weekly', 'interval'].map((k) => (
+        <UIButton
+          key={k}
+          onClick={() => onChange(k === 'none' ? null : (k === kind ? cadence : CADENCE_DEFAULTS[k]))}
+          style={pickerButton(kind === k)}
+        >
+          {k}
+        </UIButton>
+      ))}
+      {countKey && (
+        <label style={{ fontSize: 12, display: 'flex', alignItems: 'center', gap: 4, marginLeft: 4 }}>
+          {kind === 'weekly' ? 'times' : 'every'}
+          <input
+            type="number"
+            min={1}
+            max={max}
+            value={cadence[countKey]}
+            onChange={(e) => {
+              const n = Math.max(1, Math.min(max, parseInt(e.target.value, 10) || 1));
+              onChange({ ...cadence, [countKey]: n });
+            }}
+            style={{ width: 48, fontSize: 12, padding: '2px 4px' }}
+          />
+          {kind === 'interval' ? 'days' : ''}
+        </label>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Measure picker: none / amount (with its unit) / duration, how much is worth a coin and
+ * whether bigger manifests drop more coins or bigger ones.
+ * Props:
+ *  - measure: Measure | null
+ *  - onChange(measure | null)
+ */
+function MeasurePicker({ measure, onChange }) {
+  const kind = measure?.kind ?? 'none';
+  const set = (patch) => onChange({ ...measure, ...patch });
+  const labelStyle = { fontSize: 12, display: 'flex', alignItems: 'center', gap: 4 };
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+      <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 4 }}>
+        {['none', 'amount', 'duration'].map((k) => (
+          <UIButton
+            key={k}
+            onClick={() => onChange(k === 'none' ? null : (k === kind ? measure : MEASURE_DEFAULTS[k]))}
+            style={pickerButton(kind === k)}
+          >
+            {k}
+          </UIButton>
+        ))}
+      </div>
+      {measure && (
+        <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 8 }}>
+          {measure.kind === 'amount' && (
+            <label style={labelStyle}>
+              unit
+              <input
+                value={measure.unit}
+                maxLength={MEASURE_UNIT_MAX}
+                onChange={(e) => set({ unit: e.target.value })}
+                placeholder="e.g. pages"
+                style={{ width: 72, fontSize: 12, padding: '2px 4px' }}
+              />
+            </label>
+          )}
+          <label style={labelStyle}>
+            one coin per
+            <input
+              type="number"
+              min={1}
+              value={measure.perCoin}
+              onChange={(e) => set({ perCoin: Math.max(1, parseFloat(e.target.value) || 1) })}
+              style={{ width: 56, fontSize: 12, padding: '2px 4px' }}
+            />
+            {measure.kind === 'duration' ? 'min' : measure.unit}
+          </label>
+          <div style={{ display: 'flex', gap: 4 }}>
+            {[['count', 'more coins'], ['size', 'bigger coin']].map(([k, label]) => (
+              <UIButton key={k} onClick={() => set({ coins: k })} style={pickerButton(measure.coins === k)}>
+                {label}
+              </UIButton>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Target picker: none / a number of manifests / a total of the measure (vases with a measure).
+ * Props:
+ *  - target: Target | null
+ *  - measure: Measure | null
+ *  - onChange(target | null)
+ */
+function TargetPicker({ target, measure, onChange }) {
+  const by = target?.by ?? 'none';
+  // Typed value, only applied on blur or Enter: every change re-decides whether the vase is complete
+  const [draft, setDraft] = useState(null);
+  const commit = () => {
+    if (draft === null) return;
+    const value = parseFloat(draft);
+    setDraft(null);
+    if (value > 0 && value !== target.value) onChange({ ...target, value });
+  };
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 4 }}>
+      {['none', 'manifests', 'amount'].map((k) => (
+        <UIButton
+          key={k}
+          onClick={() => onChange(k === 'none' ? null : (k === by ? target : TARGET_DEFAULTS[k]))}
+          disabled={k === 'amount' && !measure}
+          title={k === 'amount' && !measure ? 'pick a measure first' : undefined}
+          style={pickerButton(by === k)}
+        >
+          {k === 'amount' && measure ? (measure.kind === 'duration' ? 'time' : measure.unit || k) : k}
+        </UIButton>
+      ))}
+      {target && (
+        <label style={{ fontSize: 12, display: 'flex', alignItems: 'center', gap: 4, marginLeft: 4 }}>
+          reach
+          <input
+            type="number"
+            min={1}
+            value={draft ?? target.value}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={commit}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') e.currentTarget.blur();
+              else if (e.key === 'Escape') setDraft(null);
+            }}
+            style={{ width: 64, fontSize: 12, padding: '2px 4px' }}
+          />
+          {target.by === 'amount' ? (measure?.kind === 'duration' ? 'min' : measure?.unit) : 'manifests'}
+        </label>
+      )}
+    </div>
+  );
+}
+
+/**
+ * VaseStatsModal
+ * Per-vase analytics (history since the last reset) plus vase management actions.
+ * Props:
+ *  - vase: Vase
+ *  - events: ActivityEvent[] (whole log, oldest first; filtered to this vase here)
+ *  - stats: { coinAmount, destroyCount, amountTotal, filled, filledAmount } derived counters
+ *  - cadenceStatus: CadenceStatus | null (see utils/cadence.js)
+ *  - canMoveEarlier / canMoveLater / canRemove: booleans
+ *  - onMove(delta), onRemove(), onArchive(), onReset(), onClose(), onCadenceChange(cadence | null),
+ *    onMeasureChange(measure | null), onTargetChange(target | null)
+ */
+export default function VaseStatsModal({
+  vase,
+  events,
+  stats,
+  cadenceStatus,
+  canMoveEarlier,
+  canMoveLater,
+  canRemove,
+  onMove,
+  onRemove,
+  onArchive,
+  onReset,
+  onClose,
+  onCadenceChange,
+  onMeasureChange,
+  onTargetChange,
+}) {
+  const [unit, setUnit] = useState('day'); // 'day' | 'week'
+  const history = useMemo(() => eventsSinceReset(events, vase.id), [events, vase.id]);
+  const buckets = useMemo(() => bucketActivity(history, unit, RANGES[unit].count), [history, unit]);
+  const streaks = useMemo(() => computeStreaks(history), [history]);
+  const avgGap = useMemo(() => averageManifestGapMs(history), [history]);
+  const undated = history.filter(e => e.legacy).length;
+  const lastDestroy = [...history].reverse().find(e => e.type === 'destroy' && !e.legacy);
+
+  const n = stats.destroyCount;
+  const m = stats.coinAmount;
+  const measure = vase.measure ?? null;
+  const total = stats.amountTotal;
+  const progress = getTargetProgress(vase.target, stats, measure);
+  const rowStyle = { display: 'flex', justifyContent: 'space-between', gap: 12, whiteSpace: 'nowrap' };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'absolute',
+        inset: 0,
+        background: 'rgba(0,0,0,0.45)',
+        zIndex: 1100,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        pointerEvents: 'auto',
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          width: 'min(92vw, 420px)',
+          maxHeight: '90svh',
+          overflowY: 'auto',
+          background: '#fff',
+          color: '#111',
+          borderRadius: 12,
+          boxShadow: '0 12px 32px rgba(0,0,0,0.25)',
+          padding: 16,
+        }}
+      >
+        <div style={{ fontWeight: 700, fontSize: 16, marginBottom: 6 }}>
+          {vase.name?.trim() ? vase.name : 'this vase has no name'}
+        </div>
+        <div style={{ opacity: 0.9, whiteSpace: 'nowrap' }}>
+          created {formatTimeAgo(vase.createdAt)} ago
+        </div>
+        <div style={{ marginTop: 6 }}>
+          <div style={{ opacity: 0.9, whiteSpace: 'nowrap' }}>
+            {n > 0 ? `${n} time${n === 1 ? '' : 's'} destroyed` : 'never destroyed'}
+            {lastDestroy ? `, last ${formatTimeAgo(lastDestroy.at)} ago` : ''}
+          </div>
+          <div style={{ opacity: 0.9, whiteSpace: 'nowrap' }}>
+            {m > 0 ? `${m} time${m === 1 ? '' : 's'} manifested` : 'never manifested'}
+            {total > 0 ? `, ${formatMeasureAmount(total, measure)} in total` : ''}
+          </div>
+        </div>
+
+        {/* Streaks and cadence */}
+        <div style={{ marginTop: 12, fontSize: 14, display: 'flex', flexDirection: 'column', gap: 2 }}>
+          <div style={rowStyle}><span>current streak</span><strong>{streaks.current} day{streaks.current === 1 ? '' : 's'}</strong></div>
+          <div style={rowStyle}><span>longest streak</span><strong>{streaks.longest} day{streaks.longest === 1 ? '' : 's'}</strong></div>
+          <div style={rowStyle}><span>avg. time between manifests</span><strong>{avgGap == null ? '—' : formatDuration(avgGap)}</strong></div>
+          <div style={{ ...rowStyle, marginTop: 8 }}>
+            <span>schedule: {describeCadence(vase.cadence)}</span>
+            {cadenceStatus && (
+              <strong style={{ color: cadenceStatus.state === 'missed' ? DESTROY_COLOR : undefined }}>
+                {[cadenceStatus.streakLabel, cadenceStatus.dueLabel].filter(Boolean).join(' · ')}
+              </strong>
+            )}
+          </div>
+          <CadencePicker cadence={vase.cadence ?? null} onChange={onCadenceChange} />
+          <div style={{ ...rowStyle, marginTop: 8 }}>
+            <span>measure: {describeMeasure(measure)}</span>
+            {measure && total > 0 && m > 0 && <strong>avg. {formatMeasureAmount(total / m, measure)}</strong>}
+          </div>
+          <MeasurePicker measure={measure} onChange={onMeasureChange} />
+          <div style={{ ...rowStyle, marginTop: 8 }}>
+            <span>target: {describeTarget(vase.target, measure)}</span>
+            {progress && (
+              <strong style={{ color: vase.completedAt ? MANIFEST_COLOR : undefined }}>
+                {vase.completedAt ? `reached ${formatTimeAgoPhrase(vase.completedAt)}` : `${Math.floor(progress.ratio * 100)}%`}
+              </strong>
+            )}
+          </div>
+          <TargetPicker target={vase.target ?? null} measure={measure} onChange={onTargetChange} />
+          {progress && <div style={{ fontSize: 12, opacity: 0.7 }}>{progress.label}</div>}
+        </div>
+
+        {/* Activity chart */}
+        <div style={{ marginTop: 12 }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 6 }}>
+            <div style={{ fontSize: 12, opacity: 0.7 }}>
+              <span style={{ color: MANIFEST_COLOR }}>■</span> {measure ? (measure.kind === 'duration' ? 'time logged' : `${measure.unit || 'amount'} logged`) : 'manifested'} <span style={{ color: DESTROY_COLOR }}>■</span> destroyed, {RANGES[unit].caption}
+            </div>
+            <div style={{ display: 'flex', gap: 4 }}>
+              {['day', 'week'].map((u) => (
+                <UIButton
+                  key={u}
+                  onClick={() => setUnit(u)}
+                  style={pickerButton(unit === u)}
+                >
+                  {u}s
+                </UIButton>
+              ))}
+            </div>
+          </div>
+          <ActivityBarChart buckets={buckets} measure={measure} />
+          {undated > 0 && (
+            <div style={{ fontSize: 11, opacity: 0.6, marginTop: 4 }}>
+              {undated} earlier event{undated === 1 ? '' : 's'} from before history was kept are counted but not charted.
+            </div>
+          )}
+        </div>
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', flexWrap: 'wrap', gap: 8, marginTop: 14 }}>
+          <UIButton onClick={() => onMove(-1)} disabled={!canMoveEarlier} style={{ fontSize: 14 }}>move earlier</UIButton>
+          <UIButton onClick={() => onMove(1)} disabled={!canMoveLater} style={{ fontSize: 14 }}>move later</UIButton>
+          <UIButton onClick={onArchive} disabled={!canRemove} style={{ fontSize: 14 }} title="move to the archive (keeps stats and history)">archive vase</UIButton>
+          <UIButton animated onClick={onRemove} disabled={!canRemove} style={{ fontSize: 14, background: '#ffe9e9', borderColor: '#e55' }}>remove vase</UIButton>
+        </div>
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: 8 }}>
+          <UIButton onClick={onClose} style={{ fontSize: 14 }}>close</UIButton>
+          <UIButton animated onClick={onReset} style={{ fontSize: 14, background: '#ffe9e9', borderColor: '#e55' }}>reset vase</UIButton>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+// Validation and styles shared by the vase editor forms (kept out of the .jsx files for fast refresh)
+
+export const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const OVERLAY_MAX = 80;
+const OVERLAY_MAX_LINES = 4;
+
+/** Error message for text printed on the vase, or null when it fits */
+export function validateOverlayText(text) {
+  const t = text.trim();
+  if (t.length > OVERLAY_MAX) return `at most ${OVERLAY_MAX} characters`;
+  if (t.split('\n').length > OVERLAY_MAX_LINES) return `at most ${OVERLAY_MAX_LINES} lines`;
+  return null;
+}
+
+export const inputStyle = (error) => ({
+  fontSize: 14,
+  padding: '6px 8px',
+  border: `1px solid ${error ? '#c33' : 'rgba(0,0,0,0.3)'}`,
+  borderRadius: 6,
+});
+
+export const swatchStyle = { width: 40, height: 32, padding: 0, border: 'none', background: 'none' };
+
+/**
+ * Errors of a layer stack, by layer id (empty object when every layer can be saved).
+ * @param {import('../../models/layer.js').VaseLayer[]} layers
+ * @returns {Record<string, string>}
+ */
+export function validateLayers(layers) {
+  const errors = {};
+  layers.forEach((l) => {
+    if (l.kind === 'text') {
+      const error = !l.text.text.trim() ? 'add some text' : validateOverlayText(l.text.text);
+      if (error) errors[l.id] = error;
+    } else if (l.kind === 'fill' && !HEX_COLOR.test(l.color)) {
+      errors[l.id] = 'use a color like #ffcc00';
+    }
+  });
+  return errors;
+}
@@ -1,6 +1,7 @@
 // Configuration constants for the vase app
 
-export const VASE_COUNT = 9;
+// Number of vases seeded on first run; the collection can grow/shrink afterwards
+export const INITIAL_VASE_COUNT = 9;
 export const VASE_COLUMNS_COUNT = 3;
 export const VASE_SPACING = 25;
 
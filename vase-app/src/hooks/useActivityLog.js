@@ -0,0 +1,42 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { createActivityEvent } from '../models/activity.js';
+import { appendActivityEvent, deriveStatsByVase, loadActivityLog, removeActivityForVase } from '../services/activity.js';
+
+const NO_STATS = Object.freeze({ coinAmount: 0, destroyCount: 0, amountTotal: 0, filled: 0, filledAmount: 0 });
+
+// Loads the persisted activity log once vases are known and exposes derived per-vase counters
+export default function useActivityLog(vases) {
+  const [events, setEvents] = useState([]);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const loadedRef = useRef(false);
+
+  useEffect(() => {
+    if (loadedRef.current || !vases.length) return;
+    // Load exactly once (no cancel flag: a StrictMode re-run must not drop the result or backfill twice)
+    loadedRef.current = true;
+    loadActivityLog(vases).then((loaded) => {
+      // Keep anything logged while loading (appends are optimistic)
+      const ids = new Set(loaded.map(e => e.id));
+      setEvents(prev => [...loaded, ...prev.filter(e => !ids.has(e.id))]);
+      setIsLoaded(true);
+    });
+  }, [vases]);
+
+  // Append an event optimistically, then persist it
+  const logActivity = useCallback((vaseId, type, { note, amount, celebrated } = {}) => {
+    const event = createActivityEvent({ vaseId, type, note, amount, celebrated });
+    setEvents(prev => [...prev, event]);
+    appendActivityEvent(event);
+    return event;
+  }, []);
+
+  const forgetVase = useCallback((vaseId) => {
+    setEvents(prev => prev.filter(e => e.vaseId !== vaseId));
+    removeActivityForVase(vaseId);
+  }, []);
+
+  const statsByVase = useMemo(() => deriveStatsByVase(events), [events]);
+  const getStatsForVase = useCallback((vaseId) => statsByVase[vaseId] ?? NO_STATS, [statsByVase]);
+
+  return { events, isLoaded, statsByVase, getStatsForVase, logActivity, forgetVase };
+}
@@ -0,0 +1,70 @@
+import { useEffect, useMemo, useState } from 'react';
+import * as THREE from 'three';
+import { loadCanvasFromTextureRef } from '../services/textures.js';
+import { normalizeCoinInitials, renderCoinTextures } from '../utils/coins.js';
+import { createCoinDesign } from '../models/vase.js';
+
+const EMBLEM_IMAGE_SIZE = 256;
+const DEFAULT_METAL = createCoinDesign().metal;
+
+function createCoinMaterial({ metal, initials, image }) {
+  const textures = renderCoinTextures({ initials, image });
+  const toTexture = (canvas, color) => {
+    if (!canvas) return null;
+    const t = new THREE.CanvasTexture(canvas);
+    // The coin model's UVs follow glTF (origin at the top left)
+    t.flipY = false;
+    if (color) t.colorSpace = THREE.SRGBColorSpace;
+    return t;
+  };
+  return new THREE.MeshStandardMaterial({
+    color: metal,
+    map: toTexture(textures?.map, true),
+    bumpMap: toTexture(textures?.bump, false),
+    bumpScale: 3,
+    metalness: 1,
+    roughness: 0.25,
+  });
+}
+
+// Every vase with the plain gold coin shares one material
+let defaultMaterial = null;
+const getDefaultMaterial = () => (defaultMaterial ??= createCoinMaterial({ metal: DEFAULT_METAL, initials: '', image: null }));
+
+/**
+ * Material for the coins of a vase. Image emblems are loaded from the texture library; until
+ * one is ready the coin shows its metal without the emblem.
+ * @param {import('../models/vase.js').CoinDesign|null|undefined} design
+ * @returns {THREE.MeshStandardMaterial}
+ */
+export default function useCoinMaterial(design) {
+  const metal = design?.metal ?? DEFAULT_METAL;
+  const emblem = design?.emblem ?? null;
+  const initials = emblem?.kind === 'initials' ? normalizeCoinInitials(emblem.text) : '';
+  const emblemRef = emblem?.kind === 'image' ? emblem.texture : null;
+
+  const [emblemImage, setEmblemImage] = useState(null); // { id, canvas }
+  useEffect(() => {
+    if (!emblemRef) return;
+    let cancelled = false;
+    loadCanvasFromTextureRef(emblemRef, EMBLEM_IMAGE_SIZE).then((canvas) => {
+      if (!cancelled) setEmblemImage({ id: emblemRef.id, canvas });
+    });
+    return () => { cancelled = true; };
+  }, [emblemRef]);
+  const image = emblemRef && emblemImage?.id === emblemRef.id ? emblemImage.canvas : null;
+
+  const isDefault = metal === DEFAULT_METAL && !initials && !image;
+  const material = useMemo(
+    () => (isDefault ? null : createCoinMaterial({ metal, initials, image })),
+    [isDefault, metal, initials, image]
+  );
+  useEffect(() => () => {
+    if (!material) return;
+    material.map?.dispose();
+    material.bumpMap?.dispose();
+    material.dispose();
+  }, [material]);
+
+  return material ?? getDefaultMaterial();
+}
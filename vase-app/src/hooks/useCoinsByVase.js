@@ -1,31 +1,129 @@
-import { useCallback, useState } from 'react';
-import { VASE_COUNT } from '../config/constants.js';
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { loadCoinPiles, removeCoinPile, saveCoinPile } from '../services/coins.js';
 
-export default function useCoinsByVase() {
-  const [coinsByVase, setCoinsByVase] = useState(() => Array.from({ length: VASE_COUNT }, () => []));
+const NO_COINS = [];
+// Coins missing from a stored pile (never saved, or still falling at unload) are dropped again
+// on load, up to this many per vase
+const MAX_REDROPPED_COINS = 120;
 
-  const spawnCoinForVase = useCallback((vaseIndex) => {
+/**
+ * @typedef {Object} CoinTransform
+ * @property {[number, number, number]} position            // relative to the vase
+ * @property {[number, number, number, number]} quaternion   // x, y, z, w
+ * @property {number} [scale]                                // coin size when it dropped (default 1)
+ */
+
+/**
+ * @typedef {Object} DroppedCoin
+ * @property {number} id
+ * @property {[number, number, number]} position   // drop point, relative to the vase
+ * @property {[number, number, number]} rotation   // drop rotation (euler)
+ * @property {number} scale                        // relative to the vase's coin size (weighted manifests)
+ * @property {CoinTransform} [settled]             // where it came to rest; set once it joins the pile
+ */
+
+// A coin released above the vase at a slightly random spot and angle
+function createDroppedCoin(scale = 1) {
+  return {
+    id: Date.now() + Math.random(),
+    position: [
+      (Math.random() - 0.5) * 0.6,
+      15,
+      (Math.random() - 0.5) * 0.6,
+    ],
+    rotation: [
+      Math.random() * Math.PI,
+      Math.random() * Math.PI,
+      Math.random() * Math.PI,
+    ],
+    scale,
+  };
+}
+
+/**
+ * Coins currently dropped into each vase, keyed by vase id. Settled piles are stored and
+ * restored once `coinsInVase` (the scales of the coins manifested since each vase's last
+ * destroy/reset) is known; pass null until then.
+ * @param {Record<string, number[]>|null} coinsInVase
+ */
+export default function useCoinsByVase(coinsInVase) {
+  const [coinsByVase, setCoinsByVase] = useState({});
+  const hydratedRef = useRef(false);
+  // Settled coin count last written per vase, so only changed piles are saved
+  const savedCountsRef = useRef({});
+
+  useEffect(() => {
+    if (hydratedRef.current || !coinsInVase) return;
+    // Restore exactly once (no cancel flag: a StrictMode re-run must not drop the result)
+    hydratedRef.current = true;
+    loadCoinPiles().then((piles) => {
+      const restored = {};
+      Object.keys(piles).forEach((vaseId) => {
+        if (!coinsInVase[vaseId]?.length) removeCoinPile(vaseId);
+      });
+      Object.entries(coinsInVase).forEach(([vaseId, scales]) => {
+        if (!scales.length) return;
+        const pile = (piles[vaseId] ?? []).slice(-scales.length);
+        restored[vaseId] = [
+          ...pile.map((settled) => ({ ...createDroppedCoin(), settled })),
+          ...scales.slice(pile.length, MAX_REDROPPED_COINS).map((scale) => createDroppedCoin(scale)),
+        ];
+        savedCountsRef.current[vaseId] = pile.length;
+      });
+      console.log('[coins] restored piles for', Object.keys(restored).length, 'vases');
+      // Keep anything dropped while loading
+      setCoinsByVase(prev => {
+        const next = { ...restored };
+        Object.entries(prev).forEach(([vaseId, coins]) => { next[vaseId] = [...(next[vaseId] ?? NO_COINS), ...coins]; });
+        return next;
+      });
+    });
+  }, [coinsInVase]);
+
+  // Write piles whose settled coins changed, and forget cleared ones
+  useEffect(() => {
+    if (!hydratedRef.current) return;
+    const saved = savedCountsRef.current;
+    Object.entries(coinsByVase).forEach(([vaseId, coins]) => {
+      const pile = coins.filter(c => c.settled).map(c => c.settled);
+      if (saved[vaseId] === pile.length) return;
+      saved[vaseId] = pile.length;
+      saveCoinPile(vaseId, pile);
+    });
+    Object.keys(saved).forEach((vaseId) => {
+      if (vaseId in coinsByVase) return;
+      delete saved[vaseId];
+      removeCoinPile(vaseId);
+    });
+  }, [coinsByVase]);
+
+  // Drop one coin per scale (a plain manifest drops a single coin of the vase's size)
+  const spawnCoinsForVase = useCallback((vaseId, scales = [1]) => {
+    setCoinsByVase(prev => ({ ...prev, [vaseId]: [...(prev[vaseId] ?? NO_COINS), ...scales.map((scale) => createDroppedCoin(scale))] }));
+  }, []);
+
+  // A falling coin came to rest (transform) or was lost off the pedestal (null, the coin is dropped)
+  const settleCoinForVase = useCallback((vaseId, coinId, transform) => {
     setCoinsByVase(prev => {
-      const list = prev.map(arr => arr.slice());
-      const id = Date.now() + Math.random();
-      const position = [
-        (Math.random() - 0.5) * 0.6,
-        15,
-        (Math.random() - 0.5) * 0.6,
-      ];
-      const rotation = [
-        Math.random() * Math.PI,
-        Math.random() * Math.PI,
-        Math.random() * Math.PI,
-      ];
-      list[vaseIndex].push({ id, position, rotation });
-      return list;
+      const coins = prev[vaseId];
+      if (!coins?.some(c => c.id === coinId)) return prev;
+      const next = transform
+        ? coins.map(c => (c.id === coinId ? { ...c, settled: transform } : c))
+        : coins.filter(c => c.id !== coinId);
+      return { ...prev, [vaseId]: next };
     });
   }, []);
 
-  const clearCoinsForVase = useCallback((vaseIndex) => {
-    setCoinsByVase(prev => prev.map((arr, i) => (i === vaseIndex ? [] : arr)));
+  const clearCoinsForVase = useCallback((vaseId) => {
+    setCoinsByVase(prev => {
+      if (!(vaseId in prev)) return prev;
+      const next = { ...prev };
+      delete next[vaseId];
+      return next;
+    });
   }, []);
 
-  return { coinsByVase, spawnCoinForVase, setCoinsByVase, clearCoinsForVase };
+  const getCoinsForVase = useCallback((vaseId) => coinsByVase[vaseId] ?? NO_COINS, [coinsByVase]);
+
+  return { coinsByVase, getCoinsForVase, spawnCoinsForVase, settleCoinForVase, setCoinsByVase, clearCoinsForVase };
 }
@@ -1,24 +1,42 @@
-import { useEffect, useRef } from 'react';
+import { useCallback, useEffect, useRef } from 'react';
 import * as THREE from 'three';
+import { drawLayer } from '../utils/layers.js';
+
+const NO_LAYERS = [];
+const NO_LAYER_SOURCES = {};
 
 /**
  * useComposedTexture
  * Composes layered canvas sources into a single THREE.CanvasTexture, reusing GPU resources.
  * Precedence: camera > upload > base (only pass the one you want to be considered for each slot).
- * Text (overlay) is drawn last if provided.
+ * Decal layers are drawn over the base in stack order, then the painted layer, then the text overlay last if provided.
  *
  * Inputs:
  *  - base: HTMLCanvasElement | null
  *  - upload: HTMLCanvasElement | null
  *  - camera: HTMLCanvasElement | null
+ *  - layers: VaseLayer[] (decal stack, bottom first; see models/layer.js)
+ *  - layerSources: { [layerId]: HTMLCanvasElement } (loaded images of image layers)
+ *  - paint: HTMLCanvasElement | null (freehand paint, transparent where unpainted)
  *  - text: HTMLCanvasElement | null (overlay)
- *  - fallbackColor: string (used when no base layer present)
+ *  - fallbackColor: string (used when no base layer present, and under transparent base pixels)
  *  - size: number (texture resolution, default 1024)
  *
  * Output:
  *  - texture: THREE.CanvasTexture | null (stable reference; updates in-place)
+ *  - recompose(): redraw now, after a source canvas was drawn into in place (e.g. while painting)
  */
-export function useComposedTexture({ base, upload, camera, text, fallbackColor = '#f8f8f8', size = 1024 }) {
+export function useComposedTexture({
+  base,
+  upload,
+  camera,
+  layers = NO_LAYERS,
+  layerSources = NO_LAYER_SOURCES,
+  paint,
+  text,
+  fallbackColor = '#f8f8f8',
+  size = 1024,
+}) {
   const canvasRef = useRef(null);
   const textureRef = useRef(null);
 
@@ -27,20 +45,22 @@ export function useComposedTexture({ base, upload, camera, text, fallbackColor =
     canvasRef.current = document.createElement('canvas');
   }
 
-  useEffect(() => {
+  const compose = useCallback(() => {
     if (!canvasRef.current) return;
     const c = canvasRef.current;
     c.width = c.height = size;
     const ctx = c.getContext('2d');
     ctx.clearRect(0, 0, size, size);
 
+    // The fallback also shows through transparent parts of the base (e.g. a zoomed-out upload)
+    ctx.fillStyle = fallbackColor;
+    ctx.fillRect(0, 0, size, size);
     const baseSource = camera || upload || base;
-    if (baseSource) {
-      ctx.drawImage(baseSource, 0, 0, size, size);
-    } else {
-      ctx.fillStyle = fallbackColor;
-      ctx.fillRect(0, 0, size, size);
-    }
+    if (baseSource) ctx.drawImage(baseSource, 0, 0, size, size);
+
+    layers.forEach((layer) => drawLayer(ctx, layer, layerSources[layer.id] ?? null, size));
+
+    if (paint) ctx.drawImage(paint, 0, 0, size, size);
 
     if (text) ctx.drawImage(text, 0, 0, size, size);
 
@@ -53,12 +73,14 @@ export function useComposedTexture({ base, upload, camera, text, fallbackColor =
     } else {
       textureRef.current.needsUpdate = true;
     }
-  }, [base, upload, camera, text, fallbackColor, size]);
+  }, [base, upload, camera, layers, layerSources, paint, text, fallbackColor, size]);
+
+  useEffect(() => { compose(); }, [compose]);
 
   // Dispose on unmount
   useEffect(() => () => { textureRef.current?.dispose(); }, []);
 
-  return { texture: textureRef.current };
+  return { texture: textureRef.current, recompose: compose };
 }
 
 export default useComposedTexture;
@@ -0,0 +1,86 @@
+import { useCallback, useRef, useState } from 'react';
+
+const EMPTY_STACK = Object.freeze({ past: [], future: [] });
+
+/**
+ * Per-vase undo/redo stacks of design snapshots (memento style).
+ * Call `record(vaseId, label)` right BEFORE a design mutation; `undo` swaps the current
+ * state for the last recorded one (keeping the current one for `redo`).
+ *
+ * @param {{
+ *   capture: (vaseId: string) => any,              // snapshot of a vase's current design
+ *   apply: (vaseId: string, snapshot: any) => void, // restore a snapshot (state + persistence)
+ *   limit?: number,                                 // max undo steps kept per vase
+ * }} opts
+ */
+export default function useDesignHistory({ capture, apply, limit = 30 }) {
+  const [stacksById, setStacksById] = useState({}); // vaseId -> { past: Entry[], future: Entry[] }
+  // Latest callbacks without re-creating the returned functions on every render
+  const captureRef = useRef(capture);
+  const applyRef = useRef(apply);
+  captureRef.current = capture;
+  applyRef.current = apply;
+  const stacksRef = useRef(stacksById);
+  stacksRef.current = stacksById;
+
+  /**
+   * Remember the vase's design before a change. Repeated changes with the same label
+   * within `coalesceMs` (e.g. dragging through a color picker) collapse into one step.
+   */
+  const record = useCallback((vaseId, label, { coalesceMs = 0 } = {}) => {
+    if (!vaseId) return;
+    const now = Date.now();
+    const stack = stacksRef.current[vaseId] ?? EMPTY_STACK;
+    const top = stack.past[stack.past.length - 1];
+    if (coalesceMs && top && top.label === label && now - top.at < coalesceMs) {
+      const past = [...stack.past.slice(0, -1), { ...top, at: now }];
+      setStacksById(prev => ({ ...prev, [vaseId]: { past, future: [] } }));
+      return;
+    }
+    const entry = { label, at: now, snapshot: captureRef.current(vaseId) };
+    const past = [...stack.past, entry].slice(-limit);
+    setStacksById(prev => ({ ...prev, [vaseId]: { past, future: [] } }));
+  }, [limit]);
+
+  const step = useCallback((vaseId, from, to) => {
+    const stack = stacksRef.current[vaseId];
+    if (!stack?.[from].length) return null;
+    const entry = stack[from][stack[from].length - 1];
+    const current = { label: entry.label, at: Date.now(), snapshot: captureRef.current(vaseId) };
+    const next = {
+      [from]: stack[from].slice(0, -1),
+      [to]: [...stack[to], current].slice(-limit),
+    };
+    stacksRef.current = { ...stacksRef.current, [vaseId]: next };
+    setStacksById(prev => ({ ...prev, [vaseId]: next }));
+    applyRef.current(vaseId, entry.snapshot);
+    return entry.label;
+  }, [limit]);
+
+  /** Restore the design before the last change; returns its label (or null if nothing to undo) */
+  const undo = useCallback((vaseId) => step(vaseId, 'past', 'future'), [step]);
+  /** Re-apply the last undone change; returns its label (or null) */
+  const redo = useCallback((vaseId) => step(vaseId, 'future', 'past'), [step]);
+
+  /** Drop a vase's history (after a reset or removal) */
+  const clearHistory = useCallback((vaseId) => {
+    setStacksById(prev => {
+      if (!(vaseId in prev)) return prev;
+      const next = { ...prev };
+      delete next[vaseId];
+      return next;
+    });
+  }, []);
+
+  const getHistory = useCallback((vaseId) => {
+    const stack = stacksById[vaseId] ?? EMPTY_STACK;
+    return {
+      canUndo: stack.past.length > 0,
+      canRedo: stack.future.length > 0,
+      undoLabel: stack.past[stack.past.length - 1]?.label ?? null,
+      redoLabel: stack.future[stack.future.length - 1]?.label ?? null,
+    };
+  }, [stacksById]);
+
+  return { record, undo, redo, clearHistory, getHistory };
+}
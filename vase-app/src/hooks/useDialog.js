@@ -0,0 +1,38 @@
+import { useCallback, useRef, useState } from 'react';
+
+/**
+ * In-app replacements for window.alert/confirm/prompt (those block the render loop and
+ * look out of place in the installed PWA). Render <AppDialog request={request} onSettle={settle} />
+ * while `request` is set.
+ *
+ * alert({ title, message, confirmLabel }) -> Promise<void>  (resolves once dismissed)
+ * confirm({ title, message, confirmLabel, danger }) -> Promise<boolean>
+ * prompt({ title, message, defaultValue, placeholder, maxLength, inputMode, validate, confirmLabel }) -> Promise<string|null>  (null = canceled)
+ *   validate(value) returns an error text that keeps the dialog open, or null
+ */
+export default function useDialog() {
+  const [request, setRequest] = useState(null);
+  const pendingRef = useRef(null);
+
+  const open = useCallback((kind, opts) => new Promise((resolve) => {
+    // A new dialog replaces an open one, which counts as canceled
+    const pending = pendingRef.current;
+    pending?.resolve(pending.kind === 'confirm' ? false : pending.kind === 'prompt' ? null : undefined);
+    pendingRef.current = { kind, resolve };
+    setRequest({ kind, ...opts });
+  }), []);
+
+  const alert = useCallback((opts) => open('alert', opts), [open]);
+  const confirm = useCallback((opts) => open('confirm', opts), [open]);
+  const prompt = useCallback((opts) => open('prompt', opts), [open]);
+
+  /** Close the dialog with its answer (boolean for confirm, string or null for prompt, nothing for alert) */
+  const settle = useCallback((value) => {
+    const pending = pendingRef.current;
+    pendingRef.current = null;
+    setRequest(null);
+    pending?.resolve(value);
+  }, []);
+
+  return { request, alert, confirm, prompt, settle };
+}
@@ -0,0 +1,17 @@
+import { useEffect, useState } from 'react';
+import { loadOverlayFont } from '../utils/fonts.js';
+
+// True once every given overlay font is ready to draw with (canvas text would silently use a fallback font before that)
+export default function useOverlayFonts(fontKeys) {
+  const key = [...new Set(fontKeys.filter(Boolean))].sort().join(',');
+  const [loadedKey, setLoadedKey] = useState(null);
+
+  useEffect(() => {
+    if (!key) return;
+    let canceled = false;
+    Promise.all(key.split(',').map(loadOverlayFont)).then(() => { if (!canceled) setLoadedKey(key); });
+    return () => { canceled = true; };
+  }, [key]);
+
+  return !key || loadedKey === key;
+}
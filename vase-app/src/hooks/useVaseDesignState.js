@@ -1,50 +1,61 @@
 import { useCallback, useState } from 'react';
-import { VASE_COUNT } from '../config/constants.js';
 
-// Manages per-vase design state (texture sources, active base layer, base color, 3D titles)
+// `layers` holds the loaded images of a vase's image layers, by layer id
+export const EMPTY_TEXTURE_SOURCES = Object.freeze({ base: null, upload: null, camera: null, paint: null, text: null, layers: Object.freeze({}) });
+
+// Drop one key from an id-keyed map (returns the same object when absent)
+function omitKey(map, key) {
+  if (!(key in map)) return map;
+  const next = { ...map };
+  delete next[key];
+  return next;
+}
+
+// Manages per-vase design state (texture sources, active base layer, base color, 3D titles), keyed by vase id
 export default function useVaseDesignState() {
-  const [textureSourcesList, setTextureSourcesList] = useState(
-    () => Array.from({ length: VASE_COUNT }, () => ({ base: null, upload: null, camera: null, text: null }))
-  );
-  const [activeBaseLayers, setActiveBaseLayers] = useState(
-    () => Array.from({ length: VASE_COUNT }, () => 'base')
-  );
-  const [baseColors, setBaseColors] = useState(
-    () => Array.from({ length: VASE_COUNT }, () => '#ffffff')
-  );
-  const [titles3D, setTitles3D] = useState(
-    () => Array.from({ length: VASE_COUNT }, () => '')
-  );
-
-  const setTextureSourcesForVase = useCallback((index, updater) => {
-    setTextureSourcesList(prev => prev.map((entry, i) => (i === index ? updater(entry) : entry)));
+  const [textureSourcesById, setTextureSourcesById] = useState({});
+  const [activeBaseLayerById, setActiveBaseLayerById] = useState({});
+  const [baseColorById, setBaseColorById] = useState({});
+  const [title3DById, setTitle3DById] = useState({});
+
+  const setTextureSourcesForVase = useCallback((vaseId, updater) => {
+    setTextureSourcesById(prev => ({ ...prev, [vaseId]: updater(prev[vaseId] ?? EMPTY_TEXTURE_SOURCES) }));
+  }, []);
+
+  const setActiveBaseLayerForVase = useCallback((vaseId, layer) => {
+    setActiveBaseLayerById(prev => ({ ...prev, [vaseId]: layer }));
   }, []);
 
-  const setActiveBaseLayerForVase = useCallback((index, layer) => {
-    setActiveBaseLayers(prev => prev.map((l, i) => (i === index ? layer : l)));
+  const setBaseColorForVase = useCallback((vaseId, color) => {
+    setBaseColorById(prev => ({ ...prev, [vaseId]: color }));
   }, []);
 
-  const setBaseColorForVase = useCallback((index, color) => {
-    setBaseColors(prev => prev.map((c, i) => (i === index ? color : c)));
+  const setTitle3DForVase = useCallback((vaseId, title) => {
+    setTitle3DById(prev => ({ ...prev, [vaseId]: title }));
   }, []);
 
-  const setTitle3DForVase = useCallback((index, title) => {
-    setTitles3D(prev => prev.map((t, i) => (i === index ? title : t)));
+  // Forget everything about a vase (used when it is removed from the collection)
+  const removeDesignForVase = useCallback((vaseId) => {
+    setTextureSourcesById(prev => omitKey(prev, vaseId));
+    setActiveBaseLayerById(prev => omitKey(prev, vaseId));
+    setBaseColorById(prev => omitKey(prev, vaseId));
+    setTitle3DById(prev => omitKey(prev, vaseId));
   }, []);
 
   return {
-    textureSourcesList,
-    activeBaseLayers,
-    baseColors,
-    titles3D,
+    textureSourcesById,
+    activeBaseLayerById,
+    baseColorById,
+    title3DById,
     setTextureSourcesForVase,
     setActiveBaseLayerForVase,
     setBaseColorForVase,
     setTitle3DForVase,
+    removeDesignForVase,
     // bulk setters (useful for initialization)
-    setTextureSourcesList,
-    setActiveBaseLayers,
-    setBaseColors,
-    setTitles3D,
+    setTextureSourcesById,
+    setActiveBaseLayerById,
+    setBaseColorById,
+    setTitle3DById,
   };
 }
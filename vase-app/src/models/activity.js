@@ -0,0 +1,40 @@
+// JSDoc-typed data model for activity log events (no TypeScript required)
+
+/** Schema version of stored activity events (recorded in backups) */
+export const ACTIVITY_SCHEMA_VERSION = 1;
+
+/**
+ * @typedef {'manifest'|'destroy'|'reset'} ActivityType
+ */
+
+/**
+ * @typedef {Object} ActivityEvent
+ * @property {string} id              // unique, sortable by time, e.g. "evt:2025-01-01T10:00:00.000Z:k3j2"
+ * @property {string} vaseId          // Vase.id the event belongs to
+ * @property {ActivityType} type
+ * @property {string} at              // ISO date
+ * @property {string} [note]          // optional free-form note
+ * @property {number} [amount]        // manifests of a vase with a measure: the logged amount or minutes
+ * @property {boolean} [celebrated]   // manifest of a vase that reached its target: no coins were dropped
+ * @property {boolean} [legacy]       // backfilled from pre-log counters; `at` is approximate
+ */
+
+/**
+ * Create a new activity event stamped with the current time.
+ * @param {{ vaseId: string, type: ActivityType, at?: string, note?: string, amount?: number|null, celebrated?: boolean, legacy?: boolean }} init
+ * @returns {ActivityEvent}
+ */
+export function createActivityEvent(init) {
+  const at = init.at ?? new Date().toISOString();
+  const event = {
+    id: `evt:${at}:${Math.random().toString(36).slice(2, 8)}`,
+    vaseId: init.vaseId,
+    type: init.type,
+    at,
+  };
+  if (init.note) event.note = init.note;
+  if (init.amount > 0) event.amount = init.amount;
+  if (init.celebrated) event.celebrated = true;
+  if (init.legacy) event.legacy = true;
+  return event;
+}
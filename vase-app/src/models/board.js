@@ -0,0 +1,48 @@
+// JSDoc-typed data model for Board objects (named workspaces of vases)
+
+import { VASE_COLUMNS_COUNT } from '../config/constants.js';
+
+/**
+ * @typedef {Object} Board
+ * @property {string} id                  // stable uid, e.g. "board-0001"
+ * @property {string} name                // e.g. "work", "health"
+ * @property {string} createdAt           // ISO date
+ * @property {string} updatedAt           // ISO date
+ * @property {{ columns: number }} layout // vase grid columns
+ */
+
+/**
+ * Create a new Board with sane defaults.
+ * @param {Partial<Board> & { id: string }} init
+ * @returns {Board}
+ */
+export function createBoard(init) {
+  const now = new Date().toISOString();
+  return {
+    id: init.id,
+    name: init.name ?? '',
+    createdAt: init.createdAt ?? now,
+    updatedAt: init.updatedAt ?? now,
+    layout: {
+      columns: init.layout?.columns ?? VASE_COLUMNS_COUNT,
+    },
+  };
+}
+
+/**
+ * Update a Board and bump updatedAt.
+ * @param {Board} board
+ * @param {Partial<Board>} patch
+ * @returns {Board}
+ */
+export function updateBoard(board, patch) {
+  return {
+    ...board,
+    ...patch,
+    layout: {
+      ...board.layout,
+      ...patch.layout,
+    },
+    updatedAt: new Date().toISOString(),
+  };
+}
@@ -0,0 +1,95 @@
+// JSDoc-typed data model for decal layers stacked on a vase's texture (no TypeScript required)
+
+import { createTextOverlay } from './vase.js';
+
+/**
+ * @typedef {'image'|'sticker'|'fill'|'gradient'|'text'} LayerKind
+ */
+
+/** Blend modes offered per layer (CanvasRenderingContext2D globalCompositeOperation values) */
+export const LAYER_BLEND_MODES = [
+  'source-over',
+  'multiply',
+  'screen',
+  'overlay',
+  'darken',
+  'lighten',
+  'soft-light',
+  'hard-light',
+  'difference',
+  'color',
+];
+
+/**
+ * Placement of a layer on the texture, as seen on the vase.
+ * @typedef {Object} LayerTransform
+ * @property {number} x         // horizontal offset, fraction of the texture width (-0.5 .. 0.5)
+ * @property {number} y         // vertical offset, fraction of the texture height (-0.5 .. 0.5, down is positive)
+ * @property {number} scale     // 1 = covers the whole texture
+ * @property {number} rotation  // degrees, clockwise
+ */
+
+/**
+ * @typedef {Object} VaseLayer
+ * @property {string} id                  // unique within the vase, e.g. "layer:k3j2x9"
+ * @property {LayerKind} kind
+ * @property {boolean} visible
+ * @property {number} opacity             // 0 .. 1
+ * @property {string} blend               // one of LAYER_BLEND_MODES
+ * @property {LayerTransform} transform
+ * @property {import('./vase.js').TextureRef} [texture]                       // image layers
+ * @property {string} [sticker]                                               // sticker layers (an emoji)
+ * @property {string} [color]                                                 // fill layers
+ * @property {{ from: string, to: string, angle: number }} [gradient]         // gradient layers (angle in degrees)
+ * @property {import('./vase.js').TextOverlay} [text]                         // text layers
+ */
+
+// Kind-specific defaults for new layers
+const LAYER_DEFAULTS = {
+  image: { transform: { scale: 0.5 } },
+  sticker: { sticker: '⭐', transform: { scale: 0.6 } },
+  fill: { color: '#ffcc00', opacity: 0.5, blend: 'multiply' },
+  gradient: { gradient: { from: '#ff7a59', to: '#5b8cff', angle: 90 }, opacity: 0.6 },
+  text: { text: createTextOverlay({ text: 'hello' }) },
+};
+
+/**
+ * Create a new layer with sane defaults for its kind.
+ * @param {LayerKind} kind
+ * @param {Partial<VaseLayer>} [init]
+ * @returns {VaseLayer}
+ */
+export function createLayer(kind, init = {}) {
+  const defaults = LAYER_DEFAULTS[kind] ?? {};
+  return {
+    ...defaults,
+    ...init,
+    id: init.id ?? `layer:${Math.random().toString(36).slice(2, 8)}`,
+    kind,
+    visible: init.visible ?? true,
+    opacity: init.opacity ?? defaults.opacity ?? 1,
+    blend: init.blend ?? defaults.blend ?? 'source-over',
+    transform: {
+      x: 0,
+      y: 0,
+      scale: 1,
+      rotation: 0,
+      ...defaults.transform,
+      ...init.transform,
+    },
+  };
+}
+
+/**
+ * Update one layer in a stack by id (the same array when absent).
+ * @param {VaseLayer[]} layers
+ * @param {string} id
+ * @param {Partial<VaseLayer>} patch
+ * @returns {VaseLayer[]}
+ */
+export function updateLayerById(layers, id, patch) {
+  if (!layers.some((l) => l.id === id)) return layers;
+  return layers.map((l) => (l.id === id
+    ? { ...l, ...patch, transform: { ...l.transform, ...patch.transform } }
+    : l));
+}
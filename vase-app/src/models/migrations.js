@@ -0,0 +1,105 @@
+// Ordered schema migrations for stored Vase records.
+// Each entry upgrades a record from version N-1 to version N; records without a
+// version predate versioning and are treated as version 0.
+
+/** Current Vase schema version; createVase stamps it and loading upgrades older records to it */
+export const VASE_SCHEMA_VERSION = 8;
+
+/**
+ * Migrations keyed by the version they produce. Keep them pure and append-only:
+ * never edit a shipped migration, add a new version instead.
+ * @type {Record<number, (vase: any) => any>}
+ */
+const VASE_MIGRATIONS = {
+  // 1: the original shape; unversioned records may miss name, stats or labels
+  1: (v) => ({
+    ...v,
+    name: v.name ?? '',
+    stats: {
+      destroyCount: v.stats?.destroyCount ?? 0,
+      coinAmount: v.stats?.coinAmount ?? 0,
+    },
+    labels: {
+      bottomText: v.labels?.bottomText ?? '',
+      vaseText: v.labels?.vaseText ?? '',
+    },
+    appearance: {
+      baseColor: '#ffffff',
+      activeBaseLayer: 'base',
+      ...v.appearance,
+      textureSlots: { ...v.appearance?.textureSlots },
+    },
+  }),
+  // 2: fields added after v1 shipped (glass toggle, habit cadence)
+  2: (v) => ({
+    ...v,
+    cadence: v.cadence ?? null,
+    appearance: { ...v.appearance, isGlass: !!v.appearance?.isGlass },
+  }),
+  // 3: overlay text became a settings object (font, colors, placement); empty text means no overlay
+  3: (v) => {
+    const text = v.appearance?.textureSlots?.textOverlay;
+    const overlay = typeof text === 'string'
+      ? (text.trim()
+        ? { text, font: 'system', fill: '#111111', stroke: 'rgba(255,255,255,0.65)', size: 1, position: 0.5, letterSpacing: 0, curve: 0 }
+        : null)
+      : (text ?? null);
+    return {
+      ...v,
+      appearance: { ...v.appearance, textureSlots: { ...v.appearance?.textureSlots, textOverlay: overlay } },
+    };
+  },
+  // 4: decal layer stack
+  4: (v) => ({
+    ...v,
+    appearance: { ...v.appearance, layers: Array.isArray(v.appearance?.layers) ? v.appearance.layers : [] },
+  }),
+  // 5: freehand paint slot (null until painted)
+  5: (v) => ({
+    ...v,
+    appearance: { ...v.appearance, textureSlots: { ...v.appearance?.textureSlots, paint: v.appearance?.textureSlots?.paint ?? null } },
+  }),
+  // 6: custom coins (null for plain gold ones)
+  6: (v) => ({
+    ...v,
+    appearance: { ...v.appearance, coin: v.appearance?.coin ?? null },
+  }),
+  // 7: optional manifest measure
+  7: (v) => ({
+    ...v,
+    measure: v.measure ?? null,
+  }),
+  // 8: progress target and its completion
+  8: (v) => ({
+    ...v,
+    target: v.target ?? null,
+    completedAt: v.completedAt ?? null,
+  }),
+};
+
+/**
+ * Schema version of a stored record (0 when unversioned).
+ * @param {any} vase
+ */
+export function getVaseVersion(vase) {
+  return Number.isInteger(vase?.version) ? vase.version : 0;
+}
+
+/** True if the record is older than the current schema */
+export function needsVaseMigration(vase) {
+  return getVaseVersion(vase) < VASE_SCHEMA_VERSION;
+}
+
+/**
+ * Run every pending migration on one record, in order.
+ * Records from a newer schema (e.g. written by a newer build) are returned untouched.
+ * @param {any} vase
+ * @returns {import('./vase.js').Vase}
+ */
+export function migrateVase(vase) {
+  let next = vase;
+  for (let n = getVaseVersion(vase) + 1; n <= VASE_SCHEMA_VERSION; n++) {
+    next = { ...VASE_MIGRATIONS[n](next), version: n };
+  }
+  return next;
+}
@@ -1,26 +1,98 @@
 // JSDoc-typed data model for Vase objects (no TypeScript required)
 
+import { VASE_SCHEMA_VERSION } from './migrations.js';
+
 /**
  * @typedef {Object} TextureRef
  * @property {string} id        // e.g. "tex:sha256:abc123..."
  * @property {string} mime      // "image/png" | "image/jpeg" | "image/webp"
  * @property {number} [width]
  * @property {number} [height]
+ * @property {TexturePlacement} [placement]  // upload/camera slots: how the stored original is placed on the vase
+ * @property {PatternRecipe} [pattern]        // base slot: the texture is generated from this recipe (the stored image is a copy)
+ */
+
+/**
+ * Pan, zoom, rotation and tiling of an image on the vase texture (see utils/placement.js).
+ * @typedef {Object} TexturePlacement
+ * @property {number} x         // offset of the image center, fraction of the texture width
+ * @property {number} y         // offset of the image center, fraction of the texture height
+ * @property {number} zoom      // 1 = just covers the texture
+ * @property {number} rotation  // degrees
+ * @property {boolean} tile     // repeat the image to fill the texture
+ */
+
+/**
+ * Procedural base texture (see utils/patterns.js). Regenerated from the recipe at any size.
+ * @typedef {Object} PatternRecipe
+ * @property {'stripes'|'checks'|'dots'|'gradient'|'marble'|'meander'} kind
+ * @property {number} seed       // drives every random choice of the generator
+ * @property {string[]} palette  // '#rrggbb' colors, background first
+ * @property {number} scale      // repeats around the vase (1..24)
+ * @property {number} angle      // degrees (stripes and gradient)
  */
 
 /**
  * @typedef {'base'|'upload'|'camera'} BaseLayer
  */
 
+/**
+ * Look of the coins dropped into a vase (see utils/coins.js).
+ * @typedef {Object} CoinDesign
+ * @property {string} metal     // '#rrggbb' metal color
+ * @property {{ kind: 'initials', text: string } | { kind: 'image', texture: TextureRef } | null} emblem  // embossed on both faces
+ * @property {number} size      // relative to the default coin (0.6 - 1.6); applies to coins dropped after a change
+ */
+
+/**
+ * Text printed on the vase body (drawn by utils/canvas.js createTextOverlayCanvas).
+ * @typedef {Object} TextOverlay
+ * @property {string} text             // may contain line breaks; long lines wrap
+ * @property {string} font             // key of utils/fonts.js OVERLAY_FONTS
+ * @property {string} fill             // CSS color
+ * @property {string|null} stroke      // CSS outline color, null for none
+ * @property {number} size             // relative to the default size (0.5 - 1.5)
+ * @property {number} position         // vertical center of the text block, 0 = top .. 1 = bottom
+ * @property {number} letterSpacing    // extra space between letters, in em
+ * @property {number} curve            // -1 (arched) .. 0 (straight) .. 1 (smile)
+ */
+
+/**
+ * Habit schedule: daily, N manifests per (Monday-based) week, or once every N days.
+ * @typedef {{ kind: 'daily' } | { kind: 'weekly', times: number } | { kind: 'interval', days: number }} Cadence
+ */
+
+/**
+ * What a manifest is worth: each one may log an amount (e.g. pages) or a duration in minutes,
+ * which drops one coin per `perCoin` (coins: 'count') or one coin sized by it (coins: 'size').
+ * @typedef {Object} Measure
+ * @property {'amount'|'duration'} kind
+ * @property {string} unit                // shown after amounts, e.g. "pages"; durations use minutes
+ * @property {number} perCoin             // amount worth one coin of the default size
+ * @property {'count'|'size'} coins
+ */
+
+/**
+ * Progress target: a number of manifests, or a total of the vase's measure, since the last destroy or reset.
+ * @typedef {Object} Target
+ * @property {'manifests'|'amount'} by
+ * @property {number} value
+ */
+
 /**
  * @typedef {Object} Vase
  * @property {string} id                  // stable uid, e.g. "vase-0001"
  * @property {string} [name]              // human-friendly name (optional)
- * @property {1} version                  // schema version for migrations
+ * @property {number} version             // schema version, see models/migrations.js
  * @property {string} createdAt           // ISO date
  * @property {string} updatedAt           // ISO date
- * @property {{ destroyCount: number, coinAmount: number }} stats
+ * @property {{ destroyCount: number, coinAmount: number }} stats   // legacy counters, only read to backfill the activity log (see services/activity.js)
  * @property {{ bottomText: string, vaseText: string }} labels
+ * @property {Cadence|null} [cadence]     // optional habit schedule (see utils/cadence.js)
+ * @property {Measure|null} [measure]     // optional value asked for with each manifest (see utils/measure.js)
+ * @property {Target|null} [target]       // optional progress target the vase fills towards (see utils/target.js)
+ * @property {string|null} [completedAt]  // ISO date the target was reached; cleared by a destroy, a reset or a target it no longer meets
+ * @property {string} [archivedAt]        // ISO date; only set while the vase sits in its board's archive
  * @property {{
  *   baseColor: string,
  *   activeBaseLayer: BaseLayer,
@@ -29,8 +101,11 @@
  *     base?: TextureRef,
  *     upload?: TextureRef,
  *     camera?: TextureRef,
- *     textOverlay?: string
- *   }
+ *     paint?: TextureRef|null,     // freehand paint (transparent PNG), drawn over the decal layers
+ *     textOverlay?: TextOverlay|null
+ *   },
+ *   layers: import('./layer.js').VaseLayer[],  // decal stack drawn bottom to top between the base and the text overlay
+ *   coin?: CoinDesign|null                      // custom coins; null for plain gold ones
  * }} appearance
  */
 
@@ -44,7 +119,7 @@ export function createVase(init) {
   return {
     id: init.id,
     name: init.name ?? '',
-    version: 1,
+    version: VASE_SCHEMA_VERSION,
     createdAt: init.createdAt ?? now,
     updatedAt: init.updatedAt ?? now,
     stats: {
@@ -55,6 +130,10 @@ export function createVase(init) {
       bottomText: init.labels?.bottomText ?? '',
       vaseText: init.labels?.vaseText ?? '',
     },
+    cadence: init.cadence ?? null,
+    measure: init.measure ?? null,
+    target: init.target ?? null,
+    completedAt: init.completedAt ?? null,
     appearance: {
       baseColor: init.appearance?.baseColor ?? '#ffffff',
       activeBaseLayer: init.appearance?.activeBaseLayer ?? 'base',
@@ -63,12 +142,46 @@ export function createVase(init) {
         base: init.appearance?.textureSlots?.base,
         upload: init.appearance?.textureSlots?.upload,
         camera: init.appearance?.textureSlots?.camera,
+        paint: init.appearance?.textureSlots?.paint,
         textOverlay: init.appearance?.textureSlots?.textOverlay,
       },
+      layers: init.appearance?.layers ?? [],
+      coin: init.appearance?.coin ?? null,
     },
   };
 }
 
+/**
+ * Create text overlay settings; the defaults match the look of the old plain-text overlay.
+ * @param {Partial<TextOverlay>} [init]
+ * @returns {TextOverlay}
+ */
+export function createTextOverlay(init = {}) {
+  return {
+    text: init.text ?? '',
+    font: init.font ?? 'system',
+    fill: init.fill ?? '#111111',
+    stroke: init.stroke === undefined ? 'rgba(255,255,255,0.65)' : init.stroke,
+    size: init.size ?? 1,
+    position: init.position ?? 0.5,
+    letterSpacing: init.letterSpacing ?? 0,
+    curve: init.curve ?? 0,
+  };
+}
+
+/**
+ * Create coin design settings; the defaults match the plain gold coin.
+ * @param {Partial<CoinDesign>} [init]
+ * @returns {CoinDesign}
+ */
+export function createCoinDesign(init = {}) {
+  return {
+    metal: init.metal ?? '#ffd700',
+    emblem: init.emblem ?? null,
+    size: init.size ?? 1,
+  };
+}
+
 /**
  * Update a Vase and bump updatedAt.
  * @param {Vase} vase
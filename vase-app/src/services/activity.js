@@ -0,0 +1,136 @@
+import { activityStore } from '../storage/index.js';
+import { createActivityEvent } from '../models/activity.js';
+import { coinScalesForAmount } from '../utils/measure.js';
+
+/**
+ * Persist one event under its own key so appends never rewrite existing history.
+ * @param {import('../models/activity.js').ActivityEvent} event
+ */
+export async function appendActivityEvent(event) {
+  try {
+    await activityStore.setItem(event.id, event);
+  } catch (e) {
+    console.warn('[activity] failed appending event', event, e);
+  }
+}
+
+// Same-time events (legacy backfills from before they were spaced apart) order destroys first
+const TYPE_ORDER = { reset: 0, destroy: 1, manifest: 2 };
+
+/** Oldest first; ties broken by type, then id, so the order never depends on storage */
+function compareEvents(a, b) {
+  if (a.at !== b.at) return a.at < b.at ? -1 : 1;
+  const byType = (TYPE_ORDER[a.type] ?? 3) - (TYPE_ORDER[b.type] ?? 3);
+  if (byType) return byType;
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+/**
+ * Read the whole log, oldest first.
+ * @returns {Promise<import('../models/activity.js').ActivityEvent[]>}
+ */
+export async function readActivityLog() {
+  const events = [];
+  try {
+    await activityStore.iterate((value) => {
+      if (value && value.vaseId && value.type && value.at) events.push(value);
+    });
+  } catch (e) {
+    console.warn('[activity] failed reading log', e);
+  }
+  return events.sort(compareEvents);
+}
+
+/**
+ * Load the log, first backfilling vases that still only have the old integer counters
+ * (`vase.stats`) so their totals survive the switch to derived stats.
+ * @param {import('../models/vase.js').Vase[]} vases
+ * @returns {Promise<import('../models/activity.js').ActivityEvent[]>}
+ */
+export async function loadActivityLog(vases) {
+  const events = await readActivityLog();
+  const logged = new Set(events.map(e => e.vaseId));
+  const backfill = [];
+  vases.forEach(v => {
+    if (logged.has(v.id)) return;
+    // One millisecond apart, destroys before manifests: the counters don't say how they
+    // interleaved, and this way every manifest counts as a coin still in the vase
+    let ms = Date.parse(v.updatedAt || v.createdAt) || Date.now();
+    const add = (type, n) => {
+      for (let i = 0; i < n; i++) {
+        const at = new Date(ms++).toISOString();
+        backfill.push(createActivityEvent({ vaseId: v.id, type, at, legacy: true }));
+      }
+    };
+    add('destroy', v.stats?.destroyCount ?? 0);
+    add('manifest', v.stats?.coinAmount ?? 0);
+  });
+  if (backfill.length) {
+    console.log('[activity] backfilling legacy counters', backfill.length, 'events');
+    await Promise.all(backfill.map(appendActivityEvent));
+    return readActivityLog();
+  }
+  return events;
+}
+
+/**
+ * Delete every event for a vase (used when the vase itself is deleted).
+ * @param {string} vaseId
+ */
+export async function removeActivityForVase(vaseId) {
+  try {
+    const keys = [];
+    await activityStore.iterate((value, key) => {
+      if (value?.vaseId === vaseId) keys.push(key);
+    });
+    await Promise.allSettled(keys.map(k => activityStore.removeItem(k)));
+  } catch (e) {
+    console.warn('[activity] failed removing events for', vaseId, e);
+  }
+}
+
+/**
+ * Fold the log into per-vase counters. A 'reset' event zeroes the vase's counters.
+ * `amountTotal` sums the amounts logged with manifests (see utils/measure.js); `filled` and
+ * `filledAmount` only count manifests since the vase was last destroyed, which is what its
+ * progress target measures (see utils/target.js).
+ * @param {import('../models/activity.js').ActivityEvent[]} events  oldest first
+ * @returns {Record<string, { coinAmount: number, destroyCount: number, amountTotal: number, filled: number, filledAmount: number }>}
+ */
+export function deriveStatsByVase(events) {
+  const stats = {};
+  events.forEach(e => {
+    const s = stats[e.vaseId] ??= { coinAmount: 0, destroyCount: 0, amountTotal: 0, filled: 0, filledAmount: 0 };
+    if (e.type === 'manifest') {
+      s.coinAmount += 1;
+      s.amountTotal += e.amount ?? 0;
+      s.filled += 1;
+      s.filledAmount += e.amount ?? 0;
+    } else if (e.type === 'destroy') {
+      s.destroyCount += 1;
+      s.filled = 0;
+      s.filledAmount = 0;
+    } else if (e.type === 'reset') {
+      Object.keys(s).forEach((k) => { s[k] = 0; });
+    }
+  });
+  return stats;
+}
+
+/**
+ * Coins that should be lying in each vase: those dropped by manifests since it was last
+ * destroyed or reset, as the scale of each coin (weighted manifests drop several or bigger ones).
+ * Manifests that celebrated a completed target instead of dropping coins are not counted.
+ * @param {import('../models/activity.js').ActivityEvent[]} events  oldest first
+ * @param {Record<string, import('../models/vase.js').Measure|null|undefined>} [measures]  by vase id
+ * @returns {Record<string, number[]>}
+ */
+export function deriveCoinsInVase(events, measures = {}) {
+  const coins = {};
+  events.forEach(e => {
+    if (e.type === 'manifest') {
+      if (!e.celebrated) (coins[e.vaseId] ??= []).push(...coinScalesForAmount(e.amount, measures[e.vaseId]));
+    } else if (e.type === 'destroy' || e.type === 'reset') coins[e.vaseId] = [];
+  });
+  return coins;
+}
@@ -0,0 +1,204 @@
+import { vaseStore, textureStore, textureMetaStore, activityStore, coinStore } from '../storage/index.js';
+import { VASE_SCHEMA_VERSION, getVaseVersion, migrateVase } from '../models/migrations.js';
+import { ACTIVITY_SCHEMA_VERSION } from '../models/activity.js';
+import { createBoard } from '../models/board.js';
+import { readActivityLog } from './activity.js';
+import { LEGACY_SKYBOX_TEXTURE_ID, getSkyboxTextureId } from './textures.js';
+import { DEFAULT_BOARD_ID, loadBoards, saveBoards } from './boards.js';
+import { readBoardArchive, readBoardVases, writeBoardArchive, writeBoardVases } from './vases.js';
+
+// Single-file backup: one JSON document holding every board with its vases, the activity log and every
+// texture (Blobs inlined as base64 data URLs), plus the schema versions they were written with.
+// Version 1 files (before boards) hold a single `vases` list, restored into the default board.
+export const BACKUP_FORMAT = 'manifest-app-backup';
+export const BACKUP_FORMAT_VERSION = 2;
+
+/**
+ * @typedef {{ kind: 'blob', mime: string, data: string } | { kind: 'string', data: string }} BackupTexture
+ * `blob` entries hold a data URL of the stored Blob; `string` entries are stored verbatim.
+ */
+
+/**
+ * @typedef {Object} Backup
+ * @property {'manifest-app-backup'} format
+ * @property {number} formatVersion
+ * @property {string} exportedAt                         // ISO date
+ * @property {{ vases: number, activity: number }} schemaVersions
+ * @property {import('../models/board.js').Board[]} boards
+ * @property {Record<string, any[]>} vasesByBoard        // board id -> that board's vases
+ * @property {Record<string, any[]>} [archivedByBoard]   // board id -> that board's archived vases
+ * @property {any[]} [vases]                             // version 1 only: the single vase list
+ * @property {import('../models/activity.js').ActivityEvent[]} activity
+ * @property {Record<string, BackupTexture>} textures    // keyed by textureStore key (incl. skybox:<board id>)
+ * @property {Record<string, import('./textures.js').LibraryTexture>} [textureLibrary]  // library metadata by texture id
+ */
+
+function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+async function dataURLToBlob(dataURL) {
+  const res = await fetch(dataURL);
+  return res.blob();
+}
+
+/**
+ * Collect everything stored on this device into a Backup object.
+ * @returns {Promise<Backup>}
+ */
+export async function createBackup() {
+  const boards = await loadBoards();
+  const vasesByBoard = {};
+  const archivedByBoard = {};
+  for (const b of boards) {
+    vasesByBoard[b.id] = await readBoardVases(b.id);
+    archivedByBoard[b.id] = await readBoardArchive(b.id);
+  }
+  const activity = await readActivityLog();
+  const entries = [];
+  await textureStore.iterate((value, key) => { entries.push([key, value]); });
+  const textures = {};
+  for (const [key, value] of entries) {
+    if (value instanceof Blob) {
+      textures[key] = { kind: 'blob', mime: value.type, data: await blobToDataURL(value) };
+    } else if (typeof value === 'string') {
+      textures[key] = { kind: 'string', data: value };
+    } else {
+      console.warn('[backup] skipping texture with unsupported value', key, typeof value);
+    }
+  }
+  const textureLibrary = {};
+  await textureMetaStore.iterate((meta, key) => { textureLibrary[key] = meta; });
+  return {
+    format: BACKUP_FORMAT,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    schemaVersions: { vases: VASE_SCHEMA_VERSION, activity: ACTIVITY_SCHEMA_VERSION },
+    boards,
+    vasesByBoard,
+    archivedByBoard,
+    activity,
+    textures,
+    textureLibrary,
+  };
+}
+
+/** Export everything and trigger a download of the backup file. */
+export async function downloadBackup() {
+  const backup = await createBackup();
+  const blob = new Blob([JSON.stringify(backup)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `manifest-backup-${backup.exportedAt.slice(0, 10)}.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+  const vaseCount = Object.values(backup.vasesByBoard).reduce((n, list) => n + list.length, 0);
+  console.log('[backup] exported', backup.boards.length, 'boards,', vaseCount, 'vases,', backup.activity.length, 'events,', Object.keys(backup.textures).length, 'textures');
+}
+
+/**
+ * Check a parsed file is a backup this build can restore. Throws an Error describing the first problem.
+ * @param {any} data
+ * @returns {Backup}
+ */
+export function validateBackup(data) {
+  const fail = (msg) => { throw new Error(`Invalid backup: ${msg}`); };
+  if (!data || typeof data !== 'object' || data.format !== BACKUP_FORMAT) fail('not a manifest backup file');
+  if (!Number.isInteger(data.formatVersion) || data.formatVersion > BACKUP_FORMAT_VERSION) fail('made by a newer version of the app');
+  const versions = data.schemaVersions || {};
+  if ((versions.vases ?? 0) > VASE_SCHEMA_VERSION || (versions.activity ?? 0) > ACTIVITY_SCHEMA_VERSION) {
+    fail('made by a newer version of the app');
+  }
+  let lists;
+  if (data.formatVersion < 2) {
+    if (!Array.isArray(data.vases) || !data.vases.length) fail('contains no vases');
+    lists = [data.vases];
+  } else {
+    if (!Array.isArray(data.boards) || !data.boards.length) fail('contains no boards');
+    if (!data.vasesByBoard || typeof data.vasesByBoard !== 'object') fail('missing vases');
+    const boardIds = new Set();
+    data.boards.forEach((b) => {
+      if (!b || typeof b.id !== 'string') fail('board without id');
+      if (boardIds.has(b.id)) fail(`duplicate board id ${b.id}`);
+      if (!Array.isArray(data.vasesByBoard[b.id])) fail(`board ${b.id} has no vase list`);
+      boardIds.add(b.id);
+    });
+    if (data.archivedByBoard != null && typeof data.archivedByBoard !== 'object') fail('malformed archive');
+    const archived = data.archivedByBoard || {};
+    Object.values(archived).forEach((list) => { if (!Array.isArray(list)) fail('malformed archive'); });
+    lists = [...data.boards.map(b => data.vasesByBoard[b.id]), ...data.boards.map(b => archived[b.id] || [])];
+  }
+  // Vase ids are unique across boards (activity events point at them)
+  const ids = new Set();
+  lists.flat().forEach((v) => {
+    if (!v || typeof v.id !== 'string') fail('vase without id');
+    if (ids.has(v.id)) fail(`duplicate vase id ${v.id}`);
+    if (getVaseVersion(v) > VASE_SCHEMA_VERSION) fail(`vase ${v.id} is from a newer schema`);
+    ids.add(v.id);
+  });
+  if (!Array.isArray(data.activity)) fail('missing activity log');
+  data.activity.forEach((e) => {
+    if (!e || typeof e.id !== 'string' || typeof e.vaseId !== 'string' || !e.type || !e.at) fail('malformed activity event');
+  });
+  if (!data.textures || typeof data.textures !== 'object') fail('missing textures');
+  Object.entries(data.textures).forEach(([key, t]) => {
+    if (!t || (t.kind !== 'blob' && t.kind !== 'string') || typeof t.data !== 'string') fail(`malformed texture ${key}`);
+  });
+  if (data.textureLibrary != null && typeof data.textureLibrary !== 'object') fail('malformed texture library');
+  return data;
+}
+
+/**
+ * Validate, migrate and restore a backup file, replacing all data on this device.
+ * Nothing is cleared until the whole file has been validated and decoded.
+ * @param {File|Blob} file
+ * @returns {Promise<{ boards: number, vases: number, events: number, textures: number }>}
+ */
+export async function importBackup(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(await file.text());
+  } catch {
+    throw new Error('Invalid backup: not a JSON file');
+  }
+  const backup = validateBackup(parsed);
+  const boards = backup.formatVersion < 2
+    ? [createBoard({ id: DEFAULT_BOARD_ID, name: 'my vases' })]
+    : backup.boards.map(createBoard);
+  const vasesByBoard = backup.formatVersion < 2
+    ? { [DEFAULT_BOARD_ID]: backup.vases.map(migrateVase) }
+    : Object.fromEntries(boards.map(b => [b.id, backup.vasesByBoard[b.id].map(migrateVase)]));
+  const archivedByBoard = Object.fromEntries(
+    boards.map(b => [b.id, (backup.archivedByBoard?.[b.id] || []).map(migrateVase)])
+  );
+  const vaseCount = Object.values(vasesByBoard).reduce((n, list) => n + list.length, 0);
+  const textures = [];
+  for (const [key, t] of Object.entries(backup.textures)) {
+    // Version 1 kept one skybox under skybox:background; it belongs to the default board now
+    const storeKey = backup.formatVersion < 2 && key === LEGACY_SKYBOX_TEXTURE_ID ? getSkyboxTextureId(DEFAULT_BOARD_ID) : key;
+    textures.push([storeKey, t.kind === 'blob' ? await dataURLToBlob(t.data) : t.data]);
+  }
+
+  // Coin piles are not in backups; vases refill from the restored activity log instead
+  await Promise.all([vaseStore.clear(), textureStore.clear(), textureMetaStore.clear(), activityStore.clear(), coinStore.clear()]);
+  await saveBoards(boards);
+  for (const b of boards) {
+    await writeBoardVases(b.id, vasesByBoard[b.id]);
+    if (archivedByBoard[b.id].length) await writeBoardArchive(b.id, archivedByBoard[b.id]);
+  }
+  for (const e of backup.activity) await activityStore.setItem(e.id, e);
+  for (const [key, value] of textures) await textureStore.setItem(key, value);
+  for (const [key, meta] of Object.entries(backup.textureLibrary || {})) {
+    if (backup.textures[key]) await textureMetaStore.setItem(key, meta);
+  }
+  console.log('[backup] imported', boards.length, 'boards,', vaseCount, 'vases,', backup.activity.length, 'events,', textures.length, 'textures');
+  return { boards: boards.length, vases: vaseCount, events: backup.activity.length, textures: textures.length };
+}
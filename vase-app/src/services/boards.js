@@ -0,0 +1,182 @@
+import { vaseStore, textureStore } from '../storage/index.js';
+import { createBoard, updateBoard } from '../models/board.js';
+import { createVase } from '../models/vase.js';
+import { migrateVase } from '../models/migrations.js';
+import { allocateVaseIds, boardArchiveKey, boardBackupKey, boardVasesKey, readBoardArchive, readBoardVases, writeBoardVases } from './vases.js';
+import { LEGACY_SKYBOX_TEXTURE_ID, getSkyboxTextureId } from './textures.js';
+import { removeActivityForVase } from './activity.js';
+
+// Board index (Board[], in switcher order). Each board's vases live under boardVasesKey(id)
+// and its background under getSkyboxTextureId(id).
+const BOARDS_KEY = 'boards';
+
+/** Board that receives the vases and skybox saved before boards existed */
+export const DEFAULT_BOARD_ID = 'board-0001';
+
+function formatBoardId(n) {
+  return `board-${String(n).padStart(4, '0')}`;
+}
+
+function nextBoardId(boards) {
+  const max = boards.reduce((m, b) => {
+    const match = /^board-(\d+)$/.exec(b.id || '');
+    return match ? Math.max(m, parseInt(match[1], 10)) : m;
+  }, 0);
+  return formatBoardId(max + 1);
+}
+
+/** Persist the board index */
+export async function saveBoards(boards) {
+  try {
+    await vaseStore.setItem(BOARDS_KEY, boards);
+  } catch (e) {
+    console.warn('[boards] failed saving board index', e);
+  }
+}
+
+/**
+ * Move the single pre-boards vase list ('all') and skybox into the default board.
+ * The legacy entries are removed only after the copies were written.
+ */
+async function migrateLegacyBoard() {
+  const legacyVases = await vaseStore.getItem('all');
+  if (Array.isArray(legacyVases)) {
+    await writeBoardVases(DEFAULT_BOARD_ID, legacyVases);
+    await vaseStore.removeItem('all');
+  }
+  const legacyBackup = await vaseStore.getItem('backup:pre-migration');
+  if (legacyBackup) {
+    await vaseStore.setItem(boardBackupKey(DEFAULT_BOARD_ID), legacyBackup);
+    await vaseStore.removeItem('backup:pre-migration');
+  }
+  const skybox = await textureStore.getItem(LEGACY_SKYBOX_TEXTURE_ID);
+  if (skybox) {
+    await textureStore.setItem(getSkyboxTextureId(DEFAULT_BOARD_ID), skybox);
+    await textureStore.removeItem(LEGACY_SKYBOX_TEXTURE_ID);
+  }
+  console.log('[boards] moved pre-board data into', DEFAULT_BOARD_ID);
+}
+
+// Shared by concurrent callers so the first-run setup happens once
+let pendingLoad = null;
+
+/**
+ * Read the board index. On first run (or after upgrading from a single-board install)
+ * the default board is created and any existing vases/skybox are moved into it.
+ * @returns {Promise<import('../models/board.js').Board[]>}
+ */
+export function loadBoards() {
+  pendingLoad ??= readOrInitBoards().finally(() => { pendingLoad = null; });
+  return pendingLoad;
+}
+
+async function readOrInitBoards() {
+  try {
+    const stored = await vaseStore.getItem(BOARDS_KEY);
+    if (Array.isArray(stored) && stored.length) return stored.map(createBoard);
+  } catch (e) {
+    console.warn('[boards] failed reading board index, initializing default', e);
+  }
+  try {
+    await migrateLegacyBoard();
+  } catch (e) {
+    console.warn('[boards] failed moving pre-board data', e);
+  }
+  const boards = [createBoard({ id: DEFAULT_BOARD_ID, name: 'my vases' })];
+  await saveBoards(boards);
+  return boards;
+}
+
+/**
+ * Append a new, empty board (its vases are seeded on first open) and persist.
+ * @returns {Promise<{ boards: import('../models/board.js').Board[], board: import('../models/board.js').Board }>}
+ */
+export async function addBoard(boards, init = {}) {
+  const board = createBoard({ ...init, id: nextBoardId(boards) });
+  const next = [...boards, board];
+  await saveBoards(next);
+  return { boards: next, board };
+}
+
+/** Update one board by id and persist; returns updated array */
+export async function updateBoardById(boards, id, patch) {
+  const next = boards.map(b => (b.id === id ? updateBoard(b, patch) : b));
+  await saveBoards(next);
+  return next;
+}
+
+/**
+ * Delete a board with its vases (archived ones included), their activity and its skybox; returns updated array.
+ * The last remaining board cannot be deleted.
+ */
+export async function removeBoardById(boards, id) {
+  if (boards.length <= 1) return boards;
+  const next = boards.filter(b => b.id !== id);
+  await saveBoards(next);
+  const vases = [...await readBoardVases(id), ...await readBoardArchive(id)];
+  for (const v of vases) await removeActivityForVase(v.id);
+  await Promise.allSettled([
+    vaseStore.removeItem(boardVasesKey(id)),
+    vaseStore.removeItem(boardArchiveKey(id)),
+    vaseStore.removeItem(boardBackupKey(id)),
+    textureStore.removeItem(getSkyboxTextureId(id)),
+  ]);
+  return next;
+}
+
+/**
+ * Copy a board right after the original: same layout, skybox and vase designs.
+ * The copied vases get new ids and start with a clean history (no activity or archive is copied).
+ * @returns {Promise<{ boards: import('../models/board.js').Board[], board: import('../models/board.js').Board }>}
+ */
+export async function duplicateBoardById(boards, id, name) {
+  const source = boards.find(b => b.id === id);
+  if (!source) return { boards, board: null };
+  const board = createBoard({ id: nextBoardId(boards), name, layout: source.layout });
+  const sourceVases = await readBoardVases(id);
+  const ids = await allocateVaseIds(sourceVases.length);
+  const vases = sourceVases.map(migrateVase).map((v, i) => createVase({
+    id: ids[i],
+    name: v.name,
+    labels: v.labels,
+    appearance: v.appearance,
+    cadence: v.cadence,
+    measure: v.measure,
+    // The copy starts without history, so it counts towards the target from zero (not completed)
+    target: v.target,
+  }));
+  await writeBoardVases(board.id, vases);
+  const skybox = await textureStore.getItem(getSkyboxTextureId(id));
+  if (skybox) await textureStore.setItem(getSkyboxTextureId(board.id), skybox);
+  const at = boards.indexOf(source) + 1;
+  const next = [...boards.slice(0, at), board, ...boards.slice(at)];
+  await saveBoards(next);
+  return { boards: next, board };
+}
+
+/**
+ * Find which board holds a vase (e.g. for a deep link); null when no board has it.
+ * @param {import('../models/board.js').Board[]} boards
+ * @param {string} vaseId
+ * @returns {Promise<string|null>}
+ */
+export async function findBoardForVase(boards, vaseId) {
+  for (const b of boards) {
+    const vases = await readBoardVases(b.id);
+    if (vases.some(v => v.id === vaseId)) return b.id;
+  }
+  return null;
+}
+
+/**
+ * Vases of every board except the open one, archived ones included, e.g. to count texture
+ * references across boards (textures are shared, so garbage collection must see all of them).
+ * @param {import('../models/board.js').Board[]} boards
+ * @param {string} openBoardId
+ * @returns {Promise<import('../models/vase.js').Vase[]>}
+ */
+export async function readOtherBoardsVases(boards, openBoardId) {
+  const others = boards.filter(b => b.id !== openBoardId);
+  const lists = await Promise.all(others.flatMap(b => [readBoardVases(b.id), readBoardArchive(b.id)]));
+  return lists.flat();
+}
@@ -0,0 +1,52 @@
+import { coinStore } from '../storage/index.js';
+
+// Transforms are stored rounded; a pile of hundreds of coins stays a few KB
+const round = (n) => Math.round(n * 1e4) / 1e4;
+
+const isTransform = (t) => Array.isArray(t?.position) && t.position.length === 3
+  && Array.isArray(t?.quaternion) && t.quaternion.length === 4;
+
+/**
+ * Read every stored pile.
+ * @returns {Promise<Record<string, import('../hooks/useCoinsByVase.js').CoinTransform[]>>} by vase id
+ */
+export async function loadCoinPiles() {
+  const piles = {};
+  try {
+    await coinStore.iterate((value, key) => {
+      if (Array.isArray(value)) piles[key] = value.filter(isTransform);
+    });
+  } catch (e) {
+    console.warn('[coins] failed reading coin piles', e);
+  }
+  return piles;
+}
+
+/**
+ * Replace the stored pile of a vase.
+ * @param {string} vaseId
+ * @param {import('../hooks/useCoinsByVase.js').CoinTransform[]} pile
+ */
+export async function saveCoinPile(vaseId, pile) {
+  try {
+    await coinStore.setItem(vaseId, pile.map(({ position, quaternion, scale = 1 }) => ({
+      position: position.map(round),
+      quaternion: quaternion.map(round),
+      scale: round(scale),
+    })));
+  } catch (e) {
+    console.warn('[coins] failed saving pile for', vaseId, e);
+  }
+}
+
+/**
+ * Forget the pile of a vase (destroyed, reset or removed).
+ * @param {string} vaseId
+ */
+export async function removeCoinPile(vaseId) {
+  try {
+    await coinStore.removeItem(vaseId);
+  } catch (e) {
+    console.warn('[coins] failed removing pile for', vaseId, e);
+  }
+}
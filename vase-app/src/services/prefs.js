@@ -0,0 +1,54 @@
+import { prefsStore } from '../storage/index.js';
+
+/**
+ * @typedef {Object} AppPrefs
+ * @property {string|null} activeBoardId                // board open when the app was last used
+ * @property {string|null} activeVaseId                 // vase focused when the app was last used
+ * @property {[number, number, number]|null} cameraOffset  // camera position relative to the vase target
+ * @property {boolean|null} skipTitle                   // start straight in the vases view (null until chosen)
+ * @property {number|null} textureQuality               // texture size of the focused vase (null = default, see utils/textureBudget.js)
+ * @property {number|null} textureBudgetMB              // memory budget for vase textures (null = device default)
+ */
+
+/** @type {AppPrefs} */
+const DEFAULT_PREFS = {
+  activeBoardId: null,
+  activeVaseId: null,
+  cameraOffset: null,
+  skipTitle: null,
+  textureQuality: null,
+  textureBudgetMB: null,
+};
+
+// In-memory copy so concurrent partial saves merge instead of overwriting each other
+let cache = null;
+
+/**
+ * Read preferences (defaults for anything never saved).
+ * @returns {Promise<AppPrefs>}
+ */
+export async function loadPrefs() {
+  if (cache) return cache;
+  try {
+    const stored = await prefsStore.getItem('prefs');
+    cache = { ...DEFAULT_PREFS, ...(stored && typeof stored === 'object' ? stored : {}) };
+  } catch (e) {
+    console.warn('[prefs] failed reading preferences', e);
+    cache = { ...DEFAULT_PREFS };
+  }
+  return cache;
+}
+
+/**
+ * Merge a partial update into the stored preferences.
+ * @param {Partial<AppPrefs>} patch
+ */
+export async function savePrefs(patch) {
+  const current = await loadPrefs();
+  cache = { ...current, ...patch };
+  try {
+    await prefsStore.setItem('prefs', cache);
+  } catch (e) {
+    console.warn('[prefs] failed saving preferences', e);
+  }
+}
@@ -1,8 +1,119 @@
-import { textureStore } from '../storage/index.js';
+import { textureStore, textureMetaStore, vaseStore } from '../storage/index.js';
+import { createResizedCanvas, createTextOverlayCanvas } from '../utils/canvas.js';
+import { loadOverlayFont } from '../utils/fonts.js';
+import { getLayerFontKeys } from '../utils/layers.js';
+import { renderPlacedImage } from '../utils/placement.js';
+import { renderPattern } from '../utils/patterns.js';
 
 const DEBUG = true;
 const log = (...args) => { if (DEBUG) console.log('[textures]', ...args); };
 
+const SKYBOX_ID_PREFIX = 'skybox:';
+
+/** Texture store key of the single skybox image used before boards (moved to the first board) */
+export const LEGACY_SKYBOX_TEXTURE_ID = `${SKYBOX_ID_PREFIX}background`;
+
+/**
+ * Texture store key of a board's scene background (skybox) image.
+ * @param {string} boardId
+ */
+export function getSkyboxTextureId(boardId) {
+  return `${SKYBOX_ID_PREFIX}${boardId}`;
+}
+
+/** Whether a texture store key holds a skybox image */
+export function isSkyboxTextureId(id) {
+  return typeof id === 'string' && id.startsWith(SKYBOX_ID_PREFIX);
+}
+
+// vaseStore key recording that legacy data URL entries were converted to Blobs
+const TEXTURE_FORMAT_KEY = 'meta:textureFormat';
+
+/**
+ * Read a data URL into a Blob.
+ * @param {string} dataURL
+ * @returns {Promise<Blob>}
+ */
+async function dataURLToBlob(dataURL) {
+  const res = await fetch(dataURL);
+  return res.blob();
+}
+
+/**
+ * Decode any stored texture value into a Blob. Current entries are Blobs already; older
+ * ones were saved as data URL strings (or objects wrapping one).
+ * @param {any} val
+ * @returns {Promise<Blob|null>}
+ */
+async function storedValueToBlob(val) {
+  if (!val) return null;
+  if (val instanceof Blob) return val;
+  if (typeof val === 'string') {
+    if (val.startsWith('data:')) return dataURLToBlob(val);
+    // Unexpected string format; try to decode base64 if present
+    if (val.startsWith('base64,')) return dataURLToBlob('data:application/octet-stream;' + val);
+    return null;
+  }
+  // Some drivers may have serialized to a plain object; try known shapes
+  if (typeof val === 'object' && typeof val.dataURL === 'string') return dataURLToBlob(val.dataURL);
+  return null;
+}
+
+/**
+ * Persist a Blob under a texture id (overwrites). localforage serializes Blobs itself on
+ * drivers without native support; if the write still fails we fall back to a data URL string,
+ * which getTextureBlob reads back as well.
+ * @param {string} id
+ * @param {Blob} blob
+ */
+export async function saveTextureBlob(id, blob) {
+  try { await textureStore.ready(); } catch { /* ignore */ }
+  const driver = textureStore.driver ? textureStore.driver() : 'unknown-driver';
+  try {
+    await textureStore.setItem(id, blob);
+    log('stored blob', id, 'size=', blob.size, 'driver=', driver);
+  } catch (e) {
+    console.warn('[textures] storing Blob failed, falling back to data URL', id, e);
+    const dataURL = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+    await textureStore.setItem(id, dataURL);
+  }
+}
+
+/**
+ * One-time upgrade: rewrite texture entries stored as data URL strings into Blobs.
+ * Entries that fail to convert are left as they are (still readable).
+ */
+export async function migrateTextureStringsToBlobs() {
+  try {
+    if ((await vaseStore.getItem(TEXTURE_FORMAT_KEY)) === 'blob') return;
+    try { await textureStore.ready(); } catch { /* ignore */ }
+    const legacy = [];
+    await textureStore.iterate((value, key) => {
+      if (value && !(value instanceof Blob)) legacy.push([key, value]);
+    });
+    let converted = 0;
+    for (const [key, value] of legacy) {
+      try {
+        const blob = await storedValueToBlob(value);
+        if (!blob) continue;
+        await textureStore.setItem(key, blob);
+        converted += 1;
+      } catch (e) {
+        console.warn('[textures] could not convert legacy texture', key, e);
+      }
+    }
+    if (legacy.length) log('converted', converted, 'of', legacy.length, 'legacy texture entries to Blobs');
+    await vaseStore.setItem(TEXTURE_FORMAT_KEY, 'blob');
+  } catch (e) {
+    console.warn('[textures] texture format migration failed', e);
+  }
+}
+
 /**
  * Convert a canvas to a Blob.
  * @param {HTMLCanvasElement} canvas
@@ -48,71 +159,197 @@ export async function hashBlob(blob) {
   }
 }
 
+// --- Texture library ---
+// Vase textures are content-addressed: the key is the SHA-256 of the encoded image, so the
+// same image used by several vases is stored once. Reference counts are derived from the
+// vases (see countTextureReferences in services/vases.js); garbage collection only drops
+// entries nothing references that the user has not kept in the library.
+
+/** Key prefix of content-addressed library textures */
+export const LIBRARY_ID_PREFIX = 'tex:sha256:';
+
 /**
- * Save a canvas into localForage and return a TextureRef-like object.
- * @param {HTMLCanvasElement} canvas
- * @param {string} [mime]
- * @returns {Promise<{ id: string, mime: string, width: number, height: number }>}
+ * @typedef {Object} LibraryTexture
+ * @property {string} id          // "tex:sha256:<hex>"
+ * @property {string} mime
+ * @property {number} width
+ * @property {number} height
+ * @property {number} size        // encoded bytes
+ * @property {string} createdAt   // ISO date
+ * @property {boolean} inLibrary  // user content (uploads/photos) shown in the library and kept when unused
  */
-export async function saveCanvasAsTexture(canvas, mime = 'image/png') {
-  // Build a deterministic id from content hash
-  const blob = await canvasToBlob(canvas, mime);
-  const hash = await hashBlob(blob);
-  const id = `tex:sha256:${hash}`;
-  // Use data URL to maximize compatibility (works with localStorage driver too)
-  const dataURL = canvas.toDataURL(mime, mime === 'image/png' ? undefined : 0.92);
-  try { await textureStore.ready(); } catch {}
-  const driver = textureStore.driver ? textureStore.driver() : 'unknown-driver';
-  log('saveCanvasAsTexture:', { id, mime, w: canvas.width, h: canvas.height, driver });
-  const existing = await textureStore.getItem(id);
-  if (!existing) {
-    await textureStore.setItem(id, dataURL);
-    log('stored new texture', id, 'size=', dataURL?.length || 0);
+
+/** @param {string} id */
+export function isLibraryTextureId(id) {
+  return typeof id === 'string' && id.startsWith(LIBRARY_ID_PREFIX);
+}
+
+/**
+ * Add an encoded image to the library (no-op write when the same content is already stored).
+ * @param {Blob} blob
+ * @param {{ width?: number, height?: number, inLibrary?: boolean }} [opts]
+ * @returns {Promise<{ id: string, mime: string, width?: number, height?: number }>} TextureRef
+ */
+export async function addBlobToLibrary(blob, { width, height, inLibrary = false } = {}) {
+  const id = `${LIBRARY_ID_PREFIX}${await hashBlob(blob)}`;
+  const mime = blob.type || 'image/png';
+  const meta = await textureMetaStore.getItem(id);
+  const stored = meta ? await textureStore.getItem(id) : null;
+  if (!stored) {
+    await saveTextureBlob(id, blob);
   } else {
-    log('texture already stored, skipping write', id, 'type=', typeof existing);
+    log('texture already in library, skipping write', id);
+  }
+  if (!meta || (inLibrary && !meta.inLibrary)) {
+    await textureMetaStore.setItem(id, {
+      id,
+      mime,
+      width,
+      height,
+      size: blob.size,
+      createdAt: meta?.createdAt ?? new Date().toISOString(),
+      inLibrary: inLibrary || !!meta?.inLibrary,
+    });
   }
-  return { id, mime, width: canvas.width, height: canvas.height };
+  return { id, mime, width, height };
+}
+
+// Canvases rendered from a stored image -> its TextureRef (with placement), so saving such a
+// canvas again keeps pointing at the original instead of storing the rendered copy
+const sourceRefByCanvas = new WeakMap();
+
+// Canvases generated from a pattern recipe -> the recipe, kept on the ref when they are saved
+const patternByCanvas = new WeakMap();
+
+/**
+ * Remember which stored image (and placement) a canvas was rendered from.
+ * @param {HTMLCanvasElement} canvas
+ * @param {import('../models/vase.js').TextureRef} ref
+ */
+export function rememberCanvasSource(canvas, ref) {
+  if (canvas && ref?.id) sourceRefByCanvas.set(canvas, ref);
 }
 
 /**
- * Compute a fixed per-vase slot id. 1-based index (0->1, ... 8->9).
- * Example: tex:vase-1
- * @param {number} vaseIndexZeroBased
+ * Generate a base texture from a pattern recipe. Saving the canvas stores a copy of the image
+ * and records the recipe on its ref, so loading regenerates it at the requested size.
+ * @param {import('../models/vase.js').PatternRecipe} recipe
+ * @param {number} [size=1024]
+ * @returns {HTMLCanvasElement|null}
  */
-export function getFixedVaseSlotId(vaseIndexZeroBased) {
-  const n = Number.isFinite(vaseIndexZeroBased) ? (vaseIndexZeroBased | 0) : 0;
-  return `tex:vase-${n + 1}`;
+export function renderPatternTexture(recipe, size = 1024) {
+  const canvas = renderPattern(recipe, size);
+  if (canvas) patternByCanvas.set(canvas, recipe);
+  return canvas;
 }
 
 /**
- * Save a canvas into a fixed per-vase slot (overwrites previous). Returns TextureRef-like.
- * This guarantees at most 9 textures when used exclusively.
- * @param {number} vaseIndexZeroBased
+ * Encode a canvas and add it to the library. Canvases rendered from a stored image
+ * (see rememberCanvasSource) resolve to that image's ref without re-encoding; pattern
+ * canvases (see renderPatternTexture) get their recipe on the ref.
  * @param {HTMLCanvasElement} canvas
- * @param {string} [mime]
- * @returns {Promise<{ id: string, mime: string, width: number, height: number }>}
+ * @param {{ mime?: string, inLibrary?: boolean }} [opts]
  */
-export async function saveCanvasToFixedVaseSlot(vaseIndexZeroBased, canvas, mime = 'image/png') {
-  const id = getFixedVaseSlotId(vaseIndexZeroBased);
-  const dataURL = canvas.toDataURL(mime, mime === 'image/png' ? undefined : 0.92);
-  try { await textureStore.ready(); } catch {}
-  const driver = textureStore.driver ? textureStore.driver() : 'unknown-driver';
-  log('saveCanvasToFixedVaseSlot:', { id, mime, w: canvas.width, h: canvas.height, driver });
-  await textureStore.setItem(id, dataURL);
-  return { id, mime, width: canvas.width, height: canvas.height };
+export async function saveCanvasToLibrary(canvas, { mime = 'image/png', inLibrary = false } = {}) {
+  const source = sourceRefByCanvas.get(canvas);
+  if (source) return source;
+  const blob = await canvasToBlob(canvas, mime);
+  log('saveCanvasToLibrary:', { mime, w: canvas.width, h: canvas.height, inLibrary });
+  const ref = await addBlobToLibrary(blob, { width: canvas.width, height: canvas.height, inLibrary });
+  const pattern = patternByCanvas.get(canvas);
+  if (!pattern) return ref;
+  const patternRef = { ...ref, pattern };
+  rememberCanvasSource(canvas, patternRef);
+  return patternRef;
 }
 
 /**
- * Optional maintenance: remove any textures not in the allowed set of ids.
- * Use cautiously; ensure no Vase still references removed ids.
- * @param {Set<string>} allowed
+ * Textures the user can browse and reuse, newest first.
+ * @returns {Promise<LibraryTexture[]>}
+ */
+export async function listLibraryTextures() {
+  const items = [];
+  try {
+    await textureMetaStore.iterate((meta) => { if (meta?.inLibrary) items.push(meta); });
+  } catch (e) {
+    console.warn('[textures] failed listing library', e);
+  }
+  return items.sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0));
+}
+
+/**
+ * Take a texture out of the library. It is deleted by the next garbage collection
+ * once no vase references it.
+ * @param {string} id
  */
-export async function cleanupTexturesExcept(allowed) {
-  try { await textureStore.ready(); } catch {}
+export async function removeFromLibrary(id) {
+  const meta = await textureMetaStore.getItem(id);
+  if (meta) await textureMetaStore.setItem(id, { ...meta, inLibrary: false });
+}
+
+/**
+ * Delete stored textures that no vase references, except library entries the user kept,
+ * skyboxes, and entries younger than `graceMs` (a save may not have reached its vase yet).
+ * @param {Map<string, number>} referenceCounts  texture id -> number of referencing vases
+ * @param {{ graceMs?: number }} [opts]
+ */
+export async function collectTextureGarbage(referenceCounts, { graceMs = 60000 } = {}) {
+  try { await textureStore.ready(); } catch { /* ignore */ }
+  const metas = {};
+  await textureMetaStore.iterate((meta, key) => { metas[key] = meta; });
   const keys = await textureStore.keys();
-  const toRemove = keys.filter((k) => !allowed.has(k));
-  if (toRemove.length) log('cleanupTexturesExcept removing', toRemove.length, 'items');
-  await Promise.allSettled(toRemove.map((k) => textureStore.removeItem(k)));
+  const now = Date.now();
+  const toRemove = keys.filter((key) => {
+    if (isSkyboxTextureId(key) || (referenceCounts.get(key) ?? 0) > 0) return false;
+    const meta = metas[key];
+    if (meta?.inLibrary) return false;
+    return !(meta && now - Date.parse(meta.createdAt) < graceMs);
+  });
+  // Metadata whose image is gone
+  const keySet = new Set(keys);
+  const staleMeta = Object.keys(metas).filter((id) => !keySet.has(id));
+  if (toRemove.length || staleMeta.length) log('collectTextureGarbage removing', toRemove.length, 'textures,', staleMeta.length, 'stale entries');
+  await Promise.allSettled([
+    ...toRemove.map((k) => textureStore.removeItem(k)),
+    ...[...toRemove, ...staleMeta].map((k) => textureMetaStore.removeItem(k)),
+  ]);
+}
+
+/**
+ * Move textures saved under the old fixed per-vase slots (`tex:<vase id>`) into the library.
+ * Returns the vases with updated refs (the same array when nothing changed); the caller persists
+ * them, after which the old slot entries are unreferenced and garbage collected.
+ * @param {import('../models/vase.js').Vase[]} vases
+ * @returns {Promise<import('../models/vase.js').Vase[]>}
+ */
+export async function moveSlotTexturesToLibrary(vases) {
+  let changed = false;
+  const next = [];
+  for (const vase of vases) {
+    const slots = { ...vase.appearance?.textureSlots };
+    let vaseChanged = false;
+    for (const layer of ['base', 'upload', 'camera']) {
+      const ref = slots[layer];
+      if (!ref?.id || isLibraryTextureId(ref.id)) continue;
+      const blob = await getTextureBlob(ref.id);
+      if (!blob) continue;
+      slots[layer] = await addBlobToLibrary(blob, { width: ref.width, height: ref.height, inLibrary: layer !== 'base' });
+      vaseChanged = true;
+    }
+    next.push(vaseChanged ? { ...vase, appearance: { ...vase.appearance, textureSlots: slots } } : vase);
+    changed = changed || vaseChanged;
+  }
+  if (changed) log('moved legacy slot textures into the library');
+  return changed ? next : vases;
+}
+
+/**
+ * Remove stored textures by id (e.g. the skybox when it is cleared).
+ * @param {Iterable<string>} ids
+ */
+export async function removeTextures(ids) {
+  try { await textureStore.ready(); } catch { /* ignore */ }
+  await Promise.allSettled(Array.from(ids).map((k) => textureStore.removeItem(k)));
 }
 
 /**
@@ -125,40 +362,7 @@ export async function getTextureBlob(id) {
     try { await textureStore.ready(); } catch {}
     const driver = textureStore.driver ? textureStore.driver() : 'unknown-driver';
     log('getTextureBlob:', id, 'driver=', driver);
-    const val = await textureStore.getItem(id);
-    if (!val) return null;
-    if (val instanceof Blob) return val;
-    if (typeof val === 'string') {
-      // Support data URL stored as string
-      if (val.startsWith('data:')) {
-        try {
-          const res = await fetch(val);
-          const b = await res.blob();
-          log('loaded dataURL->Blob', id, 'blobSize=', b.size);
-          return b;
-        } catch (e) {
-          console.warn('[textures] Failed to convert dataURL to Blob', e);
-          return null;
-        }
-      }
-      // Unexpected string format; try to decode base64 if present
-      if (val.startsWith('base64,')) {
-        const dataUrl = 'data:application/octet-stream;' + val;
-        const res = await fetch(dataUrl);
-        const b = await res.blob();
-        log('loaded base64->Blob', id, 'blobSize=', b.size);
-        return b;
-      }
-      return null;
-    }
-    // Some drivers may have serialized to a plain object; try known shapes
-    if (val && typeof val === 'object' && val.dataURL) {
-      const res = await fetch(val.dataURL);
-      const b = await res.blob();
-      log('loaded object.dataURL->Blob', id, 'blobSize=', b.size);
-      return b;
-    }
-    return null;
+    return await storedValueToBlob(await textureStore.getItem(id));
   } catch (e) {
     console.warn('[textures] getTextureBlob failed for', id, e);
     return null;
@@ -166,44 +370,130 @@ export async function getTextureBlob(id) {
 }
 
 /**
- * Given a TextureRef, load it into a 2D canvas of targetSize with cover fit.
- * @param {{ id: string, mime?: string }} ref
+ * Decode an image Blob.
+ * @param {Blob} blob
+ * @returns {Promise<HTMLImageElement>}
+ */
+export async function loadImageFromBlob(blob) {
+  const url = URL.createObjectURL(blob);
+  try {
+    return await new Promise((resolve, reject) => {
+      const i = new Image();
+      i.onload = () => resolve(i);
+      i.onerror = () => reject(new Error('image could not be decoded'));
+      i.src = url;
+    });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Given a TextureRef, load it into a 2D canvas of targetSize, placed by its `placement`
+ * (cover fit when it has none). Pattern refs are regenerated from their recipe.
+ * @param {import('../models/vase.js').TextureRef} ref
  * @param {number} targetSize
  * @returns {Promise<HTMLCanvasElement|null>}
  */
 export async function loadCanvasFromTextureRef(ref, targetSize = 1024) {
   if (!ref?.id) return null;
+  if (ref.pattern) {
+    const canvas = renderPatternTexture(ref.pattern, targetSize);
+    rememberCanvasSource(canvas, ref);
+    log('pattern regenerated for', ref.id, ref.pattern.kind, 'size=', targetSize);
+    return canvas;
+  }
   log('loadCanvasFromTextureRef start', ref.id);
   const blob = await getTextureBlob(ref.id);
   if (!blob) return null;
-  const url = URL.createObjectURL(blob);
   try {
-    const img = await new Promise((resolve, reject) => {
-      const i = new Image();
-      i.onload = () => resolve(i);
-      i.onerror = reject;
-      i.src = url;
-    });
+    const img = await loadImageFromBlob(blob);
     log('image loaded for', ref.id, 'natural=', img.naturalWidth, 'x', img.naturalHeight);
-    const canvas = document.createElement('canvas');
-    canvas.width = canvas.height = targetSize;
-    const ctx = canvas.getContext('2d');
-    // cover fit
-    const iw = img.naturalWidth || img.width;
-    const ih = img.naturalHeight || img.height;
-    const scale = Math.max(targetSize / iw, targetSize / ih);
-    const dw = iw * scale;
-    const dh = ih * scale;
-    const dx = (targetSize - dw) / 2;
-    const dy = (targetSize - dh) / 2;
-    ctx.clearRect(0, 0, targetSize, targetSize);
-    ctx.drawImage(img, dx, dy, dw, dh);
+    const canvas = renderPlacedImage(img, ref.placement, targetSize);
+    rememberCanvasSource(canvas, ref);
     log('canvas drawn for', ref.id, 'size=', targetSize);
     return canvas;
   } catch (e) {
     console.warn('[textures] loadCanvasFromTextureRef failed', ref, e);
     return null;
-  } finally {
-    URL.revokeObjectURL(url);
   }
 }
+
+/**
+ * Rebuild a vase's compositor sources from its stored appearance: canvases for the base,
+ * upload, camera and paint slots, the images of its image layers (by layer id), and the text overlay
+ * redrawn from its settings. Fonts used by the overlay and text layers are loaded first.
+ * @param {import('../models/vase.js').Vase} vase
+ * @param {number} [size]
+ * @returns {Promise<{ base: HTMLCanvasElement|null, upload: HTMLCanvasElement|null, camera: HTMLCanvasElement|null, paint: HTMLCanvasElement|null, text: HTMLCanvasElement|null, layers: Record<string, HTMLCanvasElement> }>}
+ */
+export async function loadVaseTextureSources(vase, size = 1024) {
+  const slots = vase.appearance?.textureSlots || {};
+  const decals = vase.appearance?.layers || [];
+  const [base, upload, camera, paint] = await Promise.all(
+    ['base', 'upload', 'camera', 'paint'].map(k => (slots[k] ? loadCanvasFromTextureRef(slots[k], size) : null))
+  );
+  const imageEntries = await Promise.all(
+    decals.filter(l => l.kind === 'image' && l.texture).map(async l => [l.id, await loadCanvasFromTextureRef(l.texture, size)])
+  );
+  const fonts = [slots.textOverlay?.font, ...getLayerFontKeys(decals)].filter(Boolean);
+  await Promise.all([...new Set(fonts)].map(loadOverlayFont));
+  const text = slots.textOverlay ? createTextOverlayCanvas(slots.textOverlay, size) : null;
+  return { base, upload, camera, paint, text, layers: Object.fromEntries(imageEntries.filter(([, c]) => c)) };
+}
+
+// Every canvas of a vase's compositor sources
+function listSourceCanvases(sources) {
+  return [sources.base, sources.upload, sources.camera, sources.paint, sources.text, ...Object.values(sources.layers ?? {})].filter(Boolean);
+}
+
+/**
+ * Whether every canvas of a vase's compositor sources is `size` pixels wide.
+ * @param {{ base, upload, camera, paint, text, layers }} sources
+ * @param {number} size
+ */
+export function textureSourcesMatchSize(sources, size) {
+  return listSourceCanvases(sources).every((c) => c.width === size);
+}
+
+/**
+ * Bring a vase's compositor sources to another resolution. When growing, canvases rendered from
+ * a stored image or a pattern are rendered again from it, and the text overlay is redrawn from
+ * the vase's settings; everything else is rescaled. Canvases already at `size` are kept, and
+ * rescaled copies still resolve to their stored image when saved.
+ * @param {{ base, upload, camera, paint, text, layers }} sources
+ * @param {import('../models/vase.js').Vase} vase
+ * @param {number} size
+ */
+export async function resizeVaseTextureSources(sources, vase, size) {
+  const resize = async (canvas) => {
+    if (!canvas || canvas.width === size) return canvas;
+    const ref = sourceRefByCanvas.get(canvas);
+    const pattern = patternByCanvas.get(canvas);
+    if (size > canvas.width) {
+      const rendered = ref ? await loadCanvasFromTextureRef(ref, size) : (pattern ? renderPatternTexture(pattern, size) : null);
+      if (rendered) return rendered;
+    }
+    const resized = createResizedCanvas(canvas, size);
+    if (ref) rememberCanvasSource(resized, ref);
+    if (pattern) patternByCanvas.set(resized, pattern);
+    return resized;
+  };
+  const overlay = vase.appearance?.textureSlots?.textOverlay;
+  const redrawText = async () => {
+    if (!sources.text || sources.text.width === size) return sources.text;
+    if (!overlay || size < sources.text.width) return resize(sources.text);
+    await loadOverlayFont(overlay.font);
+    return createTextOverlayCanvas(overlay, size);
+  };
+  const [base, upload, camera, paint, text, layerEntries] = await Promise.all([
+    resize(sources.base),
+    resize(sources.upload),
+    resize(sources.camera),
+    resize(sources.paint),
+    redrawText(),
+    Promise.all(Object.entries(sources.layers ?? {}).map(async ([id, c]) => [id, await resize(c)])),
+  ]);
+  log('resized sources of', vase.id, 'to', size);
+  return { ...sources, base, upload, camera, paint, text, layers: Object.fromEntries(layerEntries) };
+}
@@ -1,24 +1,81 @@
 import { vaseStore } from '../storage/index.js';
 import { createVase, updateVase } from '../models/vase.js';
+import { VASE_SCHEMA_VERSION, getVaseVersion, migrateVase, needsVaseMigration } from '../models/migrations.js';
+import { INITIAL_VASE_COUNT } from '../config/constants.js';
 
-const VASE_COUNT = 9;
+// Vases are stored per board under "board:<board id>:vases". The functions below without a
+// board argument act on the board selected with setVaseBoard (the one the app has open).
+let currentBoardId = null;
+
+/** Storage key of a board's vase list */
+export function boardVasesKey(boardId) {
+  return `board:${boardId}:vases`;
+}
+
+/** Storage key of a board's archived vases (newest first) */
+export function boardArchiveKey(boardId) {
+  return `board:${boardId}:archive`;
+}
+
+/** Storage key of the copy taken right before the last migration run of a board */
+export function boardBackupKey(boardId) {
+  return `board:${boardId}:backup:pre-migration`;
+}
+
+/**
+ * Select the board subsequent loads/saves apply to.
+ * @param {string} boardId
+ */
+export function setVaseBoard(boardId) {
+  currentBoardId = boardId;
+}
+
+function requireBoard() {
+  if (!currentBoardId) throw new Error('[vases] no board selected (call setVaseBoard first)');
+  return currentBoardId;
+}
 
 /**
- * Try to read vases array from storage. If none, create 9 defaults and persist once.
+ * Read a board's stored vase list as-is (no migration, no seeding).
+ * @param {string} boardId
+ * @returns {Promise<any[]>}
+ */
+export async function readBoardVases(boardId) {
+  const stored = await vaseStore.getItem(boardVasesKey(boardId));
+  return Array.isArray(stored) ? stored : [];
+}
+
+/**
+ * Overwrite a board's vase list.
+ * @param {string} boardId
+ * @param {import('../models/vase.js').Vase[]} vases
+ */
+export async function writeBoardVases(boardId, vases) {
+  await vaseStore.setItem(boardVasesKey(boardId), vases);
+}
+
+// Concurrent loads of one board (effects run twice in development) share a single read/seed
+const pendingLoads = new Map();
+
+/**
+ * Try to read the current board's vases from storage. If none, create the initial defaults and persist once.
+ * Stored records are upgraded to the current schema (see models/migrations.js) and written back.
  * Returns an array of Vase.
- * No autosave beyond the initial seeding.
  * @returns {Promise<import('../models/vase.js').Vase[]>}
  */
-export async function loadOrInitVases() {
+export function loadOrInitVases() {
+  const boardId = requireBoard();
+  if (!pendingLoads.has(boardId)) {
+    pendingLoads.set(boardId, loadOrInitBoardVases(boardId).finally(() => pendingLoads.delete(boardId)));
+  }
+  return pendingLoads.get(boardId);
+}
+
+async function loadOrInitBoardVases(boardId) {
   try {
-    const existing = await vaseStore.getItem('all');
-    if (Array.isArray(existing) && existing.length) {
-      // lightweight migration: ensure name exists
-      const migrated = existing.map(v => ({ name: '', ...v }));
-      if (migrated.some((v, i) => v.name !== existing[i].name)) {
-        try { await vaseStore.setItem('all', migrated); } catch {}
-      }
-      return migrated;
+    const existing = await readBoardVases(boardId);
+    if (existing.length) {
+      return await migrateStoredVases(boardId, existing);
     }
   } catch (e) {
     // If read fails, fall through to init defaults
@@ -26,12 +83,11 @@ export async function loadOrInitVases() {
   }
 
   // Seed defaults
-  const vases = Array.from({ length: VASE_COUNT }, (_, i) =>
-    createVase({ id: `vase-${String(i + 1).padStart(4, '0')}` })
-  );
+  const ids = await allocateVaseIds(INITIAL_VASE_COUNT);
+  const vases = ids.map(id => createVase({ id }));
 
   try {
-    await vaseStore.setItem('all', vases);
+    await writeBoardVases(boardId, vases);
   } catch (e) {
     console.warn('[vases] failed seeding defaults to storage (continuing in-memory)', e);
   }
@@ -39,35 +95,275 @@ export async function loadOrInitVases() {
 }
 
 /**
- * Map Vase[] to the current App.jsx UI state shapes.
+ * Upgrade stored vases to the current schema. The untouched records are saved under the
+ * board's backup key first; if that backup cannot be written, the upgrade stays in memory only.
+ * If a migration throws, the stored records are returned as they are. A board rolled back with
+ * restorePreMigrationBackup is held at its old records until a newer schema ships.
+ * @param {string} boardId
+ * @param {any[]} stored
+ * @returns {Promise<import('../models/vase.js').Vase[]>}
+ */
+async function migrateStoredVases(boardId, stored) {
+  if (!stored.some(needsVaseMigration)) return stored;
+  const held = await getPreMigrationBackup(boardId);
+  if (held?.restoredAt && held.toVersion >= VASE_SCHEMA_VERSION) {
+    console.log('[vases] board', boardId, 'rolled back from schema', held.toVersion, '- not migrating until a newer schema');
+    return stored;
+  }
+  const fromVersions = [...new Set(stored.map(getVaseVersion))].sort((a, b) => a - b);
+  let migrated;
+  try {
+    migrated = stored.map(migrateVase);
+  } catch (e) {
+    console.error('[vases] migration failed, keeping stored records as-is', e);
+    return stored;
+  }
+  try {
+    await vaseStore.setItem(boardBackupKey(boardId), {
+      createdAt: new Date().toISOString(),
+      fromVersions,
+      toVersion: VASE_SCHEMA_VERSION,
+      vases: stored,
+    });
+  } catch (e) {
+    console.warn('[vases] failed writing pre-migration backup, not persisting migrated records', e);
+    return migrated;
+  }
+  try {
+    await writeBoardVases(boardId, migrated);
+    console.log('[vases] migrated', stored.length, 'vases from schema', fromVersions.join(','), 'to', VASE_SCHEMA_VERSION);
+  } catch (e) {
+    console.warn('[vases] failed writing migrated vases (continuing in-memory)', e);
+  }
+  return migrated;
+}
+
+/**
+ * Read the backup taken before the last migration of a board (the current one by default), if any.
+ * `restoredAt` is set once the board was rolled back to it.
+ * @param {string} [boardId]
+ * @returns {Promise<{ createdAt: string, fromVersions: number[], toVersion: number, vases: any[], restoredAt?: string } | null>}
+ */
+export async function getPreMigrationBackup(boardId = requireBoard()) {
+  try {
+    return (await vaseStore.getItem(boardBackupKey(boardId))) || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Roll the current board back to the records saved before its last migration. The backup is
+ * marked restored, which holds the board at those records (loads skip the migration that
+ * produced the rolled-back ones) until a build with a newer schema version ships.
+ * @returns {Promise<any[] | null>} the restored records, or null when there is no backup
+ */
+export async function restorePreMigrationBackup() {
+  const boardId = requireBoard();
+  const backup = await getPreMigrationBackup(boardId);
+  if (!backup || !Array.isArray(backup.vases)) return null;
+  await vaseStore.setItem(boardBackupKey(boardId), { ...backup, restoredAt: new Date().toISOString() });
+  await writeBoardVases(boardId, backup.vases);
+  console.log('[vases] restored pre-migration backup from', backup.createdAt);
+  return backup.vases;
+}
+
+/**
+ * Read a board's archived vases as stored (no migration).
+ * @param {string} boardId
+ * @returns {Promise<any[]>}
+ */
+export async function readBoardArchive(boardId) {
+  const stored = await vaseStore.getItem(boardArchiveKey(boardId));
+  return Array.isArray(stored) ? stored : [];
+}
+
+/**
+ * Overwrite a board's archived vases.
+ * @param {string} boardId
+ * @param {import('../models/vase.js').Vase[]} archived
+ */
+export async function writeBoardArchive(boardId, archived) {
+  await vaseStore.setItem(boardArchiveKey(boardId), archived);
+}
+
+/**
+ * Archived vases of the current board, upgraded to the current schema in memory
+ * (they are written back the next time the archive changes).
+ * @returns {Promise<import('../models/vase.js').Vase[]>}
+ */
+export async function loadArchivedVases() {
+  try {
+    return (await readBoardArchive(requireBoard())).map(migrateVase);
+  } catch (e) {
+    console.warn('[vases] failed reading archive', e);
+    return [];
+  }
+}
+
+/**
+ * Move a vase (with its design and texture refs) from the grid into the archive. Its activity
+ * stays in the log, so stats and history are back when it is restored.
+ * The archive is written first: a failure in between leaves the vase in both lists, never in neither.
+ * @returns {Promise<{ vases: import('../models/vase.js').Vase[], archived: import('../models/vase.js').Vase[] }>}
+ */
+export async function archiveVaseById(vases, archived, id) {
+  const vase = vases.find(v => v.id === id);
+  if (!vase) return { vases, archived };
+  const nextArchived = [updateVase(vase, { archivedAt: new Date().toISOString() }), ...archived];
+  await writeBoardArchive(requireBoard(), nextArchived);
+  const next = vases.filter(v => v.id !== id);
+  await saveVases(next);
+  return { vases: next, archived: nextArchived };
+}
+
+/**
+ * Put an archived vase back at the end of the grid.
+ * @returns {Promise<{ vases: import('../models/vase.js').Vase[], archived: import('../models/vase.js').Vase[], vase: import('../models/vase.js').Vase|null }>}
+ */
+export async function restoreArchivedVase(vases, archived, id) {
+  const entry = archived.find(v => v.id === id);
+  if (!entry) return { vases, archived, vase: null };
+  const vase = updateVase(entry, {});
+  delete vase.archivedAt;
+  const next = [...vases, vase];
+  await saveVases(next);
+  const nextArchived = archived.filter(v => v.id !== id);
+  await writeBoardArchive(requireBoard(), nextArchived);
+  return { vases: next, archived: nextArchived, vase };
+}
+
+/** Delete an archived vase for good and persist; returns the updated archive */
+export async function removeArchivedVaseById(archived, id) {
+  const next = archived.filter(v => v.id !== id);
+  await writeBoardArchive(requireBoard(), next);
+  return next;
+}
+
+/** Format a numeric vase id, e.g. 3 -> "vase-0003" */
+function formatVaseId(n) {
+  return `vase-${String(n).padStart(4, '0')}`;
+}
+
+// Highest vase number handed out so far (across all boards); ids are never reused
+const VASE_SEQ_KEY = 'meta:vaseSeq';
+let allocating = Promise.resolve();
+
+/**
+ * Reserve `count` new vase ids, unique across every board.
+ * The counter starts from the highest id found in storage the first time it is needed.
+ * @param {number} count
+ * @returns {Promise<string[]>}
+ */
+export function allocateVaseIds(count) {
+  const run = allocating.then(async () => {
+    let seq = await vaseStore.getItem(VASE_SEQ_KEY);
+    if (!Number.isInteger(seq)) {
+      seq = 0;
+      const keys = await vaseStore.keys();
+      for (const key of keys.filter(k => k === 'all' || /^board:.+:(vases|archive)$/.test(k))) {
+        const list = await vaseStore.getItem(key);
+        (Array.isArray(list) ? list : []).forEach(v => {
+          const m = /^vase-(\d+)$/.exec(v?.id || '');
+          if (m) seq = Math.max(seq, parseInt(m[1], 10));
+        });
+      }
+    }
+    const ids = Array.from({ length: count }, (_, i) => formatVaseId(seq + i + 1));
+    await vaseStore.setItem(VASE_SEQ_KEY, seq + count);
+    return ids;
+  });
+  allocating = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Map Vase[] to the current App.jsx UI state shapes, keyed by vase id.
  * This function does not write to storage.
  */
 export function mapVasesToUiState(vases) {
-  const textureSourcesList = vases.map(v => ({
-    base: v.appearance.textureSlots.base ?? null,
-    upload: v.appearance.textureSlots.upload ?? null,
-    camera: v.appearance.textureSlots.camera ?? null,
-    text: v.appearance.textureSlots.textOverlay ?? null,
-  }));
-  const activeBaseLayers = vases.map(v => v.appearance.activeBaseLayer);
-  const baseColors = vases.map(v => v.appearance.baseColor);
-  const titles3D = vases.map(v => v.labels.vaseText || '');
-  const isGlassList = vases.map(v => !!v.appearance.isGlass);
-  return { textureSourcesList, activeBaseLayers, baseColors, titles3D, isGlassList };
-}
-
-/** Persist entire vases array */
+  const textureSourcesById = {};
+  const activeBaseLayerById = {};
+  const baseColorById = {};
+  const title3DById = {};
+  const isGlassById = {};
+  vases.forEach(v => {
+    textureSourcesById[v.id] = {
+      base: v.appearance.textureSlots.base ?? null,
+      upload: v.appearance.textureSlots.upload ?? null,
+      camera: v.appearance.textureSlots.camera ?? null,
+      text: v.appearance.textureSlots.textOverlay ?? null,
+    };
+    activeBaseLayerById[v.id] = v.appearance.activeBaseLayer;
+    baseColorById[v.id] = v.appearance.baseColor;
+    title3DById[v.id] = v.labels.vaseText || '';
+    isGlassById[v.id] = !!v.appearance.isGlass;
+  });
+  return { textureSourcesById, activeBaseLayerById, baseColorById, title3DById, isGlassById };
+}
+
+/**
+ * Reference count per texture id: how many of the given vases use it in any slot, image layer or coin emblem.
+ * @param {import('../models/vase.js').Vase[]} vases
+ * @returns {Map<string, number>}
+ */
+export function countTextureReferences(vases) {
+  const counts = new Map();
+  vases.forEach(v => {
+    const slots = v?.appearance?.textureSlots || {};
+    const ids = new Set(['base', 'upload', 'camera', 'paint'].map(k => slots[k]?.id).filter(Boolean));
+    (v?.appearance?.layers || []).forEach(l => { if (l.texture?.id) ids.add(l.texture.id); });
+    const emblem = v?.appearance?.coin?.emblem;
+    if (emblem?.kind === 'image' && emblem.texture?.id) ids.add(emblem.texture.id);
+    ids.forEach(id => counts.set(id, (counts.get(id) ?? 0) + 1));
+  });
+  return counts;
+}
+
+/** Persist the current board's entire vases array */
 export async function saveVases(vases) {
   try {
-    await vaseStore.setItem('all', vases);
+    await writeBoardVases(requireBoard(), vases);
   } catch (e) {
     console.warn('[vases] failed saving to storage', e);
   }
 }
 
-/** Update one vase by index and persist; returns updated array */
-export async function updateVaseAt(vases, index, patch) {
-  const next = vases.map((v, i) => (i === index ? updateVase(v, patch) : v));
+/** Update one vase by id and persist; returns updated array */
+export async function updateVaseById(vases, id, patch) {
+  const next = vases.map(v => (v.id === id ? updateVase(v, patch) : v));
+  await saveVases(next);
+  return next;
+}
+
+/**
+ * Append a new vase and persist.
+ * @returns {Promise<{ vases: import('../models/vase.js').Vase[], vase: import('../models/vase.js').Vase }>}
+ */
+export async function addVase(vases, init = {}) {
+  const [id] = await allocateVaseIds(1);
+  const vase = createVase({ ...init, id });
+  const next = [...vases, vase];
+  await saveVases(next);
+  return { vases: next, vase };
+}
+
+/** Remove one vase by id and persist; returns updated array */
+export async function removeVaseById(vases, id) {
+  const next = vases.filter(v => v.id !== id);
+  await saveVases(next);
+  return next;
+}
+
+/** Move one vase to a new position (clamped) and persist; returns updated array */
+export async function moveVase(vases, id, toIndex) {
+  const from = vases.findIndex(v => v.id === id);
+  if (from < 0) return vases;
+  const to = Math.max(0, Math.min(vases.length - 1, toIndex));
+  if (to === from) return vases;
+  const next = vases.slice();
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
   await saveVases(next);
   return next;
 }
@@ -10,6 +10,30 @@ export const textureStore = localforage.createInstance({
   storeName: 'textures',
 });
 
+// Texture library metadata (one entry per content-addressed texture in textureStore)
+export const textureMetaStore = localforage.createInstance({
+  name: 'manifest-app',
+  storeName: 'textureMeta',
+});
+
+// Append-only activity log (one entry per manifest/destroy/reset event)
+export const activityStore = localforage.createInstance({
+  name: 'manifest-app',
+  storeName: 'activity',
+});
+
+// Small app preferences/session state (last active vase, camera framing, title screen choice)
+export const prefsStore = localforage.createInstance({
+  name: 'manifest-app',
+  storeName: 'prefs',
+});
+
+// Settled coin piles, one entry per vase (restored on load so vases keep their coins)
+export const coinStore = localforage.createInstance({
+  name: 'manifest-app',
+  storeName: 'coins',
+});
+
 // Prefer IndexedDB to avoid large-value issues with localStorage fallbacks.
 // If IndexedDB is temporarily unavailable, localforage may still fallback; our app adds
 // retry logic when reading critical large entries like the skybox.
@@ -17,4 +41,8 @@ try {
   // These return promises; fire-and-forget is okay because callers also await .ready()
   vaseStore.setDriver([localforage.INDEXEDDB, localforage.WEBSQL, localforage.LOCALSTORAGE]);
   textureStore.setDriver([localforage.INDEXEDDB, localforage.WEBSQL, localforage.LOCALSTORAGE]);
+  textureMetaStore.setDriver([localforage.INDEXEDDB, localforage.WEBSQL, localforage.LOCALSTORAGE]);
+  activityStore.setDriver([localforage.INDEXEDDB, localforage.WEBSQL, localforage.LOCALSTORAGE]);
+  prefsStore.setDriver([localforage.INDEXEDDB, localforage.WEBSQL, localforage.LOCALSTORAGE]);
+  coinStore.setDriver([localforage.INDEXEDDB, localforage.WEBSQL, localforage.LOCALSTORAGE]);
 } catch {}
@@ -0,0 +1,110 @@
+// Pure helpers that turn a vase's activity events into chart buckets and streak figures
+
+/** Local midnight of the given date */
+export function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+/** Local midnight of the Monday starting the given date's week */
+export function startOfWeek(date) {
+  const d = startOfDay(date);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+}
+
+// Local calendar day key, e.g. "2025-03-09" (DST-safe, unlike dividing by 24h)
+function dayKey(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Events for one vase since its most recent reset, oldest first.
+ * @param {import('../models/activity.js').ActivityEvent[]} events  oldest first
+ * @param {string} vaseId
+ */
+export function eventsSinceReset(events, vaseId) {
+  const own = events.filter(e => e.vaseId === vaseId);
+  let lastReset = -1;
+  own.forEach((e, i) => { if (e.type === 'reset') lastReset = i; });
+  return own.slice(lastReset + 1);
+}
+
+/**
+ * Count manifests/destroys per day or week, ending with the bucket containing `now`, and sum
+ * the amounts logged with the manifests. Legacy (backfilled) events have no real timestamp and
+ * are skipped.
+ * @param {import('../models/activity.js').ActivityEvent[]} events
+ * @param {'day'|'week'} [unit]
+ * @param {number} [count]
+ * @param {Date} [now]
+ * @returns {{ start: Date, label: string, manifest: number, destroy: number, amount: number }[]}
+ */
+export function bucketActivity(events, unit = 'day', count = 14, now = new Date()) {
+  const startOf = unit === 'week' ? startOfWeek : startOfDay;
+  const step = unit === 'week' ? 7 : 1;
+  const buckets = [];
+  const byKey = new Map();
+  const cursor = startOf(now);
+  cursor.setDate(cursor.getDate() - step * (count - 1));
+  for (let i = 0; i < count; i++) {
+    const start = new Date(cursor);
+    const label = `${start.getMonth() + 1}/${start.getDate()}`;
+    const bucket = { start, label, manifest: 0, destroy: 0, amount: 0 };
+    buckets.push(bucket);
+    byKey.set(dayKey(start), bucket);
+    cursor.setDate(cursor.getDate() + step);
+  }
+  events.forEach(e => {
+    if (e.legacy || (e.type !== 'manifest' && e.type !== 'destroy')) return;
+    const bucket = byKey.get(dayKey(startOf(e.at)));
+    if (!bucket) return;
+    bucket[e.type] += 1;
+    if (e.type === 'manifest') bucket.amount += e.amount ?? 0;
+  });
+  return buckets;
+}
+
+/**
+ * Current and longest run of consecutive days with at least one manifest.
+ * The current streak is still alive if the last manifest was today or yesterday.
+ * @param {import('../models/activity.js').ActivityEvent[]} events
+ * @param {Date} [now]
+ * @returns {{ current: number, longest: number }}
+ */
+export function computeStreaks(events, now = new Date()) {
+  const days = new Set(events.filter(e => e.type === 'manifest' && !e.legacy).map(e => dayKey(e.at)));
+  if (!days.size) return { current: 0, longest: 0 };
+  const sorted = [...days].sort();
+  let longest = 1;
+  let run = 1;
+  for (let i = 1; i < sorted.length; i++) {
+    const prev = new Date(`${sorted[i - 1]}T00:00:00`);
+    prev.setDate(prev.getDate() + 1);
+    run = dayKey(prev) === sorted[i] ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+  const cursor = startOfDay(now);
+  if (!days.has(dayKey(cursor))) cursor.setDate(cursor.getDate() - 1);
+  let current = 0;
+  while (days.has(dayKey(cursor))) {
+    current += 1;
+    cursor.setDate(cursor.getDate() - 1);
+  }
+  return { current, longest };
+}
+
+/**
+ * Average time between consecutive manifests.
+ * @param {import('../models/activity.js').ActivityEvent[]} events  oldest first
+ * @returns {number|null} milliseconds, or null with fewer than two dated manifests
+ */
+export function averageManifestGapMs(events) {
+  const times = events
+    .filter(e => e.type === 'manifest' && !e.legacy)
+    .map(e => new Date(e.at).getTime());
+  if (times.length < 2) return null;
+  return (times[times.length - 1] - times[0]) / (times.length - 1);
+}
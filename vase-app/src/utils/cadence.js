@@ -0,0 +1,131 @@
+// Habit cadence helpers: turn a vase's cadence plus its manifest history into streak/due status
+
+import { startOfDay, startOfWeek } from './analytics.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whole calendar days from a to b (rounded so DST shifts don't skew the count)
+function daysBetween(a, b) {
+  return Math.round((startOfDay(b) - startOfDay(a)) / DAY_MS);
+}
+
+function addDays(date, n) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + n);
+  return d;
+}
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+/**
+ * Human label for a cadence, e.g. "daily", "3× a week", "every 4 days".
+ * @param {import('../models/vase.js').Cadence|null|undefined} cadence
+ */
+export function describeCadence(cadence) {
+  if (!cadence) return 'no schedule';
+  if (cadence.kind === 'daily') return 'daily';
+  if (cadence.kind === 'weekly') return `${cadence.times}× a week`;
+  if (cadence.kind === 'interval') return `every ${plural(cadence.days, 'day')}`;
+  return 'no schedule';
+}
+
+/**
+ * Count consecutive satisfied periods going backwards from `start`.
+ * @param {(periodStart: Date) => boolean} isMet
+ * @param {(periodStart: Date) => Date} prev
+ */
+function countBack(start, isMet, prev) {
+  let n = 0;
+  let cursor = start;
+  while (isMet(cursor)) {
+    n += 1;
+    cursor = prev(cursor);
+  }
+  return n;
+}
+
+/**
+ * @typedef {Object} CadenceStatus
+ * @property {'on-track'|'due'|'missed'} state
+ * @property {number} streak           // consecutive periods (days, weeks or intervals) kept
+ * @property {string|null} streakLabel // e.g. "3-day streak"
+ * @property {string} dueLabel         // e.g. "due today", "2 more this week", "overdue by 3 days"
+ */
+
+/**
+ * Evaluate a vase's cadence against its manifest history.
+ * @param {import('../models/vase.js').Cadence|null|undefined} cadence
+ * @param {import('../models/activity.js').ActivityEvent[]} events  this vase's events since its last reset
+ * @param {string} since  ISO date the schedule started counting from (vase creation/reset)
+ * @param {Date} [now]
+ * @returns {CadenceStatus|null} null when the vase has no cadence
+ */
+export function getCadenceStatus(cadence, events, since, now = new Date()) {
+  if (!cadence) return null;
+  const manifests = events.filter(e => e.type === 'manifest' && !e.legacy).map(e => new Date(e.at));
+  const sinceDate = since ? new Date(since) : now;
+
+  if (cadence.kind === 'daily') {
+    const days = new Set(manifests.map(d => startOfDay(d).getTime()));
+    const isMet = (d) => days.has(d.getTime());
+    const today = startOfDay(now);
+    const yesterday = addDays(today, -1);
+    const doneToday = isMet(today);
+    const streak = countBack(doneToday ? today : yesterday, isMet, (d) => addDays(d, -1));
+    let state = 'on-track';
+    if (!doneToday) state = (isMet(yesterday) || startOfDay(sinceDate) >= yesterday) ? 'due' : 'missed';
+    return {
+      state,
+      streak,
+      streakLabel: streak > 0 ? `${streak}-day streak` : null,
+      dueLabel: state === 'on-track' ? 'done for today' : state === 'due' ? 'due today' : 'missed yesterday',
+    };
+  }
+
+  if (cadence.kind === 'weekly') {
+    const times = Math.max(1, cadence.times | 0);
+    const counts = new Map();
+    manifests.forEach(d => {
+      const k = startOfWeek(d).getTime();
+      counts.set(k, (counts.get(k) ?? 0) + 1);
+    });
+    const isMet = (w) => (counts.get(w.getTime()) ?? 0) >= times;
+    const thisWeek = startOfWeek(now);
+    const lastWeek = addDays(thisWeek, -7);
+    const doneThisWeek = isMet(thisWeek);
+    const streak = countBack(doneThisWeek ? thisWeek : lastWeek, isMet, (w) => addDays(w, -7));
+    let state = 'on-track';
+    if (!doneThisWeek) state = (isMet(lastWeek) || startOfWeek(sinceDate) >= lastWeek) ? 'due' : 'missed';
+    const remaining = times - (counts.get(thisWeek.getTime()) ?? 0);
+    return {
+      state,
+      streak,
+      streakLabel: streak > 0 ? `${streak}-week streak` : null,
+      dueLabel: state === 'on-track' ? 'done this week' : state === 'due' ? `${remaining} more this week` : `missed last week, ${remaining} to go`,
+    };
+  }
+
+  if (cadence.kind === 'interval') {
+    const every = Math.max(1, cadence.days | 0);
+    const last = manifests.length ? manifests[manifests.length - 1] : sinceDate;
+    const dueIn = daysBetween(now, addDays(last, every));
+    const state = dueIn > 0 ? 'on-track' : dueIn === 0 ? 'due' : 'missed';
+    // Streak: manifests in a row (newest first) that each came within the interval of the previous one
+    let streak = 0;
+    if (state !== 'missed' && manifests.length) {
+      streak = 1;
+      for (let i = manifests.length - 1; i > 0; i--) {
+        if (daysBetween(manifests[i - 1], manifests[i]) > every) break;
+        streak += 1;
+      }
+    }
+    return {
+      state,
+      streak,
+      streakLabel: streak > 0 ? `${streak} on schedule` : null,
+      dueLabel: state === 'on-track' ? `due in ${plural(dueIn, 'day')}` : state === 'due' ? 'due today' : `overdue by ${plural(-dueIn, 'day')}`,
+    };
+  }
+
+  return null;
+}
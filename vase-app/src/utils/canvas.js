@@ -1,5 +1,7 @@
 // Utility functions to create canvases with solid colors or text overlays
 
+import { getOverlayFontCss } from './fonts.js';
+
 /**
  * Create a square canvas filled with a solid color.
  * @param {string} hex - Hex color code (e.g. '#ff0000').
@@ -18,39 +20,149 @@ export function createSolidColorCanvas(hex, size = 1024) {
 }
 
 /**
- * Create a square canvas with centered text overlay.
- * @param {string} text - The text to render.
+ * Copy a square canvas at another size. Shrinking goes in halving steps (like mipmaps) so
+ * large reductions stay smooth.
+ * @param {HTMLCanvasElement} source
+ * @param {number} size - Width and height of the new canvas in pixels.
+ * @returns {HTMLCanvasElement|null} - null if document is undefined
+ */
+export function createResizedCanvas(source, size) {
+  if (typeof document === 'undefined') return null;
+  const step = (from, to) => {
+    const c = document.createElement('canvas');
+    c.width = c.height = to;
+    const ctx = c.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(from, 0, 0, to, to);
+    return c;
+  };
+  let current = source;
+  while (current.width / 2 > size) current = step(current, current.width / 2);
+  return step(current, size);
+}
+
+const LINE_HEIGHT = 1.15;
+// Widest arc the overlay text bends along, in radians (at curve = ±1)
+const MAX_CURVE_SWEEP = Math.PI * 0.9;
+
+/** Width of a string drawn with extra letter spacing (px) */
+function measureSpaced(ctx, str, spacing) {
+  const chars = [...str];
+  return ctx.measureText(str).width + spacing * Math.max(0, chars.length - 1);
+}
+
+/**
+ * Break text into lines: explicit line breaks first, then greedy word wrap to maxWidth.
+ * A single word wider than maxWidth keeps its own line (the caller shrinks the font).
+ */
+function wrapLines(ctx, text, maxWidth, spacing) {
+  const lines = [];
+  for (const paragraph of text.split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && measureSpaced(ctx, candidate, spacing) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Draw one line centered on (cx, cy). Straight unspaced lines use fillText so the font's
+ * kerning is kept; otherwise glyphs are placed one by one, optionally along an arc of radius.
+ */
+function drawLine(ctx, line, cx, cy, spacing, radius, bend, stroke) {
+  const paint = (str, x, y) => {
+    if (stroke) ctx.strokeText(str, x, y);
+    ctx.fillText(str, x, y);
+  };
+  if (!radius && !spacing) {
+    paint(line, cx, cy);
+    return;
+  }
+  const width = measureSpaced(ctx, line, spacing);
+  let along = -width / 2;
+  for (const ch of line) {
+    const w = ctx.measureText(ch).width;
+    const mid = along + w / 2;
+    along += w + spacing;
+    if (!radius) {
+      paint(ch, cx + mid, cy);
+      continue;
+    }
+    // bend 1 = ends up (smile), -1 = ends down (arch)
+    const angle = mid / radius;
+    ctx.save();
+    ctx.translate(cx + radius * Math.sin(angle), cy - bend * radius * (1 - Math.cos(angle)));
+    ctx.rotate(-bend * angle);
+    paint(ch, 0, 0);
+    ctx.restore();
+  }
+}
+
+/**
+ * Create a square canvas with the vase text overlay. The canvas is mirrored horizontally
+ * to match the vase's UV layout.
+ * @param {import('../models/vase.js').TextOverlay|string} overlay - Overlay settings (a plain string uses the defaults).
  * @param {number} [size=1024] - Width and height of the canvas in pixels.
- * @returns {HTMLCanvasElement|null
- * } - The created canvas, or null if document is undefined.
+ * @returns {HTMLCanvasElement|null} - The created canvas, or null if document is undefined or there is no text.
  */
 
-export function createTextOverlayCanvas(text, size = 1024) {
+export function createTextOverlayCanvas(overlay, size = 1024) {
   if (typeof document === 'undefined') return null;
+  const o = typeof overlay === 'string' ? { text: overlay } : (overlay ?? {});
+  const text = (o.text ?? '').trim();
+  if (!text) return null;
   const c = document.createElement('canvas');
   c.width = c.height = size;
   const ctx = c.getContext('2d');
   ctx.clearRect(0, 0, size, size);
   const pad = size * 0.08;
   const maxTextWidth = size - pad * 2;
-  let fontSize = Math.floor(size * 0.12);
-  ctx.textAlign = 'center';
-  ctx.textBaseline = 'middle';
-  ctx.fillStyle = '#111';
-  ctx.strokeStyle = 'rgba(255,255,255,0.65)';
-  ctx.lineWidth = Math.max(2, Math.floor(size * 0.008));
+  const curve = Math.max(-1, Math.min(1, o.curve ?? 0));
+  let fontSize = Math.floor(size * 0.12 * (o.size ?? 1));
+  let lines;
+  let spacing;
+  // Shrink until every line fits the width and the block fits the height
   do {
-    ctx.font = `700 ${fontSize}px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif`;
-    if (ctx.measureText(text).width <= maxTextWidth) break;
+    ctx.font = getOverlayFontCss(o.font, fontSize);
+    spacing = (o.letterSpacing ?? 0) * fontSize;
+    lines = wrapLines(ctx, text, maxTextWidth, spacing);
+    const widest = Math.max(...lines.map((l) => measureSpaced(ctx, l, spacing)));
+    if (widest <= maxTextWidth && lines.length * fontSize * LINE_HEIGHT <= size - pad * 2) break;
     fontSize -= 2;
   } while (fontSize > 12);
-  const cx = size / 2;
-  const cy = size / 2;
+
+  const lineHeight = fontSize * LINE_HEIGHT;
+  const blockHeight = lines.length * lineHeight;
+  const center = (o.position ?? 0.5) * size;
+  const top = Math.max(pad, Math.min(size - pad - blockHeight, center - blockHeight / 2));
+  const widest = Math.max(...lines.map((l) => measureSpaced(ctx, l, spacing)));
+  // One radius for every line so a multi-line block bends as concentric arcs
+  const sweep = Math.abs(curve) * MAX_CURVE_SWEEP;
+  const radius = sweep > 0.01 ? widest / sweep : 0;
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = o.fill || '#111111';
+  const stroke = o.stroke === undefined ? 'rgba(255,255,255,0.65)' : o.stroke;
+  if (stroke) {
+    ctx.strokeStyle = stroke;
+    ctx.lineWidth = Math.max(2, Math.floor(fontSize * 0.066));
+    ctx.lineJoin = 'round';
+  }
   ctx.save();
   ctx.translate(size, 0);
   ctx.scale(-1, 1);
-  ctx.strokeText(text, cx, cy);
-  ctx.fillText(text, cx, cy);
+  lines.forEach((line, i) => {
+    drawLine(ctx, line, size / 2, top + lineHeight * (i + 0.5), spacing, radius, Math.sign(curve), !!stroke);
+  });
   ctx.restore();
   return c;
-}
\ No newline at end of file
+}
@@ -0,0 +1,146 @@
+// Coins from the bundled model (assets/models/coin-1.glb): its geometry scaled to coin size, and
+// textures where the metal color tints a light map and the emblem is embossed on both faces
+// through a bump map.
+
+export const COIN_METALS = [
+  { name: 'gold', color: '#ffd700' },
+  { name: 'silver', color: '#d8dde3' },
+  { name: 'rose gold', color: '#e8a990' },
+  { name: 'copper', color: '#c8744a' },
+  { name: 'bronze', color: '#a97142' },
+  { name: 'gunmetal', color: '#4a4f55' },
+];
+
+// Radius of a coin at size 1; the model is scaled to it and its thickness follows
+export const COIN_RADIUS = 1.5;
+
+export const MIN_COIN_SIZE = 0.6;
+export const MAX_COIN_SIZE = 1.6;
+export const COIN_INITIALS_MAX = 3;
+
+// Where the model's faces sit in texture space: two discs below the edge band (which fills the
+// top half). The bottom face is seen from the other side, so its emblem is drawn mirrored.
+const FACES = [
+  { u: 0.25, v: 0.75, mirrored: false },
+  { u: 0.75, v: 0.75, mirrored: true },
+];
+const FACE_RADIUS = 0.24;
+
+// Texture colors (map: multiplied by the metal color; bump: brighter is raised)
+const MAP_GROUND = '#ffffff';
+const MAP_RELIEF = '#b8b8b8';
+const BUMP_GROUND = '#808080';
+const BUMP_RELIEF = '#ffffff';
+
+const coinShapes = new WeakMap();
+
+/**
+ * The model's coin geometry scaled to COIN_RADIUS, made once per loaded model and shared by
+ * every coin. Its axis is Y, like rapier's cylinder collider.
+ * @param {import('three').BufferGeometry} source  geometry of the model's `coin` mesh
+ * @returns {{ geometry: import('three').BufferGeometry, radius: number, halfHeight: number }}
+ */
+export function getCoinShape(source) {
+  let shape = coinShapes.get(source);
+  if (!shape) {
+    const geometry = source.clone();
+    geometry.computeBoundingBox();
+    const { x, y, z } = geometry.boundingBox.max;
+    const s = COIN_RADIUS / Math.max(x, z);
+    geometry.scale(s, s, s);
+    shape = { geometry, radius: COIN_RADIUS, halfHeight: y * s };
+    coinShapes.set(source, shape);
+  }
+  return shape;
+}
+
+/**
+ * Initials as they are embossed: trimmed, upper case, at most COIN_INITIALS_MAX characters.
+ * @param {string} text
+ */
+export function normalizeCoinInitials(text) {
+  return Array.from(text.trim().toUpperCase()).slice(0, COIN_INITIALS_MAX).join('');
+}
+
+/**
+ * Grayscale copy of an emblem image, cropped to a circle.
+ * @param {CanvasImageSource} image  square (see loadCanvasFromTextureRef)
+ * @param {number} px
+ */
+function createEmblemCanvas(image, px) {
+  const c = document.createElement('canvas');
+  c.width = c.height = px;
+  const ctx = c.getContext('2d');
+  ctx.beginPath();
+  ctx.arc(px / 2, px / 2, px / 2, 0, Math.PI * 2);
+  ctx.clip();
+  ctx.drawImage(image, 0, 0, px, px);
+  const data = ctx.getImageData(0, 0, px, px);
+  const d = data.data;
+  for (let i = 0; i < d.length; i += 4) {
+    const l = 0.299 * d[i] + 0.587 * d[i + 1] + 0.114 * d[i + 2];
+    d[i] = d[i + 1] = d[i + 2] = l;
+  }
+  ctx.putImageData(data, 0, 0);
+  return c;
+}
+
+/**
+ * Draw both faces: a raised rim and the emblem.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} size
+ * @param {{ initials: string, emblem: HTMLCanvasElement|null }} design
+ * @param {{ ground: string, relief: string, bump: boolean }} tone
+ */
+function drawFaces(ctx, size, { initials, emblem }, { ground, relief, bump }) {
+  ctx.fillStyle = ground;
+  ctx.fillRect(0, 0, size, size);
+  const r = FACE_RADIUS * size;
+  FACES.forEach(({ u, v, mirrored }) => {
+    ctx.save();
+    ctx.translate(u * size, v * size);
+    if (mirrored) ctx.scale(-1, 1);
+    ctx.strokeStyle = relief;
+    ctx.lineWidth = r * 0.07;
+    ctx.beginPath();
+    ctx.arc(0, 0, r * 0.88, 0, Math.PI * 2);
+    ctx.stroke();
+    if (emblem) {
+      const e = r * 0.72;
+      // The map keeps the image's shading faint so the metal still reads; the bump carries the relief
+      ctx.globalAlpha = bump ? 1 : 0.6;
+      ctx.globalCompositeOperation = bump ? 'source-over' : 'multiply';
+      ctx.drawImage(emblem, -e, -e, e * 2, e * 2);
+    } else if (initials) {
+      const fontSize = r * (initials.length > 2 ? 0.62 : initials.length > 1 ? 0.8 : 1);
+      ctx.fillStyle = relief;
+      ctx.font = `bold ${fontSize}px Georgia, 'Times New Roman', serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(initials, 0, fontSize * 0.05, r * 1.4);
+    }
+    ctx.restore();
+  });
+}
+
+/**
+ * Textures of a coin design: `map` (tinted by the metal color of the material) and `bump`.
+ * Both use the model's UV layout, which is glTF's: upload them with flipY = false.
+ * @param {{ initials?: string, image?: CanvasImageSource|null }} design  emblem initials or image (image wins)
+ * @param {number} [size=512]
+ * @returns {{ map: HTMLCanvasElement, bump: HTMLCanvasElement }|null} - null if document is undefined
+ */
+export function renderCoinTextures({ initials = '', image = null }, size = 512) {
+  if (typeof document === 'undefined') return null;
+  const emblem = image ? createEmblemCanvas(image, Math.round(FACE_RADIUS * size * 1.44)) : null;
+  const make = (tone) => {
+    const c = document.createElement('canvas');
+    c.width = c.height = size;
+    drawFaces(c.getContext('2d'), size, { initials, emblem }, tone);
+    return c;
+  };
+  return {
+    map: make({ ground: MAP_GROUND, relief: MAP_RELIEF, bump: false }),
+    bump: make({ ground: BUMP_GROUND, relief: BUMP_RELIEF, bump: true }),
+  };
+}
@@ -0,0 +1,59 @@
+// Fonts offered for the vase text overlay. The web fonts are bundled (no network at runtime)
+// and only downloaded by the browser the first time they are drawn.
+
+import '@fontsource/playfair-display/700.css';
+import '@fontsource/bebas-neue/400.css';
+import '@fontsource/pacifico/400.css';
+
+/**
+ * @typedef {Object} OverlayFont
+ * @property {string} label
+ * @property {string} family   // CSS font-family list
+ * @property {number} weight
+ * @property {boolean} [bundled] // true for the @fontsource web fonts
+ */
+
+/** @type {Record<string, OverlayFont>} */
+export const OVERLAY_FONTS = {
+  system: { label: 'sans', family: 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif', weight: 700 },
+  serif: { label: 'serif', family: 'Georgia, "Times New Roman", serif', weight: 700 },
+  mono: { label: 'mono', family: 'ui-monospace, Menlo, Consolas, monospace', weight: 700 },
+  playfair: { label: 'Playfair', family: '"Playfair Display", Georgia, serif', weight: 700, bundled: true },
+  bebas: { label: 'Bebas Neue', family: '"Bebas Neue", Impact, sans-serif', weight: 400, bundled: true },
+  pacifico: { label: 'Pacifico', family: 'Pacifico, cursive', weight: 400, bundled: true },
+};
+
+/**
+ * Font for a stored key; unknown keys (e.g. from a newer build) fall back to the system font.
+ * @param {string} [key]
+ * @returns {OverlayFont}
+ */
+export function getOverlayFont(key) {
+  return OVERLAY_FONTS[key] ?? OVERLAY_FONTS.system;
+}
+
+/**
+ * CSS font shorthand for a canvas context.
+ * @param {string} key
+ * @param {number} px
+ */
+export function getOverlayFontCss(key, px) {
+  const f = getOverlayFont(key);
+  return `${f.weight} ${px}px ${f.family}`;
+}
+
+/**
+ * Make sure a bundled font is loaded before drawing with it; canvas text silently
+ * falls back to another font otherwise. Never rejects.
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+export async function loadOverlayFont(key) {
+  const f = getOverlayFont(key);
+  if (!f.bundled || typeof document === 'undefined' || !document.fonts) return;
+  try {
+    await document.fonts.load(getOverlayFontCss(key, 64));
+  } catch (e) {
+    console.log('[fonts] Failed to load overlay font', key, e);
+  }
+}
@@ -0,0 +1,74 @@
+// Drawing of decal layers (models/layer.js) onto a vase texture canvas
+
+import { createTextOverlayCanvas } from './canvas.js';
+
+const STICKER_FONT = '"Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif';
+
+/** Stickers offered in the editor (any emoji can be stored) */
+export const STICKERS = ['⭐', '❤️', '🌸', '🌿', '🔥', '💧', '☀️', '🌙', '🦋', '🍀', '✨', '🎯'];
+
+/** Font keys used by the text layers of a stack (to load them before drawing) */
+export function getLayerFontKeys(layers) {
+  return (layers || []).filter((l) => l.kind === 'text' && l.text).map((l) => l.text.font);
+}
+
+/**
+ * Draw one layer. The texture wraps the vase mirrored (see createTextOverlayCanvas), so layers
+ * are laid out in a mirrored frame where x and rotation read as seen on the vase.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {import('../models/layer.js').VaseLayer} layer
+ * @param {HTMLCanvasElement|null} source - loaded image for image layers
+ * @param {number} size - canvas width and height in pixels
+ */
+export function drawLayer(ctx, layer, source, size) {
+  if (!layer.visible || !(layer.opacity > 0)) return;
+  const { x = 0, y = 0, scale = 1, rotation = 0 } = layer.transform ?? {};
+  const half = size / 2;
+  ctx.save();
+  ctx.globalAlpha = Math.min(1, layer.opacity);
+  ctx.globalCompositeOperation = layer.blend || 'source-over';
+  ctx.translate(size, 0);
+  ctx.scale(-1, 1);
+  ctx.translate(half + x * size, half + y * size);
+  ctx.rotate((rotation * Math.PI) / 180);
+  ctx.scale(scale, scale);
+  switch (layer.kind) {
+    case 'image':
+      if (source) ctx.drawImage(source, -half, -half, size, size);
+      break;
+    case 'fill':
+      ctx.fillStyle = layer.color || '#ffffff';
+      ctx.fillRect(-half, -half, size, size);
+      break;
+    case 'gradient': {
+      const { from = '#ffffff', to = '#000000', angle = 90 } = layer.gradient ?? {};
+      const a = (angle * Math.PI) / 180;
+      const dx = Math.cos(a) * half;
+      const dy = Math.sin(a) * half;
+      const g = ctx.createLinearGradient(-dx, -dy, dx, dy);
+      g.addColorStop(0, from);
+      g.addColorStop(1, to);
+      ctx.fillStyle = g;
+      ctx.fillRect(-half, -half, size, size);
+      break;
+    }
+    case 'sticker':
+      ctx.font = `${Math.floor(size * 0.8)}px ${STICKER_FONT}`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(layer.sticker || '', 0, 0);
+      break;
+    case 'text': {
+      // The overlay canvas is already mirrored; undo the frame's mirror for it
+      const c = createTextOverlayCanvas(layer.text, size);
+      if (c) {
+        ctx.scale(-1, 1);
+        ctx.drawImage(c, -half, -half, size, size);
+      }
+      break;
+    }
+    default:
+      break;
+  }
+  ctx.restore();
+}
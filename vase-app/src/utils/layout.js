@@ -1,12 +1,18 @@
-// Utility to compute vase target positions based on index and layout constants
+// Utility to compute vase grid positions/targets based on index and layout constants
 
 import * as THREE from 'three';
 import { VASE_COLUMNS_COUNT, VASE_SPACING, VASE_TARGET_Y } from '../config/constants';
 
-export function getVaseTarget(idx) {
-  const col = idx % VASE_COLUMNS_COUNT;
-  const row = Math.floor(idx / VASE_COLUMNS_COUNT);
-  const baseY = -row * VASE_SPACING;
-  const targetY = baseY + VASE_TARGET_Y;
-  return new THREE.Vector3(col * VASE_SPACING, targetY, 0);
-}
\ No newline at end of file
+// Grid cell origin for the vase at a given position in the collection.
+// The column count comes from the board layout; rows keep growing downward as vases are added.
+export function getVaseGridPosition(idx, columns = VASE_COLUMNS_COUNT) {
+  const col = idx % columns;
+  const row = Math.floor(idx / columns);
+  return new THREE.Vector3(col * VASE_SPACING, -row * VASE_SPACING, 0);
+}
+
+export function getVaseTarget(idx, columns = VASE_COLUMNS_COUNT) {
+  const target = getVaseGridPosition(idx, columns);
+  target.y += VASE_TARGET_Y;
+  return target;
+}
@@ -0,0 +1,95 @@
+// Weighted manifests: a vase can ask for an amount (pages, dollars, ...) or a duration with each
+// manifest. The value is kept on the activity event and decides how many coins drop, or how big.
+
+// Settings when switching a vase to a kind of measure
+export const MEASURE_DEFAULTS = {
+  amount: { kind: 'amount', unit: 'pages', perCoin: 10, coins: 'count' },
+  duration: { kind: 'duration', unit: 'min', perCoin: 15, coins: 'size' },
+};
+
+export const MEASURE_UNIT_MAX = 12;
+// Most coins one manifest drops when coins are counted by amount
+export const MAX_COINS_PER_MANIFEST = 20;
+// Scale range of one coin when coins are sized by amount
+const MIN_COIN_SCALE = 0.5;
+const MAX_COIN_SCALE = 2.5;
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+// At most two decimals, without trailing zeros
+const formatNumber = (n) => String(Math.round(n * 100) / 100);
+
+/**
+ * Human label for a measure, e.g. "asks for pages", "asks for a duration".
+ * @param {import('../models/vase.js').Measure|null|undefined} measure
+ */
+export function describeMeasure(measure) {
+  if (!measure) return 'one coin per manifest';
+  return measure.kind === 'duration' ? 'asks for a duration' : `asks for ${measure.unit || 'an amount'}`;
+}
+
+/**
+ * Read a typed value. Durations are minutes and also accept "1:30", "1h30" or "1h 30m".
+ * @param {string} text
+ * @param {import('../models/vase.js').Measure} measure
+ * @returns {number|null} positive amount, or null when empty or not understood
+ */
+export function parseMeasureValue(text, measure) {
+  const s = text.trim().toLowerCase().replace(',', '.');
+  if (!s) return null;
+  let value = NaN;
+  if (measure.kind === 'duration') {
+    const clock = /^(\d+):([0-5]?\d)$/.exec(s);
+    const units = /^(?:(\d+(?:\.\d+)?)\s*h(?:ours?|rs?)?)?\s*(?:(\d+(?:\.\d+)?)\s*(?:m(?:in(?:utes?|s)?)?)?)?$/.exec(s);
+    if (clock) value = Number(clock[1]) * 60 + Number(clock[2]);
+    else if (/^\d+(?:\.\d+)?$/.test(s)) value = Number(s);
+    else if (units && (units[1] || units[2])) value = Number(units[1] ?? 0) * 60 + Number(units[2] ?? 0);
+  } else if (/^\d*\.?\d+$/.test(s)) {
+    value = Number(s);
+  }
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Why a typed value can't be used (empty is fine: the manifest is logged without an amount).
+ * @param {string} text
+ * @param {import('../models/vase.js').Measure} measure
+ * @returns {string|null}
+ */
+export function validateMeasureValue(text, measure) {
+  if (!text.trim() || parseMeasureValue(text, measure) != null) return null;
+  return measure.kind === 'duration' ? 'use minutes, or e.g. 1:30 or 1h 30m' : 'use a positive number';
+}
+
+/**
+ * An amount with its unit, e.g. "12 pages", "1 h 30 min".
+ * @param {number} amount
+ * @param {import('../models/vase.js').Measure} measure
+ */
+export function formatMeasureAmount(amount, measure) {
+  if (measure?.kind === 'duration') {
+    const total = Math.round(amount);
+    const h = Math.floor(total / 60);
+    const m = total % 60;
+    if (!h) return `${m} min`;
+    return m ? `${h} h ${m} min` : plural(h, 'hour');
+  }
+  const unit = measure?.unit?.trim();
+  return unit ? `${formatNumber(amount)} ${unit}` : formatNumber(amount);
+}
+
+/**
+ * Scales of the coins one manifest drops: one coin per `perCoin` (at least one, capped), or a
+ * single coin whose face area grows with the amount. Plain manifests drop one normal coin.
+ * @param {number|null|undefined} amount
+ * @param {import('../models/vase.js').Measure|null|undefined} measure
+ * @returns {number[]}
+ */
+export function coinScalesForAmount(amount, measure) {
+  if (!measure || !(amount > 0) || !(measure.perCoin > 0)) return [1];
+  const ratio = amount / measure.perCoin;
+  if (measure.coins === 'count') {
+    return Array(Math.max(1, Math.min(MAX_COINS_PER_MANIFEST, Math.round(ratio)))).fill(1);
+  }
+  return [Math.max(MIN_COIN_SCALE, Math.min(MAX_COIN_SCALE, Math.sqrt(ratio)))];
+}
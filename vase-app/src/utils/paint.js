@@ -0,0 +1,80 @@
+// Freehand painting into the vase's paint layer, in texture space (u right, v down the canvas)
+
+/** Brush used when paint mode opens; `size` is the stroke width in pixels of a 1024 texture */
+export const DEFAULT_BRUSH = Object.freeze({ size: 24, color: '#c0392b', erase: false, smoothing: 0.5 });
+
+export const MIN_BRUSH_SIZE = 2;
+export const MAX_BRUSH_SIZE = 120;
+
+/**
+ * New transparent paint canvas, optionally starting as a copy of another one.
+ * Strokes go into a fresh copy so earlier canvases (kept by undo) stay untouched.
+ * @param {number} [size=1024]
+ * @param {HTMLCanvasElement|null} [from]
+ * @returns {HTMLCanvasElement|null} - null if document is undefined
+ */
+export function createPaintCanvas(size = 1024, from = null) {
+  if (typeof document === 'undefined') return null;
+  const c = document.createElement('canvas');
+  c.width = c.height = size;
+  if (from) c.getContext('2d').drawImage(from, 0, 0, size, size);
+  return c;
+}
+
+/**
+ * Start a stroke on a paint canvas. Points are texture coordinates (0..1) from raycast hits.
+ * The pen trails the pointer by `brush.smoothing` (0 = raw input, 1 = heavily smoothed), and
+ * strokes continue across the seam where the texture wraps around the vase.
+ * @param {HTMLCanvasElement} canvas
+ * @param {{ size: number, color: string, erase: boolean, smoothing: number }} brush
+ * @returns {{ add: (uv: { x: number, y: number }) => void, lift: () => void }}
+ *   add: extend the stroke to a point; lift: the pointer left the vase, the next point starts a new segment
+ */
+export function beginPaintStroke(canvas, brush) {
+  const ctx = canvas.getContext('2d');
+  const size = canvas.width;
+  const width = (brush.size * size) / 1024;
+  const follow = 1 - Math.min(0.9, Math.max(0, brush.smoothing) * 0.9);
+  let pen = null; // smoothed position in canvas pixels
+
+  const draw = (paint) => {
+    ctx.save();
+    ctx.globalCompositeOperation = brush.erase ? 'destination-out' : 'source-over';
+    ctx.strokeStyle = ctx.fillStyle = brush.color;
+    ctx.lineWidth = width;
+    ctx.lineCap = ctx.lineJoin = 'round';
+    // Also one texture width away on both sides, so marks near the seam wrap around
+    for (const wrap of [-size, 0, size]) paint(wrap);
+    ctx.restore();
+  };
+
+  return {
+    add(uv) {
+      const target = { x: uv.x * size, y: uv.y * size };
+      if (!pen) {
+        pen = target;
+        draw((wrap) => {
+          ctx.beginPath();
+          ctx.arc(pen.x + wrap, pen.y, width / 2, 0, Math.PI * 2);
+          ctx.fill();
+        });
+        return;
+      }
+      // Crossing the seam: continue from the pen's side instead of streaking across the texture
+      if (target.x - pen.x > size / 2) target.x -= size;
+      else if (pen.x - target.x > size / 2) target.x += size;
+      const from = pen;
+      const to = { x: from.x + (target.x - from.x) * follow, y: from.y + (target.y - from.y) * follow };
+      draw((wrap) => {
+        ctx.beginPath();
+        ctx.moveTo(from.x + wrap, from.y);
+        ctx.lineTo(to.x + wrap, to.y);
+        ctx.stroke();
+      });
+      pen = { x: ((to.x % size) + size) % size, y: to.y };
+    },
+    lift() {
+      pen = null;
+    },
+  };
+}
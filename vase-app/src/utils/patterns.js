@@ -0,0 +1,244 @@
+// Procedural base textures (stripes, checks, dots, gradients, marble, Greek key) rendered from a
+// small stored recipe. A recipe must render the same picture every time and at any size, so keep
+// each generator stable once shipped: add a new kind rather than changing how an existing one draws.
+
+export const PATTERN_KINDS = [
+  { kind: 'stripes', label: 'stripes', scale: 8 },
+  { kind: 'checks', label: 'checks', scale: 12 },
+  { kind: 'dots', label: 'polka dots', scale: 10 },
+  { kind: 'gradient', label: 'gradient', scale: 1 },
+  { kind: 'marble', label: 'marble', scale: 3 },
+  { kind: 'meander', label: 'Greek key', scale: 12 },
+];
+
+/** Palette presets (background first) */
+export const PATTERN_PALETTES = {
+  terracotta: ['#b5542d', '#f0dcc0', '#2a1d17'],
+  delft: ['#f4f1ea', '#1d3f91', '#6d8fd6'],
+  sea: ['#0f4c5c', '#e3f2fd', '#5fa8d3'],
+  meadow: ['#e9f0d8', '#5a7d2a', '#f2c14e'],
+  blush: ['#f7d6d0', '#c0526b', '#fff7f0'],
+  ink: ['#fafafa', '#111111', '#888888'],
+};
+
+export const MAX_PATTERN_SCALE = 24;
+
+/** A new random seed for a recipe */
+export function randomPatternSeed() {
+  return 1 + Math.floor(Math.random() * 999999);
+}
+
+/**
+ * Recipe with defaults for a kind.
+ * @param {import('../models/vase.js').PatternRecipe['kind']} kind
+ * @param {Partial<import('../models/vase.js').PatternRecipe>} [init]
+ * @returns {import('../models/vase.js').PatternRecipe}
+ */
+export function createPatternRecipe(kind, init = {}) {
+  return {
+    kind,
+    seed: init.seed ?? randomPatternSeed(),
+    palette: init.palette ?? [...PATTERN_PALETTES.terracotta],
+    scale: init.scale ?? PATTERN_KINDS.find((k) => k.kind === kind)?.scale ?? 8,
+    angle: init.angle ?? 0,
+  };
+}
+
+// Small seeded PRNG (mulberry32), uniform in [0, 1)
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+// Horizontal bands of random width, rotated by `angle`
+function drawStripes(ctx, size, { palette, scale, angle }, rand) {
+  const unit = size / scale;
+  const reach = size * Math.SQRT2;
+  ctx.translate(size / 2, size / 2);
+  ctx.rotate((angle * Math.PI) / 180);
+  let y = -reach / 2;
+  for (let i = 0; y < reach / 2; i++) {
+    const h = unit * (0.6 + 0.8 * rand());
+    ctx.fillStyle = palette[i % palette.length];
+    ctx.fillRect(-reach / 2, y, reach, h + 1);
+    y += h;
+  }
+}
+
+// Checkerboard of the first two colors, with the rest as scattered accents
+function drawChecks(ctx, size, { palette, scale }, rand) {
+  const cell = size / scale;
+  for (let j = 0; j < scale; j++) {
+    for (let i = 0; i < scale; i++) {
+      const accent = palette.length > 2 && rand() < 0.12;
+      ctx.fillStyle = accent ? palette[2 + Math.floor(rand() * (palette.length - 2))] : palette[(i + j) % 2];
+      ctx.fillRect(i * cell, j * cell, cell + 1, cell + 1);
+    }
+  }
+}
+
+// Staggered dots on the first color; they wrap across the texture seam
+function drawDots(ctx, size, { palette, scale }, rand) {
+  const cell = size / scale;
+  const radius = cell * (0.2 + 0.12 * rand());
+  ctx.fillStyle = palette[0];
+  ctx.fillRect(0, 0, size, size);
+  for (let j = 0; j < scale; j++) {
+    for (let i = 0; i < scale; i++) {
+      const x = (i + (j % 2) * 0.5 + 0.5) * cell + (rand() - 0.5) * cell * 0.15;
+      const y = (j + 0.5) * cell + (rand() - 0.5) * cell * 0.15;
+      ctx.fillStyle = palette[1 + Math.floor(rand() * Math.max(1, palette.length - 1))] ?? palette[0];
+      for (const wrap of [-size, 0, size]) {
+        ctx.beginPath();
+        ctx.arc(x + wrap, y, radius, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+  }
+}
+
+// Linear blend through the palette with a light seeded grain
+function drawGradient(ctx, size, { palette, angle }, rand) {
+  const a = (angle * Math.PI) / 180;
+  const dx = (Math.sin(a) * size) / 2;
+  const dy = (Math.cos(a) * size) / 2;
+  const g = ctx.createLinearGradient(size / 2 - dx, size / 2 - dy, size / 2 + dx, size / 2 + dy);
+  palette.forEach((color, i) => g.addColorStop(palette.length > 1 ? i / (palette.length - 1) : 0, color));
+  ctx.fillStyle = g;
+  ctx.fillRect(0, 0, size, size);
+  const specks = Math.round(2500 * (size / 1024) ** 2);
+  for (let i = 0; i < specks; i++) {
+    ctx.fillStyle = rand() < 0.5 ? 'rgba(0,0,0,0.06)' : 'rgba(255,255,255,0.08)';
+    ctx.fillRect(rand() * size, rand() * size, size / 512, size / 512);
+  }
+}
+
+// Veined marble from fractal value noise that tiles horizontally (around the vase)
+function drawMarble(ctx, size, { palette, scale }, rand) {
+  const res = Math.min(size, 256);
+  const octaves = 4;
+  const lattices = [];
+  for (let o = 0; o < octaves; o++) {
+    const period = Math.max(1, Math.round(scale)) * 2 ** o;
+    lattices.push({ period, values: Float32Array.from({ length: period * (period + 1) }, rand) });
+  }
+  const smooth = (t) => t * t * (3 - 2 * t);
+  const noise = ({ period, values }, u, v) => {
+    const x = u * period;
+    const y = v * period;
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const fx = smooth(x - x0);
+    const fy = smooth(y - y0);
+    const at = (ix, iy) => values[Math.min(iy, period) * period + (ix % period)];
+    const top = at(x0, y0) + (at(x0 + 1, y0) - at(x0, y0)) * fx;
+    const bottom = at(x0, y0 + 1) + (at(x0 + 1, y0 + 1) - at(x0, y0 + 1)) * fx;
+    return top + (bottom - top) * fy;
+  };
+  const colors = palette.map(hexToRgb);
+  const veins = 2 + rand() * 3;
+  const img = ctx.createImageData(res, res);
+  for (let py = 0; py < res; py++) {
+    for (let px = 0; px < res; px++) {
+      const u = px / res;
+      const v = py / res;
+      let turbulence = 0;
+      lattices.forEach((lattice, o) => { turbulence += noise(lattice, u, v) / 2 ** o; });
+      const t = (Math.sin((v * veins + turbulence * 2.5) * Math.PI) + 1) / 2;
+      const pos = t * (colors.length - 1);
+      const k = Math.min(colors.length - 2, Math.floor(pos));
+      const f = pos - k;
+      const a = colors[Math.max(0, k)];
+      const b = colors[Math.max(0, k) + 1] ?? a;
+      const o = (py * res + px) * 4;
+      img.data[o] = a[0] + (b[0] - a[0]) * f;
+      img.data[o + 1] = a[1] + (b[1] - a[1]) * f;
+      img.data[o + 2] = a[2] + (b[2] - a[2]) * f;
+      img.data[o + 3] = 255;
+    }
+  }
+  const tile = document.createElement('canvas');
+  tile.width = tile.height = res;
+  tile.getContext('2d').putImageData(img, 0, 0);
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(tile, 0, 0, size, size);
+}
+
+// Running Greek key bands (background, key color, optional band fill)
+function drawMeander(ctx, size, { palette, scale }, rand) {
+  const motifs = Math.max(2, Math.round(scale));
+  const u = size / (motifs * 6);
+  const bands = 1 + Math.floor(rand() * 3);
+  ctx.fillStyle = palette[0];
+  ctx.fillRect(0, 0, size, size);
+  ctx.strokeStyle = palette[1] ?? '#000000';
+  ctx.lineWidth = u * 0.8;
+  ctx.lineCap = 'square';
+  for (let b = 0; b < bands; b++) {
+    const top = (size * (b + 1)) / (bands + 1) - 3 * u;
+    if (palette[2]) {
+      ctx.fillStyle = palette[2];
+      ctx.fillRect(0, top - u, size, 8 * u);
+    }
+    ctx.beginPath();
+    ctx.moveTo(0, top - 0.5 * u);
+    ctx.lineTo(size, top - 0.5 * u);
+    ctx.moveTo(0, top + 6.5 * u);
+    ctx.lineTo(size, top + 6.5 * u);
+    for (let i = 0; i < motifs; i++) {
+      const x = i * 6 * u;
+      ctx.moveTo(x + u, top + 6.5 * u);
+      ctx.lineTo(x + u, top + u);
+      ctx.lineTo(x + 5 * u, top + u);
+      ctx.lineTo(x + 5 * u, top + 4 * u);
+      ctx.lineTo(x + 3 * u, top + 4 * u);
+      ctx.lineTo(x + 3 * u, top + 3 * u);
+    }
+    ctx.stroke();
+  }
+}
+
+const GENERATORS = {
+  stripes: drawStripes,
+  checks: drawChecks,
+  dots: drawDots,
+  gradient: drawGradient,
+  marble: drawMarble,
+  meander: drawMeander,
+};
+
+/**
+ * Render a pattern recipe onto a square canvas.
+ * @param {import('../models/vase.js').PatternRecipe} recipe
+ * @param {number} [size=1024] - Width and height of the canvas in pixels.
+ * @returns {HTMLCanvasElement|null} - null if document is undefined
+ */
+export function renderPattern(recipe, size = 1024) {
+  if (typeof document === 'undefined') return null;
+  const c = document.createElement('canvas');
+  c.width = c.height = size;
+  const ctx = c.getContext('2d');
+  const palette = recipe.palette?.length ? recipe.palette : ['#ffffff', '#111111'];
+  const draw = GENERATORS[recipe.kind];
+  ctx.fillStyle = palette[0];
+  ctx.fillRect(0, 0, size, size);
+  if (draw) {
+    draw(ctx, size, {
+      palette,
+      scale: Math.max(1, Math.min(MAX_PATTERN_SCALE, recipe.scale ?? 8)),
+      angle: recipe.angle ?? 0,
+    }, seededRandom(recipe.seed ?? 1));
+  }
+  return c;
+}
@@ -0,0 +1,56 @@
+// Placement of an uploaded image or photo on the vase texture: pan, zoom, rotation and tiling.
+// The original image is stored untouched; the texture is rendered from it and its placement.
+
+/** Cover fit, centered: how images were fitted before placements existed */
+export const DEFAULT_PLACEMENT = Object.freeze({ x: 0, y: 0, zoom: 1, rotation: 0, tile: false });
+
+export const MIN_PLACEMENT_ZOOM = 0.2;
+export const MAX_PLACEMENT_ZOOM = 4;
+
+/**
+ * Render an image onto a square texture canvas.
+ * zoom 1 covers the texture; with `tile` the image repeats to fill it, otherwise it wraps
+ * around the vase horizontally and uncovered areas stay transparent.
+ * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} image
+ * @param {import('../models/vase.js').TexturePlacement} [placement]
+ * @param {number} [size=1024]
+ * @returns {HTMLCanvasElement|null} - null if document is undefined
+ */
+export function renderPlacedImage(image, placement = DEFAULT_PLACEMENT, size = 1024) {
+  if (typeof document === 'undefined') return null;
+  const { x = 0, y = 0, zoom = 1, rotation = 0, tile = false } = placement ?? DEFAULT_PLACEMENT;
+  const c = document.createElement('canvas');
+  c.width = c.height = size;
+  const ctx = c.getContext('2d');
+  const iw = image.naturalWidth || image.width;
+  const ih = image.naturalHeight || image.height;
+  if (!iw || !ih) return c;
+  const scale = Math.max(size / iw, size / ih) * zoom;
+  const dw = iw * scale;
+  const dh = ih * scale;
+  const angle = (rotation * Math.PI) / 180;
+  if (!tile) {
+    // Also draw the neighbours one texture width away so the image wraps across the seam
+    for (const wrap of [-size, 0, size]) {
+      ctx.save();
+      ctx.translate(size / 2 + x * size + wrap, size / 2 + y * size);
+      ctx.rotate(angle);
+      ctx.drawImage(image, -dw / 2, -dh / 2, dw, dh);
+      ctx.restore();
+    }
+    return c;
+  }
+  ctx.translate(size / 2 + x * size, size / 2 + y * size);
+  ctx.rotate(angle);
+  // One tile at its final scale, repeated by a pattern anchored on the image center
+  const tileCanvas = document.createElement('canvas');
+  tileCanvas.width = Math.max(1, Math.round(dw));
+  tileCanvas.height = Math.max(1, Math.round(dh));
+  tileCanvas.getContext('2d').drawImage(image, 0, 0, tileCanvas.width, tileCanvas.height);
+  ctx.translate(-tileCanvas.width / 2, -tileCanvas.height / 2);
+  ctx.fillStyle = ctx.createPattern(tileCanvas, 'repeat');
+  // Far enough to cover the texture under any offset and rotation
+  const reach = size * (1.5 + Math.abs(x) + Math.abs(y)) + Math.max(dw, dh);
+  ctx.fillRect(-reach, -reach, reach * 2, reach * 2);
+  return c;
+}
@@ -0,0 +1,36 @@
+// Hash routes: "#/vase/<vase id>" focuses a vase, "#/vase/<vase id>/stats" also opens its stats.
+// "#/test-1" (or the legacy "/test-1" path) opens the physics test page.
+
+/**
+ * @typedef {{ name: 'home' } | { name: 'test-1' } | { name: 'vase', vaseId: string, panel: 'stats'|null }} Route
+ */
+
+/**
+ * Parse a location hash (with or without the leading "#").
+ * @param {string} hash
+ * @returns {Route}
+ */
+export function parseRoute(hash) {
+  const parts = (hash || '').replace(/^#\/?/, '').split('/').filter(Boolean);
+  if (parts[0] === 'test-1') return { name: 'test-1' };
+  if (parts[0] === 'vase' && parts[1]) {
+    let vaseId = parts[1];
+    try { vaseId = decodeURIComponent(vaseId); } catch { /* keep raw */ }
+    return { name: 'vase', vaseId, panel: parts[2] === 'stats' ? 'stats' : null };
+  }
+  return { name: 'home' };
+}
+
+/**
+ * Hash for a vase (optionally with its stats panel open), e.g. "#/vase/vase-0003/stats".
+ * @param {string} vaseId
+ * @param {{ stats?: boolean }} [opts]
+ */
+export function vaseRouteHash(vaseId, { stats = false } = {}) {
+  return `#/vase/${encodeURIComponent(vaseId)}${stats ? '/stats' : ''}`;
+}
+
+/** True when the current location should show the physics test page */
+export function isTest1Location(location) {
+  return location.pathname === '/test-1' || parseRoute(location.hash).name === 'test-1';
+}
@@ -0,0 +1,45 @@
+// Progress targets: a vase fills up as it counts towards a number of manifests, or towards a
+// total amount of its measure (see utils/measure.js), and is completed once it gets there.
+// Destroying the vase empties it, so progress counts since its last destroy (or reset).
+
+import { formatMeasureAmount } from './measure.js';
+
+// Target when switching a vase to a kind of target
+export const TARGET_DEFAULTS = {
+  manifests: { by: 'manifests', value: 50 },
+  amount: { by: 'amount', value: 500 },
+};
+
+/**
+ * Human label for a target, e.g. "50 manifests", "500 pages".
+ * @param {import('../models/vase.js').Target|null|undefined} target
+ * @param {import('../models/vase.js').Measure|null|undefined} measure
+ */
+export function describeTarget(target, measure) {
+  if (!target) return 'no target';
+  if (target.by === 'amount') return formatMeasureAmount(target.value, measure);
+  return `${target.value} manifest${target.value === 1 ? '' : 's'}`;
+}
+
+/**
+ * @typedef {Object} TargetProgress
+ * @property {number} current   // manifests, or summed amount, since the last destroy or reset
+ * @property {number} ratio     // 0..1
+ * @property {string} label     // e.g. "12 of 50 manifests"
+ */
+
+/**
+ * Where a vase stands against its target.
+ * @param {import('../models/vase.js').Target|null|undefined} target
+ * @param {{ filled: number, filledAmount: number }} stats  derived counters (services/activity.js)
+ * @param {import('../models/vase.js').Measure|null|undefined} measure
+ * @returns {TargetProgress|null}  null for vases without a target
+ */
+export function getTargetProgress(target, stats, measure) {
+  if (!target || !(target.value > 0)) return null;
+  const current = target.by === 'amount' ? stats.filledAmount : stats.filled;
+  const label = target.by === 'amount'
+    ? `${formatMeasureAmount(current, measure)} of ${formatMeasureAmount(target.value, measure)}`
+    : `${current} of ${describeTarget(target, measure)}`;
+  return { current, ratio: Math.min(1, current / target.value), label };
+}
@@ -0,0 +1,60 @@
+// Texture resolution per vase under a memory budget: the focused vase gets the chosen quality,
+// the others step down by halving (like mipmaps) until the whole board fits.
+
+export const TEXTURE_QUALITIES = [512, 1024, 2048];
+export const TEXTURE_BUDGETS_MB = [64, 128, 256, 512];
+
+// Lowest resolution an unfocused vase drops to, however tight the budget
+export const MIN_TEXTURE_SIZE = 128;
+
+/**
+ * @typedef {Object} TextureSettings
+ * @property {number} quality   // texture size of the focused vase (one of TEXTURE_QUALITIES)
+ * @property {number} budgetMB  // memory all vase textures should fit in
+ */
+
+/**
+ * Settings from the stored preferences, with device-based defaults for anything never chosen.
+ * Phones and devices reporting 4 GB or less start with a smaller budget.
+ * @param {{ textureQuality?: number|null, textureBudgetMB?: number|null }} prefs
+ * @returns {TextureSettings}
+ */
+export function resolveTextureSettings({ textureQuality, textureBudgetMB } = {}) {
+  const nav = typeof navigator !== 'undefined' ? navigator : null;
+  // deviceMemory (GB) is only reported by Chromium browsers
+  const isSmallDevice = !!nav && (/Android|iPhone|iPad|iPod/i.test(nav.userAgent) || (nav.deviceMemory ?? 8) <= 4);
+  return {
+    quality: TEXTURE_QUALITIES.includes(textureQuality) ? textureQuality : 1024,
+    budgetMB: TEXTURE_BUDGETS_MB.includes(textureBudgetMB) ? textureBudgetMB : (isSmallDevice ? 128 : 256),
+  };
+}
+
+/**
+ * Canvases a vase keeps at its texture size: its stored slots, image layers and text overlay.
+ * @param {import('../models/vase.js').Vase} vase
+ */
+function countSourceCanvases(vase) {
+  const slots = vase.appearance?.textureSlots ?? {};
+  const images = (vase.appearance?.layers ?? []).filter((l) => l.kind === 'image' && l.texture).length;
+  return ['base', 'upload', 'camera', 'paint', 'textOverlay'].filter((k) => slots[k]).length + images;
+}
+
+// RGBA bytes of a vase at `size`: its sources, the composed canvas, and the GPU copy with mipmaps
+const vaseBytes = (size, sourceCount) => size * size * 4 * (sourceCount + 1 + 4 / 3);
+
+/**
+ * Pick the texture size of every vase on the board.
+ * @param {import('../models/vase.js').Vase[]} vases
+ * @param {string|null} activeVaseId
+ * @param {TextureSettings} settings
+ * @returns {Record<string, number>} size by vase id
+ */
+export function planTextureSizes(vases, activeVaseId, { quality, budgetMB }) {
+  const budget = budgetMB * 1024 * 1024;
+  const counts = vases.map((v) => [v.id, countSourceCanvases(v)]);
+  const bytesAt = (size) => counts.reduce((sum, [id, n]) => sum + vaseBytes(id === activeVaseId ? quality : size, n), 0);
+  let size = quality / 2;
+  while (size > MIN_TEXTURE_SIZE && bytesAt(size) > budget) size /= 2;
+  size = Math.max(MIN_TEXTURE_SIZE, size);
+  return Object.fromEntries(counts.map(([id]) => [id, id === activeVaseId ? quality : size]));
+}
@@ -1,10 +1,8 @@
-// Utility to format ISO timestamps into human-readable "time ago" strings
+// Utility to format ISO timestamps and durations into human-readable strings
 
-export function formatTimeAgo(iso) {
-  if (!iso) return '';
-  const then = new Date(iso).getTime();
-  const s = Math.max(0, Math.floor((Date.now() - then) / 1000));
-  if (s < 45) return 'just now';
+export function formatDuration(ms) {
+  const s = Math.max(0, Math.floor(ms / 1000));
+  if (s < 60) return `${s} sec${s === 1 ? '' : 's'}`;
   const m = Math.floor(s / 60);
   if (m < 60) return `${m} min${m === 1 ? '' : 's'}`;
   const h = Math.floor(m / 60);
@@ -15,4 +13,17 @@ export function formatTimeAgo(iso) {
   if (mo < 12) return `${mo} month${mo === 1 ? '' : 's'}`;
   const y = Math.floor(mo / 12);
   return `${y} year${y === 1 ? '' : 's'}`;
-}
\ No newline at end of file
+}
+
+export function formatTimeAgo(iso) {
+  if (!iso) return '';
+  const ms = Date.now() - new Date(iso).getTime();
+  if (ms < 45 * 1000) return 'just now';
+  return formatDuration(ms);
+}
+
+// Like formatTimeAgo, with "ago" where it belongs: "just now", "5 mins ago"
+export function formatTimeAgoPhrase(iso) {
+  const ago = formatTimeAgo(iso);
+  return ago === 'just now' || !ago ? ago : `${ago} ago`;
+}
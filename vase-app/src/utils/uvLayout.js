@@ -0,0 +1,80 @@
+// UV layout of the vase model, drawn as a guide over 2D texture previews
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import modelUrl from '../assets/models/vase-2-main.glb';
+
+// A triangle counts as "front" when its normal points at the camera at least this much
+const FRONT_NORMAL_Z = 0.35;
+
+let pendingLayout = null;
+
+/**
+ * @typedef {Object} UvLayout
+ * @property {Float32Array} uvs     // 6 numbers (3 uv pairs) per triangle
+ * @property {Uint8Array} front     // 1 for triangles facing the camera when the vase is unrotated
+ */
+
+/**
+ * Triangles of the vase model in texture space (loaded once).
+ * @returns {Promise<UvLayout>}
+ */
+export function loadVaseUvLayout() {
+  pendingLayout ??= new GLTFLoader().loadAsync(modelUrl).then((gltf) => {
+    const uvs = [];
+    const front = [];
+    const normal = new THREE.Vector3();
+    gltf.scene.updateMatrixWorld(true);
+    gltf.scene.traverse((o) => {
+      const geo = o.isMesh ? o.geometry : null;
+      const uv = geo?.attributes.uv;
+      const n = geo?.attributes.normal;
+      if (!uv || !n) return;
+      const normalMatrix = new THREE.Matrix3().getNormalMatrix(o.matrixWorld);
+      const index = geo.index ? geo.index.array : [...Array(uv.count).keys()];
+      for (let t = 0; t + 2 < index.length; t += 3) {
+        let z = 0;
+        for (let k = 0; k < 3; k++) {
+          const i = index[t + k];
+          uvs.push(uv.getX(i), uv.getY(i));
+          z += normal.fromBufferAttribute(n, i).applyMatrix3(normalMatrix).normalize().z;
+        }
+        front.push(z / 3 > FRONT_NORMAL_Z ? 1 : 0);
+      }
+    });
+    return { uvs: new Float32Array(uvs), front: Uint8Array.from(front) };
+  }).catch((e) => {
+    pendingLayout = null;
+    throw e;
+  });
+  return pendingLayout;
+}
+
+/**
+ * Draw the layout: front-facing triangles tinted, every edge as a faint line.
+ * Texture v runs down the canvas (the vase textures use flipY = false).
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {UvLayout} layout
+ * @param {number} size
+ */
+export function drawUvLayout(ctx, { uvs, front }, size) {
+  const edges = new Path2D();
+  const faces = new Path2D();
+  for (let t = 0; t < front.length; t++) {
+    const o = t * 6;
+    const path = new Path2D();
+    path.moveTo(uvs[o] * size, uvs[o + 1] * size);
+    path.lineTo(uvs[o + 2] * size, uvs[o + 3] * size);
+    path.lineTo(uvs[o + 4] * size, uvs[o + 5] * size);
+    path.closePath();
+    edges.addPath(path);
+    if (front[t]) faces.addPath(path);
+  }
+  ctx.save();
+  ctx.fillStyle = 'rgba(255, 196, 0, 0.22)';
+  ctx.fill(faces);
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.18)';
+  ctx.lineWidth = 0.5;
+  ctx.stroke(edges);
+  ctx.restore();
+}